@@ -0,0 +1,3 @@
+-- Per-plan domain allowlist for h2i subresource requests (comma-separated hostnames, NULL = any public host)
+ALTER TABLE plans
+  ADD COLUMN IF NOT EXISTS h2i_allowed_domains TEXT NULL AFTER allow_tools;
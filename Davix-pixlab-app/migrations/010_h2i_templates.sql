@@ -0,0 +1,15 @@
+-- Stored HTML templates for /v1/h2i, one row per template version
+CREATE TABLE IF NOT EXISTS h2i_templates (
+  id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT PRIMARY KEY,
+  template_id CHAR(36) NOT NULL,
+  api_key_id BIGINT UNSIGNED NOT NULL,
+  version INT UNSIGNED NOT NULL,
+  name VARCHAR(190) NOT NULL,
+  html MEDIUMTEXT NOT NULL,
+  css MEDIUMTEXT NULL,
+  sample_data_json JSON NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  deleted_at DATETIME NULL,
+  UNIQUE KEY uniq_h2i_template_version (template_id, version),
+  KEY idx_h2i_templates_api_key (api_key_id, deleted_at)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
@@ -0,0 +1,4 @@
+-- Per-plan limits for POST /v1/h2i/batch (NULL = server defaults)
+ALTER TABLE plans
+  ADD COLUMN IF NOT EXISTS h2i_batch_max_items INT NULL AFTER h2i_allowed_domains,
+  ADD COLUMN IF NOT EXISTS h2i_batch_concurrency INT NULL AFTER h2i_batch_max_items;
@@ -0,0 +1,15 @@
+-- Custom fonts uploaded per API key and injected into /v1/h2i pages by family name
+CREATE TABLE IF NOT EXISTS h2i_fonts (
+  id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT PRIMARY KEY,
+  font_id CHAR(36) NOT NULL,
+  api_key_id BIGINT UNSIGNED NOT NULL,
+  family VARCHAR(100) NOT NULL,
+  weight SMALLINT UNSIGNED NOT NULL DEFAULT 400,
+  style VARCHAR(10) NOT NULL DEFAULT 'normal',
+  format VARCHAR(10) NOT NULL,
+  byte_size INT UNSIGNED NOT NULL,
+  data MEDIUMBLOB NOT NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE KEY uniq_h2i_font_id (font_id),
+  UNIQUE KEY uniq_h2i_font_face (api_key_id, family, weight, style)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
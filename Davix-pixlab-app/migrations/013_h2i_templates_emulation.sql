@@ -0,0 +1,3 @@
+-- Default page emulation (colorScheme, locale, timezoneId, ...) applied when a template is rendered
+ALTER TABLE h2i_templates
+  ADD COLUMN IF NOT EXISTS emulation_json JSON NULL AFTER sample_data_json;
@@ -0,0 +1,3 @@
+-- Per-plan frame cap for animated h2i captures (NULL = server default)
+ALTER TABLE plans
+  ADD COLUMN IF NOT EXISTS h2i_max_animation_frames INT NULL AFTER h2i_batch_concurrency;
@@ -0,0 +1,3 @@
+-- Force script-free, sanitized h2i rendering for every key on a plan (NULL = off)
+ALTER TABLE plans
+  ADD COLUMN IF NOT EXISTS h2i_force_safe_mode TINYINT(1) NULL AFTER h2i_max_animation_frames;
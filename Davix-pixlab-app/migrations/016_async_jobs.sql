@@ -0,0 +1,32 @@
+-- Asynchronous jobs (POST /v1/jobs): one row per queued request, replayed by the in-process worker pool
+CREATE TABLE IF NOT EXISTS jobs (
+  id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT PRIMARY KEY,
+  job_id CHAR(36) NOT NULL,
+  api_key_id BIGINT UNSIGNED NULL,
+  api_key_type VARCHAR(20) NOT NULL,
+  endpoint VARCHAR(20) NOT NULL,
+  action VARCHAR(50) NULL,
+  state ENUM('queued', 'running', 'succeeded', 'failed') NOT NULL DEFAULT 'queued',
+  content_type VARCHAR(20) NOT NULL,
+  payload_json JSON NOT NULL,
+  files_json JSON NULL,
+  reserved_files INT UNSIGNED NOT NULL DEFAULT 0,
+  usage_period VARCHAR(64) NULL,
+  client_ip VARCHAR(64) NULL,
+  user_agent VARCHAR(255) NULL,
+  http_status SMALLINT NULL,
+  result_json JSON NULL,
+  error_code VARCHAR(64) NULL,
+  error_message VARCHAR(500) NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  started_at DATETIME NULL,
+  finished_at DATETIME NULL,
+  UNIQUE KEY uniq_jobs_job_id (job_id),
+  KEY idx_jobs_state (state, id),
+  KEY idx_jobs_api_key (api_key_id, state)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
+
+-- Files reserved by queued jobs count against the monthly quota until the job's replayed request logs
+-- its usage (released in the same UPDATE), or until the worker releases them when the job fails first
+ALTER TABLE usage_monthly
+  ADD COLUMN IF NOT EXISTS reserved_files INT UNSIGNED NOT NULL DEFAULT 0 AFTER used_files;
@@ -0,0 +1,31 @@
+-- Signed outbound webhooks (callback_url): per-key signing secret, job callbacks and the delivery log
+ALTER TABLE api_keys
+  ADD COLUMN IF NOT EXISTS webhook_secret VARCHAR(64) NULL;
+
+ALTER TABLE jobs
+  ADD COLUMN IF NOT EXISTS callback_url VARCHAR(2048) NULL AFTER user_agent;
+
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+  id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT PRIMARY KEY,
+  delivery_id CHAR(36) NOT NULL,
+  api_key_id BIGINT UNSIGNED NULL,
+  api_key_type VARCHAR(20) NOT NULL,
+  event VARCHAR(50) NOT NULL,
+  job_id CHAR(36) NULL,
+  request_id VARCHAR(128) NULL,
+  callback_url VARCHAR(2048) NOT NULL,
+  payload_json JSON NOT NULL,
+  state ENUM('pending', 'delivering', 'succeeded', 'failed') NOT NULL DEFAULT 'pending',
+  attempts INT UNSIGNED NOT NULL DEFAULT 0,
+  attempts_json JSON NULL,
+  last_status SMALLINT NULL,
+  last_error VARCHAR(500) NULL,
+  next_attempt_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  claimed_at DATETIME NULL,
+  created_at DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  delivered_at DATETIME NULL,
+  UNIQUE KEY uniq_webhook_deliveries_delivery_id (delivery_id),
+  KEY idx_webhook_deliveries_due (state, next_attempt_at),
+  KEY idx_webhook_deliveries_api_key (api_key_id, id),
+  KEY idx_webhook_deliveries_job (job_id)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4;
@@ -0,0 +1,3 @@
+-- Per-plan cap on steps in a /v1/image action=pipeline request (NULL = IMAGE_PIPELINE_MAX_STEPS)
+ALTER TABLE plans
+  ADD COLUMN IF NOT EXISTS image_pipeline_max_steps INT NULL AFTER h2i_force_safe_mode;
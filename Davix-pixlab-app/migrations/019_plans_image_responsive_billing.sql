@@ -0,0 +1,3 @@
+-- How /v1/image action=responsive bills a plan: one file per source image or one per variant (NULL = IMAGE_RESPONSIVE_BILLING)
+ALTER TABLE plans
+  ADD COLUMN IF NOT EXISTS image_responsive_billing ENUM('source', 'variant') NULL AFTER image_pipeline_max_steps;
@@ -0,0 +1,124 @@
+const { sendError } = require('../utils/errorResponse');
+const { wrapAsync } = require('../utils/wrapAsync');
+const { createEndpointGuard } = require('../utils/limits');
+const { createUploadMiddleware } = require('../utils/uploadLimits');
+const {
+  sniffFontFormat,
+  formatFont,
+  countFontsForKey,
+  saveFont,
+  listFonts,
+  deleteFont,
+} = require('../utils/h2iFonts');
+
+const MAX_FONTS_PER_KEY = parseInt(process.env.H2I_MAX_FONTS_PER_KEY, 10) || 20;
+const MAX_FONT_BYTES = parseInt(process.env.H2I_MAX_FONT_BYTES, 10) || 5 * 1024 * 1024;
+const MAX_FAMILY_CHARS = 100;
+// Quotes, angle brackets and semicolons would break out of the generated @font-face rule.
+const FAMILY_PATTERN = /^[\p{L}\p{N} _.-]+$/u;
+const FONT_STYLES = ['normal', 'italic'];
+const FONT_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const h2iEndpointGuard = createEndpointGuard('h2i');
+const uploadFont = createUploadMiddleware({
+  endpoint: 'h2i',
+  fieldsBuilder: () => [{ name: 'file', maxCount: 1 }],
+});
+
+// Fonts belong to a customer key row; env-configured owner/public keys have nowhere to store them.
+function requireCustomerKey(req, res, next) {
+  if (req.apiKeyType !== 'customer' || !req.customerKey?.id) {
+    return sendError(res, 403, 'customer_key_required', 'Fonts are only available for customer API keys.', {
+      hint: 'Use a customer API key to manage h2i fonts.',
+    });
+  }
+  return next();
+}
+
+/**
+ * Validate family/weight/style form fields. Returns { face } or { error }.
+ */
+function validateFontFace(body = {}) {
+  const family = typeof body.family === 'string' ? body.family.trim() : '';
+  if (!family) return { error: { code: 'missing_field', message: "The 'family' field is required." } };
+  if (family.length > MAX_FAMILY_CHARS || !FAMILY_PATTERN.test(family)) {
+    return {
+      error: {
+        code: 'invalid_parameter',
+        message: `Font family must be up to ${MAX_FAMILY_CHARS} letters, digits, spaces, '.', '_' or '-'.`,
+      },
+    };
+  }
+
+  const weight = body.weight === undefined || body.weight === '' ? 400 : parseInt(body.weight, 10);
+  if (!Number.isFinite(weight) || weight < 100 || weight > 900 || weight % 100 !== 0) {
+    return { error: { code: 'invalid_parameter', message: 'Font weight must be 100, 200, … 900.' } };
+  }
+
+  const style = (body.style || 'normal').toString().toLowerCase();
+  if (!FONT_STYLES.includes(style)) {
+    return { error: { code: 'invalid_parameter', message: 'Font style must be normal or italic.' } };
+  }
+
+  return { face: { family, weight, style } };
+}
+
+module.exports = function (app, { checkApiKey }) {
+  const guards = [checkApiKey, h2iEndpointGuard, requireCustomerKey];
+
+  app.get('/v1/h2i/fonts', ...guards, wrapAsync(async (req, res) => {
+    const rows = await listFonts(req.customerKey.id);
+    res.json({ status: 'ok', fonts: rows.map(formatFont) });
+  }));
+
+  // multipart/form-data: file (TTF/OTF/WOFF2), family, weight, style
+  app.post('/v1/h2i/fonts', ...guards, uploadFont, wrapAsync(async (req, res) => {
+    const file = req.files?.file?.[0];
+    if (!file) return sendError(res, 400, 'missing_field', "Upload the font as a 'file' field.");
+
+    const { face, error } = validateFontFace(req.body);
+    if (error) return sendError(res, 400, error.code, error.message);
+
+    if (file.size > MAX_FONT_BYTES) {
+      return sendError(res, 413, 'file_too_large', 'Font file exceeds size limit.', {
+        hint: `Max size: ${MAX_FONT_BYTES} bytes per font.`,
+      });
+    }
+
+    // Trust the file header, not the client-supplied MIME type or extension.
+    const format = sniffFontFormat(file.buffer);
+    if (!format) {
+      return sendError(res, 400, 'invalid_font', 'Only TTF, OTF and WOFF2 fonts are supported.', {
+        hint: 'Convert WOFF or other formats to WOFF2 before uploading.',
+      });
+    }
+
+    const existing = await countFontsForKey(req.customerKey.id);
+    if (existing >= MAX_FONTS_PER_KEY) {
+      const faces = await listFonts(req.customerKey.id);
+      const replacing = faces.some(
+        row => row.family === face.family && row.weight === face.weight && row.style === face.style
+      );
+      if (!replacing) {
+        return sendError(res, 403, 'font_limit_reached', `You can store at most ${MAX_FONTS_PER_KEY} fonts.`, {
+          hint: 'Delete unused fonts before uploading new ones.',
+        });
+      }
+    }
+
+    const font = await saveFont({ apiKeyId: req.customerKey.id, ...face, format, data: file.buffer });
+    console.log(
+      `[DAVIX][h2i] font saved: key_id=${req.customerKey.id}, font_id=${font.font_id}, family=${font.family}, ` +
+        `weight=${font.weight}, style=${font.style}`
+    );
+    res.status(201).json({ status: 'ok', font: formatFont(font) });
+  }));
+
+  app.delete('/v1/h2i/fonts/:id', ...guards, wrapAsync(async (req, res) => {
+    const deleted = FONT_ID_PATTERN.test(req.params.id)
+      ? await deleteFont(req.customerKey.id, req.params.id)
+      : false;
+    if (!deleted) return sendError(res, 404, 'font_not_found', 'Font not found.');
+    console.log(`[DAVIX][h2i] font deleted: key_id=${req.customerKey.id}, font_id=${req.params.id}`);
+    res.json({ status: 'ok', deleted: true });
+  }));
+};
@@ -1,4 +1,5 @@
-const puppeteer = require('puppeteer');
+const sharp = require('sharp');
+const { PDFDocument } = require('pdf-lib');
 const { v4: uuidv4 } = require('uuid');
 const path = require('path');
 const { sendError } = require('../utils/errorResponse');
@@ -11,7 +12,25 @@ const {
 } = require('../usage');
 const { extractClientInfo } = require('../utils/requestInfo');
 const { wrapAsync } = require('../utils/wrapAsync');
-const { createEndpointGuard } = require('../utils/limits');
+const { createEndpointGuard, parsePositiveIntEnv, resolveRequestLimits } = require('../utils/limits');
+const { withPage } = require('../utils/browserPool');
+const { getTemplate, parseJsonColumn } = require('../utils/h2iTemplates');
+const { renderTemplate } = require('../utils/templateEngine');
+const { parseEmulationOptions, applyEmulation } = require('../utils/h2iEmulation');
+const { MARKDOWN_THEMES, renderMarkdownDocument } = require('../utils/markdownRender');
+const { sanitizeUntrustedHtml } = require('../utils/htmlSanitizer');
+const { listFonts, getFontFaces, findReferencedFamilies, buildFontFaceCss } = require('../utils/h2iFonts');
+const { applyOutputFormat, encodeToTargetSize } = require('../utils/imageEncoding');
+const { createZip } = require('../utils/zipArchive');
+const { createApng } = require('../utils/apng');
+const { pickPdfMetadata, applyPdfMetadata } = require('../utils/pdfMetadata');
+const {
+  checkHostSafety,
+  isBlockedAddress,
+  hostMatchesAllowlist,
+  resolveAllowlist,
+  validatePublicUrl,
+} = require('../utils/networkGuard');
 
 function parseDailyLimitEnv(name, fallback) {
   const value = parseInt(process.env[name], 10);
@@ -31,6 +50,39 @@ const MAX_HTML_CHARS = parseInt(process.env.MAX_HTML_CHARS, 10) || 100_000;
 const MAX_RENDER_PIXELS = parseInt(process.env.MAX_RENDER_PIXELS, 10) || 20_000_000;
 const MAX_RENDER_WIDTH = parseInt(process.env.MAX_RENDER_WIDTH, 10) || 5_000;
 const MAX_RENDER_HEIGHT = parseInt(process.env.MAX_RENDER_HEIGHT, 10) || 8_000;
+const H2I_MAX_SUBREQUESTS = parsePositiveIntEnv('H2I_MAX_SUBREQUESTS', 100);
+const H2I_MAX_FETCH_BYTES = parsePositiveIntEnv('H2I_MAX_FETCH_BYTES', 10 * 1024 * 1024);
+const H2I_URL_MAX_REDIRECTS = parsePositiveIntEnv('H2I_URL_MAX_REDIRECTS', 5);
+const H2I_MAX_DELAY_MS = parsePositiveIntEnv('H2I_MAX_DELAY_MS', 10_000);
+const H2I_MAX_VIEWPORTS = parsePositiveIntEnv('H2I_MAX_VIEWPORTS', 6);
+const MAX_VIEWPORT_NAME_CHARS = 50;
+const COMPOSITE_GAP_PX = 24;
+// After a viewport change, wait this long without network activity before capturing.
+const VIEWPORT_IDLE_MS = 250;
+const H2I_MAX_ANIMATION_DURATION_MS = parsePositiveIntEnv('H2I_MAX_ANIMATION_DURATION_MS', 10_000);
+// Frames are held decoded while the animation is assembled, so frames x frame pixels is capped too.
+const H2I_MAX_ANIMATION_PIXELS = parsePositiveIntEnv('H2I_MAX_ANIMATION_PIXELS', 100_000_000);
+const MAX_ANIMATION_FPS = 30;
+const DEFAULT_ANIMATION_FPS = 10;
+const ANIMATION_FORMATS = { webp: 'webp', gif: 'gif', apng: 'png', zip: 'zip' };
+const MAX_BLOCKED_REPORTED = 50;
+// Renders give up this long before the plan timeout, so their own 504 (or a batch's partial
+// results) goes out before createTimeoutMiddleware's 503.
+const RESPONSE_MARGIN_MS = 1_000;
+const WAIT_UNTIL_VALUES = ['load', 'domcontentloaded', 'networkidle0', 'networkidle2'];
+const MAX_WAIT_EXPRESSION_CHARS = 2_000;
+const MAX_DEVICE_SCALE_FACTOR = 3;
+const DEFAULT_JPEG_QUALITY = 80;
+const IMAGE_FORMATS = ['png', 'jpeg', 'webp', 'avif'];
+const IMAGE_EXTENSIONS = { png: 'png', jpeg: 'jpg', webp: 'webp', avif: 'avif' };
+const PDF_FORMATS = { A3: 'A3', A4: 'A4', A5: 'A5', LETTER: 'Letter', LEGAL: 'Legal' };
+const PDF_LENGTH_PATTERN = /^(\d+(?:\.\d+)?)\s*(mm|cm|in|px)?$/i;
+const PDF_UNITS_PER_INCH = { in: 1, cm: 2.54, mm: 25.4, px: 96 };
+const MAX_PDF_PAGE_INCHES = 200;
+const DEFAULT_PDF_MARGIN = '24px';
+const PAGE_RANGES_PATTERN = /^\d+(?:\s*-\s*\d*)?(?:\s*,\s*\d+(?:\s*-\s*\d*)?)*$/;
+const H2I_ACTIONS = ['image', 'pdf', 'url', 'markdown-image', 'markdown-pdf'];
+const INVALID_ACTION_MESSAGE = 'Invalid action. Use action=image, pdf, url, markdown-image or markdown-pdf.';
 const h2iEndpoint = 'h2i';
 const h2iEndpointGuard = createEndpointGuard(h2iEndpoint);
 
@@ -58,234 +110,947 @@ function h2iDailyLimit(req, res, next) {
   next();
 }
 
-module.exports = function (app, { checkApiKey, h2iDir, baseUrl, timeoutMiddlewareFactory }) {
-  // POST https://pixlab.davix.dev/v1/h2i
-  app.post('/v1/h2i', checkApiKey, h2iEndpointGuard, timeoutMiddlewareFactory(h2iEndpoint), h2iDailyLimit, wrapAsync(async (req, res) => {
-    const action = (req.body?.action || '').toString().toLowerCase();
-    if (!action) {
-      return sendError(res, 400, 'invalid_parameter', 'missing action');
+function truncateUrl(url) {
+  return url.length > 200 ? `${url.slice(0, 200)}...` : url;
+}
+
+/**
+ * Intercept every request the rendered page makes. Private/loopback targets are always denied;
+ * an allowlist (when present) restricts hosts further, and request/byte budgets stop runaway pages.
+ * Chromium resolves hostnames itself after our DNS check, so every response's remote address is
+ * checked too: a host rebound to a private address stops the page, and assertSafe() then fails
+ * the render so nothing read from it is returned.
+ * Returns a tracker whose summary() is reported back to the caller as blockedRequests.
+ */
+async function installRequestGuard(page, { allowlist, maxRequests, maxBytes, maxRedirects = H2I_URL_MAX_REDIRECTS }) {
+  const state = { requests: 0, bytes: 0, blockedCount: 0, blocked: [], stopped: false, rebound: null, redirectLimited: false };
+  const hostChecks = new Map();
+
+  const recordBlocked = (url, resourceType, reason) => {
+    state.blockedCount += 1;
+    if (state.blocked.length < MAX_BLOCKED_REPORTED) {
+      state.blocked.push({ url: truncateUrl(url), resourceType, reason });
+    }
+  };
+
+  const evaluate = async request => {
+    if (state.rebound) return 'private_address';
+    let parsed;
+    try {
+      parsed = new URL(request.url());
+    } catch (e) {
+      return 'invalid_url';
     }
-    if (!['image', 'pdf'].includes(action)) {
-      return sendError(res, 400, 'invalid_parameter', 'Invalid action. Use action=image or action=pdf.', {
-        hint: 'Use action=image or action=pdf.',
+    if (['data:', 'blob:', 'about:'].includes(parsed.protocol)) return null;
+    if (!['http:', 'https:'].includes(parsed.protocol)) return 'scheme_not_allowed';
+    if (request.isNavigationRequest() && request.redirectChain().length > maxRedirects) {
+      if (request.frame() === page.mainFrame()) state.redirectLimited = true;
+      return 'redirect_limit';
+    }
+
+    state.requests += 1;
+    if (state.requests > maxRequests) return 'request_limit';
+    if (state.bytes >= maxBytes) return 'byte_limit';
+    if (allowlist && !hostMatchesAllowlist(parsed.hostname, allowlist)) return 'domain_not_allowed';
+
+    if (!hostChecks.has(parsed.hostname)) {
+      hostChecks.set(parsed.hostname, checkHostSafety(parsed.hostname));
+    }
+    const safety = await hostChecks.get(parsed.hostname);
+    return safety.ok ? null : safety.reason;
+  };
+
+  // WebSockets and WebRTC bypass request interception entirely, so remove them from the page.
+  await page.evaluateOnNewDocument(() => {
+    const disabled = function () {
+      throw new Error('Network access is disabled in this renderer.');
+    };
+    window.WebSocket = disabled;
+    window.RTCPeerConnection = disabled;
+    window.webkitRTCPeerConnection = disabled;
+  });
+
+  const client = await page.createCDPSession();
+  await client.send('Network.enable');
+  client.on('Network.dataReceived', event => {
+    state.bytes += event.encodedDataLength || event.dataLength || 0;
+    if (state.bytes >= maxBytes && !state.stopped) {
+      state.stopped = true;
+      page.evaluate(() => window.stop()).catch(() => {});
+    }
+  });
+
+  await page.setRequestInterception(true);
+  page.on('request', request => {
+    if (request.isInterceptResolutionHandled()) return;
+    evaluate(request)
+      .then(reason => {
+        if (!reason) return request.continue();
+        recordBlocked(request.url(), request.resourceType(), reason);
+        return request.abort('blockedbyclient');
+      })
+      .catch(() => {
+        // request already handled or page closed
       });
+  });
+
+  page.on('response', response => {
+    const remote = response.remoteAddress();
+    if (!remote || !remote.ip || !isBlockedAddress(remote.ip) || state.rebound) return;
+    state.rebound = { url: truncateUrl(response.url()), ip: remote.ip };
+    recordBlocked(response.url(), response.request().resourceType(), 'private_address');
+    page.evaluate(() => window.stop()).catch(() => {});
+  });
+
+  return {
+    summary: () => ({ count: state.blockedCount, items: state.blocked }),
+    redirectLimited: () => state.redirectLimited,
+    assertSafe: () => {
+      if (!state.rebound) return;
+      const err = new Error(`${state.rebound.url} was served from a private address.`);
+      err.code = 'url_not_allowed';
+      err.details = { reason: 'private_address', blockedRequests: { count: state.blockedCount, items: state.blocked } };
+      throw err;
+    },
+  };
+}
+
+function parseNumber(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const parsed = Number(value);
+  return Number.isFinite(parsed) ? parsed : NaN;
+}
+
+/**
+ * Validate screenshot options for image output. Returns { capture } or { error: message }.
+ * At most one of selector, fullPage and clip picks the capture area; the default is <body>.
+ */
+function parseCaptureOptions(body = {}, imageFormat) {
+  const deviceScaleFactor = parseNumber(body.deviceScaleFactor);
+  if (Number.isNaN(deviceScaleFactor) || (deviceScaleFactor !== null &&
+      (deviceScaleFactor < 1 || deviceScaleFactor > MAX_DEVICE_SCALE_FACTOR))) {
+    return { error: `deviceScaleFactor must be between 1 and ${MAX_DEVICE_SCALE_FACTOR}.` };
+  }
+
+  const quality = parseNumber(body.quality);
+  if (Number.isNaN(quality) || (quality !== null && (!Number.isInteger(quality) || quality < 1 || quality > 100))) {
+    return { error: 'quality must be an integer between 1 and 100.' };
+  }
+
+  const selector = typeof body.selector === 'string' && body.selector.trim() ? body.selector.trim() : null;
+  const fullPage = parseBoolean(body.fullPage, false);
+  let clip = null;
+  if (body.clip !== undefined && body.clip !== null) {
+    const raw = body.clip;
+    clip = {
+      x: parseNumber(raw.x) ?? 0,
+      y: parseNumber(raw.y) ?? 0,
+      width: parseNumber(raw.width),
+      height: parseNumber(raw.height),
+    };
+    const valid = typeof raw === 'object' &&
+      [clip.x, clip.y].every(v => Number.isFinite(v) && v >= 0) &&
+      [clip.width, clip.height].every(v => Number.isFinite(v) && v > 0);
+    if (!valid) {
+      return { error: 'clip must be an object with x, y >= 0 and positive width and height.' };
     }
+  }
 
-    const isCustomer = req.apiKeyType === 'customer';
-    const filesToConsume = 1;
-    const bytesIn = Buffer.byteLength(req.body?.html || '') + Buffer.byteLength(req.body?.css || '');
-    let bytesOut = 0;
-    let hadError = false;
-    let errorCode = null;
-    let errorMessage = null;
-    let width = null;
-    let height = null;
-    let format = null;
-    let usageAction = 'html_to_image';
-    const { ip, userAgent } = extractClientInfo(req);
-    let browser = null;
+  if ([selector, fullPage || null, clip].filter(Boolean).length > 1) {
+    return { error: 'Use only one of selector, fullPage or clip.' };
+  }
+
+  const omitBackground = parseBoolean(body.omitBackground, false);
+  if (omitBackground && imageFormat === 'jpeg') {
+    return { error: 'omitBackground requires format=png, webp or avif.' };
+  }
+
+  // outputWidth/outputHeight downscale the captured image; width/height remain the viewport size.
+  const outputWidth = parseNumber(body.outputWidth);
+  const outputHeight = parseNumber(body.outputHeight);
+  const targetSizeKB = parseNumber(body.targetSizeKB);
+  const isPositiveInt = v => v === null || (Number.isInteger(v) && v > 0);
+  if (!isPositiveInt(outputWidth) || !isPositiveInt(outputHeight)) {
+    return { error: 'outputWidth and outputHeight must be positive integers.' };
+  }
+  if (!isPositiveInt(targetSizeKB)) {
+    return { error: 'targetSizeKB must be a positive integer.' };
+  }
+  // PNG has no quality setting to search.
+  if (targetSizeKB && imageFormat === 'png') {
+    return { error: 'targetSizeKB requires format=jpeg, webp or avif.' };
+  }
+
+  return {
+    capture: {
+      deviceScaleFactor: deviceScaleFactor || 1,
+      quality,
+      selector,
+      fullPage,
+      clip,
+      omitBackground,
+      outputWidth,
+      outputHeight,
+      targetSizeKB,
+    },
+  };
+}
+
+/**
+ * Validate the optional `viewports` list for image output. Returns { viewports } (null when not
+ * sent) or { error: message }. Entries without deviceScaleFactor use the request-level value.
+ */
+function parseViewports(body = {}, defaultScaleFactor) {
+  const raw = body.viewports;
+  if (raw === undefined || raw === null) return { viewports: null };
+  if (!Array.isArray(raw) || !raw.length) return { error: 'viewports must be a non-empty array.' };
+  if (raw.length > H2I_MAX_VIEWPORTS) return { error: `viewports accepts at most ${H2I_MAX_VIEWPORTS} entries.` };
+
+  const viewports = [];
+  for (const [index, entry] of raw.entries()) {
+    if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+      return { error: `viewports[${index}] must be an object.` };
+    }
+    const width = parseNumber(entry.width);
+    const height = parseNumber(entry.height);
+    const validSide = (v, max) => Number.isInteger(v) && v >= 1 && v <= max;
+    if (!validSide(width, MAX_RENDER_WIDTH) || !validSide(height, MAX_RENDER_HEIGHT)) {
+      return {
+        error: `viewports[${index}] needs integer width (1-${MAX_RENDER_WIDTH}) and height (1-${MAX_RENDER_HEIGHT}).`,
+      };
+    }
+    const scale = parseNumber(entry.deviceScaleFactor);
+    if (Number.isNaN(scale) || (scale !== null && (scale < 1 || scale > MAX_DEVICE_SCALE_FACTOR))) {
+      return { error: `viewports[${index}].deviceScaleFactor must be between 1 and ${MAX_DEVICE_SCALE_FACTOR}.` };
+    }
+    const deviceScaleFactor = scale || defaultScaleFactor;
+    if (width * height * deviceScaleFactor * deviceScaleFactor > MAX_RENDER_PIXELS) {
+      return { error: `viewports[${index}] exceeds maximum pixels (${MAX_RENDER_PIXELS}).` };
+    }
+    const name = entry.name === undefined || entry.name === null ? null : String(entry.name);
+    if (name !== null && name.length > MAX_VIEWPORT_NAME_CHARS) {
+      return { error: `viewports[${index}].name exceeds ${MAX_VIEWPORT_NAME_CHARS} characters.` };
+    }
+    viewports.push({ name, width, height, deviceScaleFactor, isMobile: parseBoolean(entry.isMobile, false) });
+  }
+  return { viewports };
+}
+
+/**
+ * Validate the optional `animation` object for image output. Returns { animation } (null when
+ * not sent) or { error: message }. The frame count is fps x durationMs, capped by `maxFrames`.
+ */
+function parseAnimationOptions(body = {}, maxFrames) {
+  const raw = body.animation;
+  if (raw === undefined || raw === null) return { animation: null };
+  if (typeof raw !== 'object' || Array.isArray(raw)) return { error: 'animation must be an object.' };
+
+  const fps = parseNumber(raw.fps) ?? DEFAULT_ANIMATION_FPS;
+  if (!Number.isInteger(fps) || fps < 1 || fps > MAX_ANIMATION_FPS) {
+    return { error: `animation.fps must be an integer between 1 and ${MAX_ANIMATION_FPS}.` };
+  }
+  const durationMs = parseNumber(raw.durationMs);
+  if (!Number.isInteger(durationMs) || durationMs < 1 || durationMs > H2I_MAX_ANIMATION_DURATION_MS) {
+    return { error: `animation.durationMs must be an integer between 1 and ${H2I_MAX_ANIMATION_DURATION_MS}.` };
+  }
+  const format = (raw.format || 'webp').toString().toLowerCase();
+  if (!ANIMATION_FORMATS[format]) {
+    return { error: `animation.format must be one of ${Object.keys(ANIMATION_FORMATS).join(', ')}.` };
+  }
+  const loop = parseNumber(raw.loop) ?? 0;
+  if (!Number.isInteger(loop) || loop < 0 || loop > 65535) {
+    return { error: 'animation.loop must be an integer between 0 (forever) and 65535.' };
+  }
+
+  const frames = Math.ceil((fps * durationMs) / 1000);
+  if (frames > maxFrames) {
+    return { error: `animation needs ${frames} frames; your plan allows at most ${maxFrames}.`, maxFrames };
+  }
+  return { animation: { fps, durationMs, format, loop, frames, frameMs: 1000 / fps } };
+}
+
+/**
+ * Parse a PDF length: a number (px) or a string with mm/cm/in/px units.
+ * Returns the puppeteer string form, null when absent, or NaN when invalid.
+ */
+function parsePdfLength(value, { allowZero = true } = {}) {
+  if (value === undefined || value === null || value === '') return null;
+  const match = String(value).trim().match(PDF_LENGTH_PATTERN);
+  if (!match) return NaN;
+  const amount = parseFloat(match[1]);
+  const unit = (match[2] || 'px').toLowerCase();
+  if (!allowZero && amount <= 0) return NaN;
+  if (amount / PDF_UNITS_PER_INCH[unit] > MAX_PDF_PAGE_INCHES) return NaN;
+  return `${amount}${unit}`;
+}
+
+function parsePageRanges(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const normalized = String(value).trim();
+  if (!PAGE_RANGES_PATTERN.test(normalized)) return NaN;
+  const valid = normalized.split(',').every(part => {
+    const [start, end] = part.split('-').map(v => v.trim());
+    const from = parseInt(start, 10);
+    if (from < 1) return false;
+    return end === undefined || end === '' || parseInt(end, 10) >= from;
+  });
+  return valid ? normalized.replace(/\s+/g, '') : NaN;
+}
+
+/**
+ * Validate PDF page options. Returns { pdf } with puppeteer page.pdf() fields, or { error: message }.
+ */
+function parsePdfOptions(body = {}) {
+  const pdf = {};
+
+  const customWidth = parsePdfLength(body.pdfWidth, { allowZero: false });
+  const customHeight = parsePdfLength(body.pdfHeight, { allowZero: false });
+  if (Number.isNaN(customWidth) || Number.isNaN(customHeight)) {
+    return { error: `pdfWidth and pdfHeight must be positive lengths in mm, cm, in or px (max ${MAX_PDF_PAGE_INCHES}in).` };
+  }
+  if (customWidth || customHeight) {
+    if (!customWidth || !customHeight) return { error: 'pdfWidth and pdfHeight must be sent together.' };
+    if (body.pdfFormat) return { error: 'Use either pdfFormat or pdfWidth/pdfHeight.' };
+    pdf.width = customWidth;
+    pdf.height = customHeight;
+  } else {
+    const formatKey = (body.pdfFormat || 'A4').toString().toUpperCase();
+    if (!PDF_FORMATS[formatKey]) {
+      return { error: `pdfFormat must be one of ${Object.values(PDF_FORMATS).join(', ')}.` };
+    }
+    pdf.format = PDF_FORMATS[formatKey];
+  }
+
+  const margin = body.pdfMargin;
+  const sides = ['top', 'right', 'bottom', 'left'];
+  if (margin !== null && typeof margin === 'object') {
+    pdf.margin = {};
+    for (const side of sides) {
+      const length = parsePdfLength(margin[side]);
+      if (Number.isNaN(length)) return { error: `pdfMargin.${side} must be a length in mm, cm, in or px.` };
+      pdf.margin[side] = length || DEFAULT_PDF_MARGIN;
+    }
+  } else {
+    const length = parsePdfLength(margin);
+    if (Number.isNaN(length)) return { error: 'pdfMargin must be a length in mm, cm, in or px, or an object with top/right/bottom/left.' };
+    pdf.margin = Object.fromEntries(sides.map(side => [side, length || DEFAULT_PDF_MARGIN]));
+  }
+
+  const pageRanges = parsePageRanges(body.pageRanges);
+  if (Number.isNaN(pageRanges)) return { error: 'pageRanges must look like "1-3, 5, 8-".' };
+  if (pageRanges) pdf.pageRanges = pageRanges;
+
+  const { headerTemplate, footerTemplate } = body;
+  for (const [name, value] of [['headerTemplate', headerTemplate], ['footerTemplate', footerTemplate]]) {
+    if (value === undefined || value === null) continue;
+    if (typeof value !== 'string') return { error: `${name} must be a string.` };
+    if (value.length > MAX_HTML_CHARS) return { error: `${name} exceeds ${MAX_HTML_CHARS} characters.` };
+  }
+  if (headerTemplate || footerTemplate) {
+    // Chrome prints its own date/title header when only one side is supplied.
+    pdf.displayHeaderFooter = true;
+    pdf.headerTemplate = headerTemplate || '<span></span>';
+    pdf.footerTemplate = footerTemplate || '<span></span>';
+  }
+
+  // Chrome builds the outline from the tagged structure tree, so an outline needs tagging.
+  pdf.tagged = parseBoolean(body.tagged, true);
+  pdf.outline = parseBoolean(body.outline, false);
+  if (pdf.outline && !pdf.tagged) return { error: 'outline requires tagged=true.' };
+
+  const { metadata, error: metadataError } = pickPdfMetadata(body);
+  if (metadataError) return { error: metadataError };
+
+  return { pdf, metadata };
+}
+
+/**
+ * Validate readiness options. Returns { wait } or { error: message }.
+ */
+function parseWaitOptions(body = {}) {
+  const waitUntil = (body.waitUntil || 'networkidle0').toString().toLowerCase();
+  if (!WAIT_UNTIL_VALUES.includes(waitUntil)) {
+    return { error: `waitUntil must be one of ${WAIT_UNTIL_VALUES.join(', ')}.` };
+  }
 
+  const { waitForSelector, waitForFunction } = body;
+  for (const [name, value] of [['waitForSelector', waitForSelector], ['waitForFunction', waitForFunction]]) {
+    if (value === undefined || value === null || value === '') continue;
+    if (typeof value !== 'string') return { error: `${name} must be a string.` };
+    if (value.length > MAX_WAIT_EXPRESSION_CHARS) {
+      return { error: `${name} exceeds ${MAX_WAIT_EXPRESSION_CHARS} characters.` };
+    }
+  }
+
+  const delayMs = parseNumber(body.delayMs);
+  if (Number.isNaN(delayMs) || (delayMs !== null && (!Number.isInteger(delayMs) || delayMs < 0 || delayMs > H2I_MAX_DELAY_MS))) {
+    return { error: `delayMs must be an integer between 0 and ${H2I_MAX_DELAY_MS}.` };
+  }
+
+  return {
+    wait: {
+      waitUntil,
+      selector: waitForSelector || null,
+      expression: waitForFunction || null,
+      delayMs: delayMs || 0,
+    },
+  };
+}
+
+function withTimeout(promise, timeoutMs) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => {
+      const err = new Error(`Timed out after ${timeoutMs}ms.`);
+      err.name = 'TimeoutError';
+      reject(err);
+    }, timeoutMs);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Run the post-load readiness steps in order, each bounded by what is left of the plan timeout.
+ * Fonts always come first: registered families are loaded explicitly (a face that is declared but
+ * not yet used would otherwise be skipped), then `document.fonts.ready` covers every other web font.
+ * Returns per-step timings in ms.
+ */
+async function waitForReadiness(page, wait, remainingMs, { fontFamilies = [] } = {}) {
+  const timings = {};
+  const timed = async (name, step) => {
+    const startedAt = Date.now();
     try {
-      let {
-        html,
-        css,
-        width: reqWidth,
-        height: reqHeight,
-        format: reqFormat,
-        pdfFormat,
-        pdfLandscape,
-        pdfMargin,
-        preferCSSPageSize,
-        scale,
-        printMode,
-        printBackground,
-      } = req.body;
-
-      const outputMode = action === 'pdf' ? 'pdf' : 'image';
-      if (outputMode !== 'image' && outputMode !== 'pdf') {
-        hadError = true;
-        errorCode = 'invalid_parameter';
-        errorMessage = 'Invalid output mode.';
-        await recordUsageAndLog({
-          apiKeyRecord: req.customerKey || null,
-          endpoint: 'h2i',
-          action: usageAction,
-          filesProcessed: 0,
-          bytesIn,
-          bytesOut: 0,
-          status: 400,
-          ip,
-          userAgent,
-          ok: false,
-          errorCode,
-          errorMessage,
-          paramsForLog: {
-            width,
-            height,
-            format: format || 'png',
-            output: outputMode,
-          },
-          usagePeriod: isCustomer ? getUsagePeriodForKey(req.customerKey, req.customerKey?.plan) : null,
-        });
-        return sendError(res, 400, 'invalid_parameter', 'Invalid output mode.', {
-          hint: 'Use output=image or output=pdf.',
-        });
-      }
+      await step();
+    } catch (err) {
+      if (err.name !== 'TimeoutError') throw err;
+      const timeoutErr = new Error(`Timed out during ${name}.`);
+      timeoutErr.code = 'wait_timeout';
+      timeoutErr.details = { step: name, waitMs: { ...timings, [name]: Date.now() - startedAt } };
+      throw timeoutErr;
+    }
+    timings[name] = Date.now() - startedAt;
+  };
 
-      usageAction = outputMode === 'pdf' ? 'html_to_pdf' : 'html_to_image';
+  await timed('fonts', () => withTimeout(page.evaluate(async families => {
+    const wanted = new Set(families.map(family => family.toLowerCase()));
+    const faces = [...document.fonts].filter(face => wanted.has(face.family.replace(/^["']|["']$/g, '').toLowerCase()));
+    await Promise.all(faces.map(face => face.load().catch(() => null)));
+    await document.fonts.ready;
+  }, fontFamilies), remainingMs()));
+  if (wait.selector) {
+    await timed('selector', () => page.waitForSelector(wait.selector, { timeout: remainingMs() }));
+  }
+  if (wait.expression) {
+    await timed('function', () => page.waitForFunction(wait.expression, { timeout: remainingMs() }));
+  }
+  if (wait.delayMs) {
+    const delay = Math.min(wait.delayMs, remainingMs());
+    await timed('delay', () => new Promise(resolve => setTimeout(resolve, delay)));
+  }
+  return timings;
+}
 
-      if (typeof html === 'string' && html.length > MAX_HTML_CHARS) {
-        hadError = true;
-        errorCode = 'html_too_large';
-        errorMessage = `HTML exceeds maximum length of ${MAX_HTML_CHARS} characters.`;
-        await recordUsageAndLog({
-          apiKeyRecord: req.customerKey || null,
-          endpoint: 'h2i',
-          action: 'html_to_image',
-          filesProcessed: 0,
-          bytesIn,
-          bytesOut: 0,
-          status: 413,
-          ip,
-          userAgent,
-          ok: false,
-          errorCode,
-          errorMessage,
-          paramsForLog: {
-            width,
-            height,
-            format: format || 'png',
-            output: outputMode,
-          },
-          usagePeriod: isCustomer ? getUsagePeriodForKey(req.customerKey, req.customerKey?.plan) : null,
-        });
-        return sendError(res, 413, 'html_too_large', errorMessage);
-      }
+function renderSizeError(cssWidth, cssHeight, deviceScaleFactor) {
+  const outputWidth = Math.ceil(cssWidth * deviceScaleFactor);
+  const outputHeight = Math.ceil(cssHeight * deviceScaleFactor);
+  if (
+    outputWidth <= MAX_RENDER_WIDTH &&
+    outputHeight <= MAX_RENDER_HEIGHT &&
+    outputWidth * outputHeight <= MAX_RENDER_PIXELS
+  ) {
+    return null;
+  }
+  const err = new Error(
+    `Capture of ${outputWidth}x${outputHeight}px exceeds the render limits ` +
+      `(${MAX_RENDER_WIDTH}x${MAX_RENDER_HEIGHT}, ${MAX_RENDER_PIXELS} pixels).`
+  );
+  err.code = 'render_size_exceeded';
+  err.details = {
+    width: outputWidth,
+    height: outputHeight,
+    maxWidth: MAX_RENDER_WIDTH,
+    maxHeight: MAX_RENDER_HEIGHT,
+    maxPixels: MAX_RENDER_PIXELS,
+  };
+  return err;
+}
 
-      const usagePeriod = isCustomer ? getUsagePeriodForKey(req.customerKey, req.customerKey?.plan) : null;
+/**
+ * Screenshot the requested area. The capture box is measured first so element, full-page and
+ * clip captures (multiplied by deviceScaleFactor) stay inside the render limits.
+ */
+async function captureScreenshot(page, capture, screenshotOptions) {
+  const options = { ...screenshotOptions, omitBackground: capture.omitBackground };
 
-      if (!html) {
-        hadError = true;
-        errorCode = 'missing_field';
-        errorMessage = "The 'html' field is required.";
-        await recordUsageAndLog({
-          apiKeyRecord: req.customerKey || null,
-          endpoint: 'h2i',
-          action: 'html_to_image',
-          filesProcessed: 0,
-          bytesIn,
-          bytesOut: 0,
-          status: 400,
-          ip,
-          userAgent,
-          ok: false,
-          errorCode,
-          errorMessage,
-          paramsForLog: {
-            width,
-            height,
-            format: format || 'png',
-            output: outputMode,
-          },
-          usagePeriod,
-        });
-        return sendError(res, 400, 'missing_field', "The 'html' field is required.", {
-            hint: "Send a JSON body with an 'html' string.",
-          });
-      }
+  if (capture.clip) {
+    const sizeErr = renderSizeError(capture.clip.width, capture.clip.height, capture.deviceScaleFactor);
+    if (sizeErr) throw sizeErr;
+    return page.screenshot({ ...options, clip: capture.clip, captureBeyondViewport: true });
+  }
 
-      if (isCustomer) {
-        const usage = await getOrCreateUsageForKey(
-          req.customerKey.id,
-          usagePeriod,
-          req.customerKey.monthly_quota
-        );
-        const quota = checkMonthlyQuota(usage, req.customerKey.monthly_quota, filesToConsume);
-        if (!quota.allowed) {
-          hadError = true;
-          errorCode = 'monthly_quota_exceeded';
-          errorMessage = 'Your monthly Pixlab quota has been exhausted.';
-          await recordUsageAndLog({
-          apiKeyRecord: req.customerKey || null,
-          endpoint: 'h2i',
-          action: 'html_to_image',
-          filesProcessed: 0,
-          bytesIn,
-          bytesOut: 0,
-          status: 429,
-          ip,
-          userAgent,
-          ok: false,
-          errorCode,
-          errorMessage,
-          paramsForLog: {
-            width,
-            height,
-            format: format || 'png',
-            output: outputMode,
-          },
-            usagePeriod,
-          });
-          return res.status(429).json({
-            error: 'monthly_quota_exceeded',
-            message: 'Your monthly Pixlab quota has been exhausted.',
-            details: {
-              limit: req.customerKey.monthly_quota,
-              used: usage.used_files,
-              remaining: quota.remaining,
-              period: usage.period,
-            },
-          });
-        }
-      }
+  if (capture.fullPage) {
+    const size = await page.evaluate(() => ({
+      width: Math.max(document.documentElement.scrollWidth, window.innerWidth),
+      height: Math.max(document.documentElement.scrollHeight, window.innerHeight),
+    }));
+    const sizeErr = renderSizeError(size.width, size.height, capture.deviceScaleFactor);
+    if (sizeErr) throw sizeErr;
+    return page.screenshot({ ...options, fullPage: true });
+  }
 
-      // Default Pinterest-style size
-      const parsedWidth = parseInt(reqWidth, 10);
-      const parsedHeight = parseInt(reqHeight, 10);
-      const safeWidth = Number.isFinite(parsedWidth) ? parsedWidth : 1000;
-      const safeHeight = Number.isFinite(parsedHeight) ? parsedHeight : 1500;
+  let element;
+  try {
+    element = await page.$(capture.selector || 'body');
+  } catch (err) {
+    element = null;
+  }
+  const box = element ? await element.boundingBox() : null;
+  if (!box) {
+    const err = new Error(`No visible element matches selector "${capture.selector}".`);
+    err.code = 'selector_not_found';
+    err.details = { selector: capture.selector };
+    throw err;
+  }
+  const sizeErr = renderSizeError(box.width, box.height, capture.deviceScaleFactor);
+  if (sizeErr) throw sizeErr;
+  return element.screenshot(options);
+}
 
-      width = Math.min(Math.max(safeWidth, 1), MAX_RENDER_WIDTH);
-      height = Math.min(Math.max(safeHeight, 1), MAX_RENDER_HEIGHT);
+/**
+ * Downscale and re-encode a lossless screenshot with the shared sharp encoders
+ * (same quality search as /v1/image targetSizeKB).
+ */
+async function encodeScreenshot(screenshot, format, capture) {
+  let resized = Buffer.from(screenshot);
+  if (capture.outputWidth || capture.outputHeight) {
+    resized = await sharp(resized)
+      .resize({
+        width: capture.outputWidth || null,
+        height: capture.outputHeight || null,
+        fit: 'inside',
+        withoutEnlargement: true,
+      })
+      .toBuffer();
+  }
 
-      const totalPixels = width * height;
-      if (totalPixels > MAX_RENDER_PIXELS) {
-        hadError = true;
-        errorCode = 'render_size_exceeded';
-        errorMessage = `Requested render size exceeds maximum pixels (${MAX_RENDER_PIXELS}).`;
-        await recordUsageAndLog({
-          apiKeyRecord: req.customerKey || null,
-          endpoint: 'h2i',
-          action: 'html_to_image',
-          filesProcessed: 0,
-          bytesIn,
-          bytesOut: 0,
-          status: 400,
-          ip,
-          userAgent,
-          ok: false,
-          errorCode,
-          errorMessage,
-          paramsForLog: {
-            width,
-            height,
-            format: reqFormat || 'png',
-            output: outputMode,
-          },
-          usagePeriod,
-        });
-        return sendError(res, 400, 'render_size_exceeded', errorMessage, {
-          hint: 'Reduce width/height or target a smaller viewport.',
-        });
-      }
+  const encode = q => applyOutputFormat(sharp(resized), format, q).toBuffer();
+  if (capture.targetSizeKB) {
+    return encodeToTargetSize(encode, { targetBytes: capture.targetSizeKB * 1024, quality: capture.quality });
+  }
+  const quality = capture.quality || (format === 'jpeg' ? DEFAULT_JPEG_QUALITY : null);
+  return { buffer: await encode(quality), qualityUsed: quality };
+}
+
+const RENDER_FAILURES = {
+  browser_pool_timeout: {
+    status: 503,
+    code: 'renderer_busy',
+    message: 'All renderers are busy.',
+    hint: 'Retry shortly or reduce the number of concurrent h2i requests.',
+  },
+  browser_pool_closed: {
+    status: 503,
+    code: 'renderer_busy',
+    message: 'All renderers are busy.',
+    hint: 'Retry shortly or reduce the number of concurrent h2i requests.',
+  },
+  url_not_allowed: {
+    status: 400,
+    code: 'url_not_allowed',
+    message: 'The url or one of its redirects points to a host that cannot be rendered.',
+    hint: 'Use a public http(s) URL that is allowed by your plan.',
+  },
+  too_many_redirects: {
+    status: 400,
+    code: 'too_many_redirects',
+    message: `The url redirected more than ${H2I_URL_MAX_REDIRECTS} times.`,
+    hint: 'Pass the final URL instead of one that redirects.',
+  },
+  navigation_timeout: {
+    status: 504,
+    code: 'navigation_timeout',
+    message: 'The page did not finish loading before the timeout.',
+    hint: 'Try a lighter page or a plan with a longer timeout.',
+  },
+  render_size_exceeded: {
+    status: 400,
+    code: 'render_size_exceeded',
+    message: 'The captured area exceeds the maximum render size.',
+    hint: 'Capture a smaller area or lower deviceScaleFactor.',
+  },
+  wait_timeout: {
+    status: 504,
+    code: 'wait_timeout',
+    message: 'The page did not become ready before the timeout.',
+    hint: 'Check waitForSelector/waitForFunction, lower delayMs, or use a plan with a longer timeout.',
+  },
+  invalid_page_range: {
+    status: 400,
+    code: 'invalid_parameter',
+    message: 'pageRanges selects pages that do not exist in the document.',
+    hint: 'Check pageRanges against the number of rendered pages.',
+  },
+  selector_not_found: {
+    status: 400,
+    code: 'selector_not_found',
+    message: 'No visible element matches the selector.',
+    hint: 'Check the selector against the rendered HTML.',
+  },
+  url_fetch_failed: {
+    status: 502,
+    code: 'url_fetch_failed',
+    message: 'The page could not be loaded.',
+    hint: 'Check that the URL is reachable from the public internet.',
+  },
+};
+
+function describeRenderFailure(err) {
+  const known = err && RENDER_FAILURES[err.code];
+  if (known) {
+    // Size failures carry the measured dimensions in their message; keep it.
+    const message = err.code === 'render_size_exceeded' ? err.message : known.message;
+    return { ...known, message, details: err.details };
+  }
+  return {
+    status: 500,
+    code: 'html_render_failed',
+    message: 'Failed to render HTML to image.',
+    hint: 'Check your HTML/CSS. If the issue persists with valid HTML, contact support.',
+    details: err,
+  };
+}
+
+function navigationError(err, requestGuard) {
+  const wrapped = new Error(err.message);
+  if (/ERR_BLOCKED_BY_CLIENT/.test(err.message || '')) {
+    wrapped.code = requestGuard.redirectLimited() ? 'too_many_redirects' : 'url_not_allowed';
+  } else if (err.name === 'TimeoutError') {
+    wrapped.code = 'navigation_timeout';
+  } else {
+    wrapped.code = 'url_fetch_failed';
+  }
+  wrapped.details = { reason: err.message, blockedRequests: requestGuard.summary() };
+  return wrapped;
+}
+
+/**
+ * Merge a stored template with request data. Request `css` is appended after the template CSS.
+ * Returns { html, css, version } or { error: { status, code, message, hint } }.
+ */
+async function resolveTemplateHtml(req, templateId, data, { html, css, body = req.body }) {
+  if (req.apiKeyType !== 'customer' || !req.customerKey?.id) {
+    return {
+      error: {
+        status: 403,
+        code: 'customer_key_required',
+        message: 'Templates are only available for customer API keys.',
+        hint: 'Send html directly or use a customer API key.',
+      },
+    };
+  }
+  if (html) {
+    return {
+      error: {
+        status: 400,
+        code: 'invalid_parameter',
+        message: "Send either 'html' or 'template_id', not both.",
+      },
+    };
+  }
+  if (data !== undefined && data !== null && (typeof data !== 'object' || Array.isArray(data))) {
+    return {
+      error: { status: 400, code: 'invalid_parameter', message: "The 'data' field must be a JSON object." },
+    };
+  }
+
+  const parsedVersion = parseInt(body?.template_version ?? body?.templateVersion, 10);
+  const requestedVersion = Number.isFinite(parsedVersion) && parsedVersion > 0 ? parsedVersion : null;
+  // Batch rows share one template; look it up once per request.
+  if (!req._h2iTemplateCache) req._h2iTemplateCache = new Map();
+  const cacheKey = `${templateId}:${requestedVersion || 'latest'}`;
+  if (!req._h2iTemplateCache.has(cacheKey)) {
+    req._h2iTemplateCache.set(cacheKey, getTemplate(req.customerKey.id, String(templateId), requestedVersion));
+  }
+  const template = await req._h2iTemplateCache.get(cacheKey);
+  if (!template) {
+    return { error: { status: 404, code: 'template_not_found', message: 'Template not found.' } };
+  }
+
+  try {
+    const renderOptions = { maxOutputChars: MAX_HTML_CHARS };
+    const mergedCss = [template.css ? renderTemplate(template.css, data || {}, renderOptions) : '', css || '']
+      .filter(Boolean)
+      .join('\n');
+    return {
+      html: renderTemplate(template.html, data || {}, renderOptions),
+      css: mergedCss || null,
+      version: template.version,
+      emulation: parseJsonColumn(template.emulation_json),
+    };
+  } catch (err) {
+    if (err.code === 'template_output_too_large') {
+      return { error: { status: 413, code: 'html_too_large', message: err.message } };
+    }
+    return { error: { status: 400, code: 'template_render_failed', message: err.message } };
+  }
+}
+
+/**
+ * Collect registered fonts for this render: families named in `fonts` plus families referenced in
+ * the HTML/CSS. Returns { css, families } or { error }. Lookups are cached on `req` for batches.
+ */
+async function resolveRenderFonts(req, body, text) {
+  let requested = body.fonts;
+  if (typeof requested === 'string') requested = requested.split(',');
+  if (requested !== undefined && requested !== null && !Array.isArray(requested)) {
+    return { error: { status: 400, code: 'invalid_parameter', message: "The 'fonts' field must be an array of family names." } };
+  }
+  requested = (requested || []).map(family => String(family).trim()).filter(Boolean);
+
+  if (req.apiKeyType !== 'customer' || !req.customerKey?.id) {
+    if (!requested.length) return { css: null, families: [] };
+    return {
+      error: {
+        status: 403,
+        code: 'customer_key_required',
+        message: 'Fonts are only available for customer API keys.',
+        hint: 'Embed @font-face rules in css or use a customer API key.',
+      },
+    };
+  }
+
+  if (!req._h2iFontList) req._h2iFontList = listFonts(req.customerKey.id);
+  const registered = await req._h2iFontList;
+  const known = new Map(registered.map(font => [font.family.toLowerCase(), font.family]));
+  const missing = requested.filter(family => !known.has(family.toLowerCase()));
+  if (missing.length) {
+    return {
+      error: {
+        status: 400,
+        code: 'font_not_found',
+        message: 'Some requested fonts are not registered for this API key.',
+        details: { families: missing },
+      },
+    };
+  }
+
+  const families = [
+    ...new Set([...requested.map(family => known.get(family.toLowerCase())), ...findReferencedFamilies(registered, text)]),
+  ].sort();
+  if (!families.length) return { css: null, families };
+
+  if (!req._h2iFontCss) req._h2iFontCss = new Map();
+  const cacheKey = families.join('\n');
+  if (!req._h2iFontCss.has(cacheKey)) {
+    req._h2iFontCss.set(cacheKey, getFontFaces(req.customerKey.id, families).then(buildFontFaceCss));
+  }
+  return { css: await req._h2iFontCss.get(cacheKey), families };
+}
+
+/**
+ * Validate one render (a /v1/h2i body or a batch item) and build the job for renderJob().
+ * Returns { meta, job } or { meta, error: { status, code, message, hint, details } };
+ * `meta` carries what is known so far for usage logging.
+ */
+async function prepareRenderJob(req, body, {
+  action,
+  h2iAllowedDomains,
+  h2iAnimation = { maxFrames: 0 },
+  forceSafeMode = false,
+}) {
+  const isUrlMode = action === 'url';
+  const isMarkdown = action.startsWith('markdown-');
+  const outputMode = outputModeFor(action, body);
+  const templateId = isUrlMode || isMarkdown ? null : (body.template_id || body.templateId || null);
+  const meta = { outputMode, width: null, height: null, format: null, templateId, templateVersion: null };
+  const fail = (status, code, message, extra = {}) => ({ meta, error: { status, code, message, ...extra } });
+
+  let {
+    html,
+    css,
+    width: reqWidth,
+    height: reqHeight,
+    format: reqFormat,
+    allowedDomains,
+    url: targetUrl,
+    data: templateData,
+  } = body;
+
+  if (outputMode !== 'image' && outputMode !== 'pdf') {
+    return fail(400, 'invalid_parameter', 'Invalid output mode.', { hint: 'Use output=image or output=pdf.' });
+  }
+
+  const allowlist = resolveAllowlist(h2iAllowedDomains, allowedDomains);
+  let navigationUrl = null;
+
+  // Safe mode (forced by plan or key type) disables page scripts and sanitizes the HTML; a URL's
+  // HTML is fetched by the browser, so only the script switch applies there.
+  const javaScriptEnabled = forceSafeMode ? false : parseBoolean(body.javaScriptEnabled, true);
+  const sanitize = forceSafeMode ? !isUrlMode : parseBoolean(body.sanitize, false);
+  if (sanitize && isUrlMode) {
+    return fail(400, 'invalid_parameter', 'sanitize is not supported for action=url.', {
+      hint: 'Use javaScriptEnabled=false to render a page without running its scripts.',
+    });
+  }
 
-      format = outputMode === 'pdf' ? 'pdf' : (reqFormat || 'png');
-      const normalizedFormat = format.toLowerCase();
-      const screenshotType = normalizedFormat === 'jpeg' ? 'jpeg' : 'png';
+  if (isUrlMode) {
+    if (!targetUrl) {
+      return fail(400, 'missing_field', "The 'url' field is required.", {
+        hint: "Send a JSON body with a 'url' string when using action=url.",
+      });
+    }
+    const urlCheck = await validatePublicUrl(targetUrl, allowlist);
+    if (!urlCheck.ok) {
+      const code = ['invalid_url', 'scheme_not_allowed', 'credentials_not_allowed'].includes(urlCheck.reason)
+        ? 'invalid_url'
+        : 'url_not_allowed';
+      const message = code === 'invalid_url'
+        ? 'The url must be an absolute http(s) URL without credentials.'
+        : 'The url points to a host that cannot be rendered.';
+      return fail(400, code, message, {
+        hint: 'Use a public http(s) URL that is allowed by your plan.',
+        details: { reason: urlCheck.reason },
+      });
+    }
+    navigationUrl = urlCheck.url;
+  }
+
+  let emulationDefaults = null;
+  if (templateId) {
+    const templateResult = await resolveTemplateHtml(req, templateId, templateData, { html, css, body });
+    if (templateResult.error) {
+      const { status, code, message, hint } = templateResult.error;
+      return fail(status, code, message, { hint });
+    }
+    html = templateResult.html;
+    css = templateResult.css;
+    meta.templateVersion = templateResult.version;
+    emulationDefaults = templateResult.emulation;
+  }
+
+  if (isMarkdown) {
+    const { markdown, theme = 'github' } = body;
+    if (typeof markdown !== 'string' || !markdown) {
+      return fail(400, 'missing_field', "The 'markdown' field is required.", {
+        hint: "Send a JSON body with a 'markdown' string.",
+      });
+    }
+    if (markdown.length + (css || '').length > MAX_HTML_CHARS) {
+      return fail(413, 'html_too_large', `Markdown exceeds maximum length of ${MAX_HTML_CHARS} characters.`);
+    }
+    if (!Object.prototype.hasOwnProperty.call(MARKDOWN_THEMES, theme)) {
+      return fail(400, 'invalid_parameter', `theme must be one of ${Object.keys(MARKDOWN_THEMES).join(', ')}.`);
+    }
+    // The converted document embeds theme and css, so it skips the generic <style> wrapper below.
+    html = renderMarkdownDocument(markdown, { theme, css, lang: body.locale || 'en' });
+    css = null;
+  }
+
+  if (typeof html === 'string' && html.length > MAX_HTML_CHARS && !isMarkdown) {
+    return fail(413, 'html_too_large', `HTML exceeds maximum length of ${MAX_HTML_CHARS} characters.`);
+  }
+
+  if (!html && !isUrlMode) {
+    return fail(400, 'missing_field', "The 'html' field is required.", {
+      hint: "Send a JSON body with an 'html' string.",
+    });
+  }
+
+  const fontResult = await resolveRenderFonts(req, body, [html, css].filter(Boolean).join('\n'));
+  if (fontResult.error) {
+    const { status, code, message, hint, details } = fontResult.error;
+    return fail(status, code, message, { hint, details });
+  }
+
+  // Default Pinterest-style size
+  const parsedWidth = parseInt(reqWidth, 10);
+  const parsedHeight = parseInt(reqHeight, 10);
+  const safeWidth = Number.isFinite(parsedWidth) ? parsedWidth : 1000;
+  const safeHeight = Number.isFinite(parsedHeight) ? parsedHeight : 1500;
+
+  let width = Math.min(Math.max(safeWidth, 1), MAX_RENDER_WIDTH);
+  let height = Math.min(Math.max(safeHeight, 1), MAX_RENDER_HEIGHT);
+  meta.width = width;
+  meta.height = height;
+
+  let normalizedFormat = outputMode === 'pdf' ? 'pdf' : (reqFormat || 'png').toString().toLowerCase();
+  if (normalizedFormat === 'jpg') normalizedFormat = 'jpeg';
+  if (outputMode === 'image' && !IMAGE_FORMATS.includes(normalizedFormat)) {
+    return fail(400, 'invalid_parameter', `format must be one of ${IMAGE_FORMATS.join(', ')}.`);
+  }
+  meta.format = normalizedFormat;
+
+  let capture = { deviceScaleFactor: 1 };
+  if (outputMode === 'image') {
+    const captureResult = parseCaptureOptions(body, normalizedFormat);
+    if (captureResult.error) return fail(400, 'invalid_parameter', captureResult.error);
+    capture = captureResult.capture;
+  }
+
+  const viewportResult = parseViewports(body, capture.deviceScaleFactor);
+  if (viewportResult.error) return fail(400, 'invalid_parameter', viewportResult.error);
+  const { viewports } = viewportResult;
+  if (viewports && outputMode !== 'image') {
+    return fail(400, 'invalid_parameter', 'viewports are only supported for image output.');
+  }
+  if (viewports) {
+    // The page first loads at the first viewport; each entry was checked against the pixel cap above.
+    ({ width, height } = viewports[0]);
+    capture = { ...capture, deviceScaleFactor: viewports[0].deviceScaleFactor };
+    meta.width = width;
+    meta.height = height;
+  }
+
+  const animationResult = parseAnimationOptions(body, h2iAnimation.maxFrames);
+  if (animationResult.maxFrames !== undefined) {
+    return fail(400, 'animation_too_long', animationResult.error, {
+      hint: 'Lower animation.fps or animation.durationMs.',
+      details: { maxFrames: animationResult.maxFrames },
+    });
+  }
+  if (animationResult.error) return fail(400, 'invalid_parameter', animationResult.error);
+  const { animation } = animationResult;
+  if (animation) {
+    if (outputMode !== 'image') return fail(400, 'invalid_parameter', 'animation is only supported for image output.');
+    if (viewports) return fail(400, 'invalid_parameter', 'animation cannot be combined with viewports.');
+    if (capture.targetSizeKB) return fail(400, 'invalid_parameter', 'animation cannot be combined with targetSizeKB.');
+    normalizedFormat = animation.format;
+    meta.format = normalizedFormat;
+  }
+
+  const waitResult = parseWaitOptions(body);
+  if (waitResult.error) return fail(400, 'invalid_parameter', waitResult.error);
 
-      let fullHtml;
-      if (css) {
-        fullHtml = `
+  const emulationResult = parseEmulationOptions(body, emulationDefaults);
+  if (emulationResult.error) return fail(400, 'invalid_parameter', emulationResult.error);
+
+  let pdfOptions = null;
+  let pdfMetadata = {};
+  if (outputMode === 'pdf') {
+    const pdfResult = parsePdfOptions(body);
+    if (pdfResult.error) return fail(400, 'invalid_parameter', pdfResult.error);
+    pdfMetadata = pdfResult.metadata;
+    pdfOptions = {
+      ...pdfResult.pdf,
+      landscape: parseBoolean(body.pdfLandscape, false),
+      printBackground: parseBoolean(body.printBackground, true),
+      preferCSSPageSize: parseBoolean(body.preferCSSPageSize, true),
+      scale: Number.isFinite(parseFloat(body.scale)) ? parseFloat(body.scale) : 1,
+    };
+  }
+
+  // Viewport pixels are counted at the device scale factor so retina renders share the same cap.
+  const totalPixels = width * height * capture.deviceScaleFactor * capture.deviceScaleFactor;
+  if (totalPixels > MAX_RENDER_PIXELS) {
+    return fail(400, 'render_size_exceeded', `Requested render size exceeds maximum pixels (${MAX_RENDER_PIXELS}).`, {
+      hint: 'Reduce width/height or target a smaller viewport.',
+    });
+  }
+
+  let fullHtml = null;
+  if (!isUrlMode) {
+    if (css) {
+      fullHtml = `
           <!DOCTYPE html>
           <html lang="en">
           <head>
@@ -299,131 +1064,806 @@ module.exports = function (app, { checkApiKey, h2iDir, baseUrl, timeoutMiddlewar
           </body>
           </html>
         `;
-      } else {
-        fullHtml = html;
+    } else {
+      fullHtml = html;
+    }
+  }
+
+  let sanitized = null;
+  if (sanitize) {
+    const sanitizeResult = sanitizeUntrustedHtml(fullHtml);
+    fullHtml = sanitizeResult.html;
+    sanitized = {
+      removedElements: sanitizeResult.removed.elements,
+      removedAttributes: sanitizeResult.removed.attributes,
+    };
+  }
+
+  return {
+    meta,
+    job: {
+      isUrlMode,
+      outputMode,
+      navigationUrl,
+      fullHtml,
+      css,
+      fontCss: fontResult.css,
+      fontFamilies: fontResult.families,
+      allowlist,
+      width,
+      height,
+      format: normalizedFormat,
+      capture,
+      wait: waitResult.wait,
+      emulation: emulationResult.emulation,
+      javaScriptEnabled,
+      sanitized,
+      viewports,
+      composite: Boolean(viewports) && parseBoolean(body.composite, false),
+      animation,
+      // Each viewport is billed as one file.
+      files: viewports ? viewports.length : 1,
+      pdfOptions,
+      pdfMetadata,
+      printMode: parseBoolean(body.printMode, false),
+      // WebP/AVIF, downscaling and size targets re-encode a lossless PNG capture through sharp.
+      postProcess: outputMode === 'image' && !animation && Boolean(
+        ['webp', 'avif'].includes(normalizedFormat) ||
+        capture.outputWidth || capture.outputHeight || capture.targetSizeKB
+      ),
+    },
+  };
+}
+
+/**
+ * Place viewport captures side by side (top-aligned) on one canvas, encoded in the job's output
+ * format. When the full-size canvas would exceed the render limits, each capture (and the gap) is
+ * scaled down to its final tile size first, so the oversized canvas is never allocated.
+ */
+async function buildViewportComposite(buffers, job) {
+  const images = await Promise.all(buffers.map(async buffer => {
+    const { width, height } = await sharp(buffer).metadata();
+    return { buffer, width, height };
+  }));
+  const fullWidth = images.reduce((sum, image) => sum + image.width + COMPOSITE_GAP_PX, COMPOSITE_GAP_PX);
+  const fullHeight = Math.max(...images.map(image => image.height)) + COMPOSITE_GAP_PX * 2;
+  const scale = Math.min(
+    1,
+    MAX_RENDER_WIDTH / fullWidth,
+    MAX_RENDER_HEIGHT / fullHeight,
+    Math.sqrt(MAX_RENDER_PIXELS / (fullWidth * fullHeight))
+  );
+  // Flooring every tile and the gap keeps the canvas within fullWidth × fullHeight × scale.
+  const gap = Math.floor(COMPOSITE_GAP_PX * scale);
+  let tiles = images;
+  if (scale < 1) {
+    // One capture at a time, so only one full-size decode is in memory.
+    tiles = [];
+    for (const image of images) {
+      const width = Math.max(Math.floor(image.width * scale), 1);
+      const height = Math.max(Math.floor(image.height * scale), 1);
+      const buffer = await sharp(image.buffer).resize(width, height, { fit: 'fill' }).png().toBuffer();
+      tiles.push({ buffer, width, height });
+    }
+  }
+
+  let left = gap;
+  const layers = tiles.map(tile => {
+    const layer = { input: tile.buffer, left, top: gap };
+    left += tile.width + gap;
+    return layer;
+  });
+  const width = left;
+  const height = Math.max(...tiles.map(tile => tile.height)) + gap * 2;
+  const background = job.capture.omitBackground ? { r: 0, g: 0, b: 0, alpha: 0 } : { r: 255, g: 255, b: 255, alpha: 1 };
+
+  const composite = await sharp({ create: { width, height, channels: 4, background } })
+    .composite(layers)
+    .png()
+    .toBuffer();
+  const quality = job.capture.quality || (job.format === 'jpeg' ? DEFAULT_JPEG_QUALITY : null);
+  return applyOutputFormat(sharp(composite), job.format, quality).toBuffer();
+}
+
+/**
+ * Pause every CSS animation/transition (and Web Animations API animation) on the page at `timeMs`
+ * so frames are sampled on a fixed timeline rather than wall-clock time.
+ */
+async function seekAnimations(page, timeMs) {
+  // No requestAnimationFrame wait: the screenshot itself produces a fresh frame, and page
+  // callbacks do not run when JavaScript is disabled.
+  await page.evaluate(t => {
+    for (const animation of document.getAnimations()) {
+      animation.pause();
+      animation.currentTime = t;
+    }
+  }, timeMs);
+}
+
+/**
+ * Capture `job.animation.frames` PNG frames, normalized to the first frame's size and RGBA.
+ */
+async function captureAnimationFrames(page, job) {
+  const { capture, animation } = job;
+  const frames = [];
+  let size = null;
+  for (let index = 0; index < animation.frames; index++) {
+    await seekAnimations(page, index * animation.frameMs);
+    const screenshot = await captureScreenshot(page, capture, { type: 'png' });
+    let frame = sharp(Buffer.from(screenshot));
+    if (!size) {
+      const metadata = await frame.metadata();
+      const scale = Math.min(
+        1,
+        (capture.outputWidth || metadata.width) / metadata.width,
+        (capture.outputHeight || metadata.height) / metadata.height
+      );
+      size = {
+        width: Math.max(Math.round(metadata.width * scale), 1),
+        height: Math.max(Math.round(metadata.height * scale), 1),
+      };
+      if (size.width * size.height * animation.frames > H2I_MAX_ANIMATION_PIXELS) {
+        const err = new Error(
+          `Animation of ${animation.frames} frames at ${size.width}x${size.height}px exceeds ` +
+            `the animation limit of ${H2I_MAX_ANIMATION_PIXELS} pixels.`
+        );
+        err.code = 'render_size_exceeded';
+        err.details = { ...size, frames: animation.frames, maxPixels: H2I_MAX_ANIMATION_PIXELS };
+        throw err;
       }
+    }
+    // The capture box can change while elements animate; every frame must match the first.
+    frame = frame.resize({ ...size, fit: 'contain', background: { r: 0, g: 0, b: 0, alpha: 0 } });
+    frames.push(await frame.ensureAlpha().png({ palette: false }).toBuffer());
+  }
+  return { frames, ...size };
+}
 
-      browser = await puppeteer.launch({
-        args: ['--no-sandbox', '--disable-setuid-sandbox'],
-      });
+/**
+ * Assemble captured frames into the requested animation format (or a ZIP of the PNG frames).
+ */
+async function assembleAnimation(frames, job) {
+  const { animation, capture } = job;
+  const delays = frames.map((frame, index) =>
+    Math.round((index + 1) * animation.frameMs) - Math.round(index * animation.frameMs));
 
-      const page = await browser.newPage();
-      await page.setViewport({ width, height });
-      await page.setContent(fullHtml, { waitUntil: 'networkidle0' });
+  if (animation.format === 'zip') {
+    const digits = String(frames.length).length;
+    return createZip(frames.map((data, index) => ({
+      name: `frame-${String(index + 1).padStart(digits, '0')}.png`,
+      data,
+    })));
+  }
+  if (animation.format === 'apng') {
+    return createApng(frames, { delays, loop: animation.loop });
+  }
+  const joined = sharp(frames, { join: { animated: true } });
+  if (animation.format === 'gif') {
+    return joined.gif({ loop: animation.loop, delay: delays }).toBuffer();
+  }
+  const quality = capture.quality ? { quality: capture.quality } : {};
+  return joined.webp({ loop: animation.loop, delay: delays, ...quality }).toBuffer();
+}
 
-      let outputUrl = null;
-      let fileName = null;
+/**
+ * Render a prepared job in a pooled browser page and write the output to `h2iDir`.
+ * All waits are bounded by `remainingMs()`; failures throw errors with RENDER_FAILURES codes.
+ * Jobs with `viewports` load the page once and capture it at each viewport in turn.
+ */
+async function renderJob(job, { h2iDir, baseUrl, remainingMs }) {
+  const result = {
+    url: null,
+    fileName: null,
+    bytesOut: 0,
+    pageInfo: null,
+    blockedRequests: { count: 0, items: [] },
+    waitTimings: null,
+    qualityUsed: null,
+    viewports: null,
+    animation: null,
+  };
+  const { capture, wait } = job;
+  const toPageViewport = viewport => ({
+    width: viewport.width,
+    height: viewport.height,
+    deviceScaleFactor: viewport.deviceScaleFactor,
+    isMobile: viewport.isMobile,
+    hasTouch: viewport.isMobile,
+  });
 
-      if (outputMode === 'pdf') {
-        const pdfFormatValue = (pdfFormat || 'A4').toString().toUpperCase() === 'LETTER' ? 'Letter' : 'A4';
-        const pdfLandscapeValue = parseBoolean(pdfLandscape, false);
-        const pdfMarginValue = Number.isFinite(parseInt(pdfMargin, 10)) ? parseInt(pdfMargin, 10) : 24;
-        const preferCssSize = parseBoolean(preferCSSPageSize, true);
-        const scaleValue = Number.isFinite(parseFloat(scale)) ? parseFloat(scale) : 1;
-        const printBg = parseBoolean(printBackground, true);
-        const printModeEnabled = parseBoolean(printMode, false);
+  await withPage(async page => {
+    page.setDefaultTimeout(remainingMs());
+    const requestGuard = await installRequestGuard(page, {
+      allowlist: job.allowlist,
+      maxRequests: H2I_MAX_SUBREQUESTS,
+      maxBytes: H2I_MAX_FETCH_BYTES,
+    });
+    if (!job.javaScriptEnabled) {
+      await page.setJavaScriptEnabled(false);
+    }
+    await page.setViewport(job.viewports
+      ? toPageViewport(job.viewports[0])
+      : { width: job.width, height: job.height, deviceScaleFactor: capture.deviceScaleFactor });
+    await applyEmulation(page, job.emulation);
 
-        if (printModeEnabled) {
-          await page.emulateMediaType('print');
+    // Load the document, inject CSS/fonts and run the readiness steps; returns per-step timings.
+    const loadAndWait = async () => {
+      const loadStartedAt = Date.now();
+      if (job.isUrlMode) {
+        let response;
+        try {
+          response = await page.goto(job.navigationUrl, { waitUntil: wait.waitUntil, timeout: remainingMs() });
+        } catch (navErr) {
+          throw navigationError(navErr, requestGuard);
+        }
+        result.pageInfo = {
+          finalUrl: page.url(),
+          httpStatus: response ? response.status() : null,
+        };
+        if (job.css) {
+          await page.addStyleTag({ content: job.css });
         }
+      } else {
+        try {
+          await page.setContent(job.fullHtml, { waitUntil: wait.waitUntil, timeout: remainingMs() });
+        } catch (loadErr) {
+          if (loadErr.name !== 'TimeoutError') throw loadErr;
+          const timeoutErr = new Error(loadErr.message);
+          timeoutErr.code = 'wait_timeout';
+          timeoutErr.details = { step: 'load', waitMs: { load: Date.now() - loadStartedAt } };
+          throw timeoutErr;
+        }
+      }
+      if (job.fontCss) {
+        await page.addStyleTag({ content: job.fontCss });
+      }
+      const loadMs = Date.now() - loadStartedAt;
+      const readiness = await waitForReadiness(page, wait, remainingMs, { fontFamilies: job.fontFamilies });
+      return { load: loadMs, ...readiness, total: Date.now() - loadStartedAt };
+    };
 
-        fileName = `${uuidv4()}.pdf`;
-        const filePath = path.join(h2iDir, fileName);
-        await page.pdf({
-          path: filePath,
-          format: pdfFormatValue,
-          landscape: pdfLandscapeValue,
-          printBackground: printBg,
-          preferCSSPageSize: preferCssSize,
-          scale: scaleValue,
-          margin: {
-            top: `${pdfMarginValue}px`,
-            right: `${pdfMarginValue}px`,
-            bottom: `${pdfMarginValue}px`,
-            left: `${pdfMarginValue}px`,
-          },
-        });
+    result.waitTimings = await loadAndWait();
+    requestGuard.assertSafe();
+    result.blockedRequests = requestGuard.summary();
 
-        const stats = fs.statSync(filePath);
-        bytesOut = stats.size;
-        outputUrl = `${baseUrl}/h2i/${fileName}`;
-      } else {
-        const bodyEl = await page.$('body');
-        fileName = `${uuidv4()}.${screenshotType === 'jpeg' ? 'jpg' : 'png'}`;
-        const filePath = path.join(h2iDir, fileName);
+    if (job.outputMode === 'pdf') {
+      if (job.printMode) {
+        await page.emulateMediaType('print');
+      }
 
-        const screenshotOptions = { path: filePath, type: screenshotType };
-        if (screenshotType === 'jpeg') {
-          screenshotOptions.quality = 80;
+      result.fileName = `${uuidv4()}.pdf`;
+      const filePath = path.join(h2iDir, result.fileName);
+      let pdfBuffer;
+      try {
+        requestGuard.assertSafe();
+        pdfBuffer = await page.pdf(job.pdfOptions);
+      } catch (pdfErr) {
+        if (job.pdfOptions.pageRanges && /page range/i.test(pdfErr.message || '')) {
+          pdfErr.code = 'invalid_page_range';
+          pdfErr.details = { pageRanges: job.pdfOptions.pageRanges };
         }
+        throw pdfErr;
+      }
+
+      if (Object.keys(job.pdfMetadata).length) {
+        // pdf-lib keeps Chrome's structure tree and outline when re-saving.
+        const doc = await PDFDocument.load(pdfBuffer, { updateMetadata: false });
+        applyPdfMetadata(doc, job.pdfMetadata, { displayTitle: job.pdfOptions.tagged });
+        pdfBuffer = Buffer.from(await doc.save());
+      }
 
-        await bodyEl.screenshot(screenshotOptions);
+      fs.writeFileSync(filePath, pdfBuffer);
+      result.bytesOut = pdfBuffer.length;
+      return;
+    }
+
+    if (job.animation) {
+      const { frames, width, height } = await captureAnimationFrames(page, job);
+      requestGuard.assertSafe();
+      const buffer = await assembleAnimation(frames, job);
+      result.fileName = `${uuidv4()}.${ANIMATION_FORMATS[job.animation.format]}`;
+      fs.writeFileSync(path.join(h2iDir, result.fileName), buffer);
+      result.bytesOut = buffer.length;
+      result.animation = {
+        format: job.animation.format,
+        frames: frames.length,
+        fps: job.animation.fps,
+        durationMs: job.animation.durationMs,
+        width,
+        height,
+        bytes: buffer.length,
+      };
+      return;
+    }
+
+    const writeImage = async shotCapture => {
+      requestGuard.assertSafe();
+      const fileName = `${uuidv4()}.${IMAGE_EXTENSIONS[job.format]}`;
+      const filePath = path.join(h2iDir, fileName);
 
-        const stats = fs.statSync(filePath);
-        bytesOut = stats.size;
-        outputUrl = `${baseUrl}/h2i/${fileName}`;
+      if (job.postProcess) {
+        const screenshot = await captureScreenshot(page, shotCapture, { type: 'png' });
+        const encoded = await encodeScreenshot(screenshot, job.format, shotCapture);
+        fs.writeFileSync(filePath, encoded.buffer);
+        return { fileName, buffer: encoded.buffer, qualityUsed: encoded.qualityUsed };
       }
 
-      await recordUsageAndLog({
+      const screenshotType = job.format === 'jpeg' ? 'jpeg' : 'png';
+      const screenshotOptions = { path: filePath, type: screenshotType };
+      const qualityUsed = screenshotType === 'jpeg' ? shotCapture.quality || DEFAULT_JPEG_QUALITY : null;
+      if (qualityUsed) screenshotOptions.quality = qualityUsed;
+      const buffer = Buffer.from(await captureScreenshot(page, shotCapture, screenshotOptions));
+      return { fileName, buffer, qualityUsed };
+    };
+
+    if (!job.viewports) {
+      const image = await writeImage(capture);
+      result.fileName = image.fileName;
+      result.bytesOut = image.buffer.length;
+      result.qualityUsed = image.qualityUsed;
+      return;
+    }
+
+    // Capture every viewport in the first one's mobile mode before switching, so the page is
+    // reloaded at most once. Results keep the request order.
+    const captureOrder = job.viewports
+      .map((viewport, index) => index)
+      .sort((a, b) => Number(job.viewports[a].isMobile !== job.viewports[0].isMobile) -
+        Number(job.viewports[b].isMobile !== job.viewports[0].isMobile));
+    result.viewports = new Array(job.viewports.length);
+    const buffers = new Array(job.viewports.length);
+    let previous = job.viewports[0];
+    for (const index of captureOrder) {
+      const viewport = job.viewports[index];
+      if (viewport !== previous) {
+        if (viewport.isMobile !== previous.isMobile) {
+          // Chrome reloads the page when mobile emulation toggles, dropping setContent HTML and
+          // injected styles. Leave the page first so only the load below fetches it again.
+          await page.goto('about:blank');
+          await page.setViewport(toPageViewport(viewport));
+          await loadAndWait();
+        } else {
+          await page.setViewport(toPageViewport(viewport));
+          try {
+            // Media queries and srcset may fetch new resources at the new size.
+            await page.waitForNetworkIdle({ idleTime: VIEWPORT_IDLE_MS, timeout: remainingMs() });
+          } catch (idleErr) {
+            if (idleErr.name !== 'TimeoutError') throw idleErr;
+            const timeoutErr = new Error(`Timed out waiting for viewport ${index} to settle.`);
+            timeoutErr.code = 'wait_timeout';
+            timeoutErr.details = { step: 'viewport', viewport: index };
+            throw timeoutErr;
+          }
+          await waitForReadiness(page, wait, remainingMs, { fontFamilies: job.fontFamilies });
+        }
+        previous = viewport;
+      }
+      const image = await writeImage({ ...capture, deviceScaleFactor: viewport.deviceScaleFactor });
+      buffers[index] = image.buffer;
+      result.bytesOut += image.buffer.length;
+      result.qualityUsed = result.qualityUsed || image.qualityUsed;
+      result.viewports[index] = {
+        ...(viewport.name ? { name: viewport.name } : {}),
+        width: viewport.width,
+        height: viewport.height,
+        deviceScaleFactor: viewport.deviceScaleFactor,
+        isMobile: viewport.isMobile,
+        url: `${baseUrl}/h2i/${image.fileName}`,
+        fileName: image.fileName,
+      };
+    }
+    result.blockedRequests = requestGuard.summary();
+
+    if (job.composite) {
+      const composite = await buildViewportComposite(buffers, job);
+      result.fileName = `${uuidv4()}.${IMAGE_EXTENSIONS[job.format]}`;
+      fs.writeFileSync(path.join(h2iDir, result.fileName), composite);
+      result.bytesOut += composite.length;
+      result.compositeUrl = `${baseUrl}/h2i/${result.fileName}`;
+    } else {
+      result.fileName = result.viewports[0].fileName;
+    }
+  }, { acquireTimeoutMs: remainingMs() });
+
+  result.url = `${baseUrl}/h2i/${result.fileName}`;
+  return result;
+}
+
+function renderLogParams(job, meta, result) {
+  const { capture, pdfOptions } = job;
+  return {
+    width: job.width,
+    height: job.height,
+    format: job.format,
+    output: job.outputMode,
+    blockedRequests: result.blockedRequests.count,
+    waitUntil: job.wait.waitUntil,
+    waitMs: result.waitTimings ? result.waitTimings.total : undefined,
+    fonts: job.fontFamilies.length ? job.fontFamilies : undefined,
+    javaScriptEnabled: job.javaScriptEnabled ? undefined : false,
+    sanitized: job.sanitized || undefined,
+    colorScheme: job.emulation.colorScheme,
+    reducedMotion: job.emulation.reducedMotion,
+    timezoneId: job.emulation.timezoneId,
+    locale: job.emulation.locale,
+    userAgent: job.emulation.userAgent ? true : undefined,
+    ...(job.outputMode === 'image'
+      ? {
+          deviceScaleFactor: capture.deviceScaleFactor,
+          capture: capture.selector ? 'selector' : capture.fullPage ? 'fullPage' : capture.clip ? 'clip' : 'body',
+          quality: result.qualityUsed || undefined,
+          omitBackground: capture.omitBackground || undefined,
+          outputWidth: capture.outputWidth || undefined,
+          outputHeight: capture.outputHeight || undefined,
+          targetSizeKB: capture.targetSizeKB || undefined,
+          viewports: job.viewports ? job.viewports.length : undefined,
+          composite: job.composite || undefined,
+          ...(result.animation
+            ? {
+                frames: result.animation.frames,
+                fps: result.animation.fps,
+                durationMs: result.animation.durationMs,
+                frameWidth: result.animation.width,
+                frameHeight: result.animation.height,
+                outputBytes: result.animation.bytes,
+              }
+            : {}),
+        }
+      : {}),
+    ...(pdfOptions
+      ? {
+          pdfFormat: pdfOptions.format || `${pdfOptions.width}x${pdfOptions.height}`,
+          pageRanges: pdfOptions.pageRanges,
+          headerFooter: pdfOptions.displayHeaderFooter || undefined,
+          tagged: pdfOptions.tagged,
+          outline: pdfOptions.outline || undefined,
+          metadata: Object.keys(job.pdfMetadata).length ? Object.keys(job.pdfMetadata) : undefined,
+        }
+      : {}),
+    ...(meta.templateId ? { template_id: meta.templateId, template_version: meta.templateVersion } : {}),
+  };
+}
+
+/**
+ * Response fields describing safe mode; empty when scripts ran and nothing was sanitized.
+ */
+function safeModeFields(job) {
+  return {
+    ...(job.javaScriptEnabled ? {} : { javaScriptEnabled: false }),
+    ...(job.sanitized ? { sanitized: job.sanitized } : {}),
+  };
+}
+
+function outputModeFor(action, body) {
+  if (action === 'url') return (body?.output || 'image').toString().toLowerCase();
+  return action === 'pdf' || action === 'markdown-pdf' ? 'pdf' : 'image';
+}
+
+function usageActionFor(action, outputMode) {
+  const source = action === 'url' ? 'url' : action.startsWith('markdown-') ? 'markdown' : 'html';
+  return `${source}_to_${outputMode === 'pdf' ? 'pdf' : 'image'}`;
+}
+
+module.exports = function (app, { checkApiKey, h2iDir, baseUrl, timeoutMiddlewareFactory }) {
+  // POST https://pixlab.davix.dev/v1/h2i
+  app.post('/v1/h2i', checkApiKey, h2iEndpointGuard, timeoutMiddlewareFactory(h2iEndpoint), h2iDailyLimit, wrapAsync(async (req, res) => {
+    const action = (req.body?.action || '').toString().toLowerCase();
+    if (!action) {
+      return sendError(res, 400, 'invalid_parameter', 'missing action');
+    }
+    if (!H2I_ACTIONS.includes(action)) {
+      return sendError(res, 400, 'invalid_parameter', INVALID_ACTION_MESSAGE, {
+        hint: `Use one of: ${H2I_ACTIONS.join(', ')}.`,
+      });
+    }
+
+    const isCustomer = req.apiKeyType === 'customer';
+    const isUrlMode = action === 'url';
+    const hasTemplate = !isUrlMode && Boolean(req.body?.template_id || req.body?.templateId);
+    const bytesIn = isUrlMode
+      ? Buffer.byteLength(String(req.body?.url || ''))
+      : Buffer.byteLength(req.body?.html || req.body?.markdown || '') +
+        Buffer.byteLength(req.body?.css || '') +
+        (hasTemplate ? Buffer.byteLength(JSON.stringify(req.body?.data || {})) : 0);
+    const { ip, userAgent } = extractClientInfo(req);
+    const { timeoutMs, h2iAllowedDomains, h2iAnimation, h2iForceSafeMode } = resolveRequestLimits(req, h2iEndpoint);
+    // Queueing, loading and readiness waits all share the plan timeout enforced by createTimeoutMiddleware.
+    const deadline = Date.now() + timeoutMs - RESPONSE_MARGIN_MS;
+    const remainingMs = () => Math.max(deadline - Date.now(), 1);
+    const usagePeriod = isCustomer ? getUsagePeriodForKey(req.customerKey, req.customerKey?.plan) : null;
+    let meta = { outputMode: outputModeFor(action, req.body), width: null, height: null, format: null };
+
+    const recordFailure = (status, code, message) =>
+      recordUsageAndLog({
         apiKeyRecord: req.customerKey || null,
         endpoint: 'h2i',
-        action: usageAction,
-        filesProcessed: filesToConsume,
+        action: usageActionFor(action, meta.outputMode),
+        filesProcessed: 0,
         bytesIn,
-        bytesOut,
-        status: res.statusCode || 200,
+        bytesOut: 0,
+        status,
         ip,
         userAgent,
-        ok: true,
-        errorCode: null,
-        errorMessage: null,
+        ok: false,
+        errorCode: code,
+        errorMessage: message,
         paramsForLog: {
-          width,
-          height,
-          format: normalizedFormat,
-          output: outputMode,
+          width: meta.width,
+          height: meta.height,
+          format: meta.format || 'png',
+          output: meta.outputMode,
         },
+        usagePeriod,
+        reservation: req.asyncJob?.reservation,
       });
 
-      res.json({ url: outputUrl });
-    } catch (e) {
-      hadError = true;
-      errorCode = 'html_render_failed';
-      errorMessage = 'Failed to render HTML to image.';
-      console.error(e);
+    try {
+      const prepared = await prepareRenderJob(req, req.body, {
+        action,
+        h2iAllowedDomains,
+        h2iAnimation,
+        forceSafeMode: h2iForceSafeMode,
+      });
+      meta = prepared.meta;
+      if (prepared.error) {
+        const { status, code, message, hint, details } = prepared.error;
+        await recordFailure(status, code, message);
+        return sendError(res, status, code, message, { hint, details });
+      }
+      const { job } = prepared;
+      const filesToConsume = job.files;
+
+      if (isCustomer) {
+        const usage = await getOrCreateUsageForKey(
+          req.customerKey.id,
+          usagePeriod,
+          req.customerKey.monthly_quota
+        );
+        const quota = checkMonthlyQuota(usage, req.customerKey.monthly_quota, filesToConsume, req.asyncJob?.reservation);
+        if (!quota.allowed) {
+          await recordFailure(429, 'monthly_quota_exceeded', 'Your monthly Pixlab quota has been exhausted.');
+          return res.status(429).json({
+            error: 'monthly_quota_exceeded',
+            message: 'Your monthly Pixlab quota has been exhausted.',
+            details: {
+              limit: req.customerKey.monthly_quota,
+              used: usage.used_files,
+              remaining: quota.remaining,
+              period: usage.period,
+            },
+          });
+        }
+      }
+
+      const result = await renderJob(job, { h2iDir, baseUrl, remainingMs });
+
       await recordUsageAndLog({
         apiKeyRecord: req.customerKey || null,
         endpoint: 'h2i',
-        action: usageAction,
-        filesProcessed: 0,
+        action: usageActionFor(action, job.outputMode),
+        filesProcessed: filesToConsume,
         bytesIn,
-        bytesOut: 0,
-        status: 500,
+        bytesOut: result.bytesOut,
+        status: res.statusCode || 200,
         ip,
         userAgent,
-        ok: false,
-        errorCode,
-        errorMessage,
-        paramsForLog: {
-          width,
-          height,
-          format: format || 'png',
-          output: outputMode || 'image',
-        },
-        usagePeriod,
+        ok: true,
+        errorCode: null,
+        errorMessage: null,
+        paramsForLog: renderLogParams(job, meta, result),
+        reservation: req.asyncJob?.reservation,
       });
-      sendError(res, 500, 'html_render_failed', 'Failed to render HTML to image.', {
-        hint: 'Check your HTML/CSS. If the issue persists with valid HTML, contact support.',
-        details: e,
+
+      res.json({
+        url: result.url,
+        ...(result.pageInfo || {}),
+        ...(result.viewports
+          ? {
+              viewports: result.viewports.map(({ fileName, ...viewport }) => viewport),
+              ...(result.compositeUrl ? { compositeUrl: result.compositeUrl } : {}),
+            }
+          : {}),
+        ...(result.animation ? { animation: result.animation } : {}),
+        ...safeModeFields(job),
+        waitMs: result.waitTimings,
+        blockedRequests: result.blockedRequests,
       });
-    } finally {
-      if (browser) {
-        try {
-          await browser.close();
-        } catch (closeErr) {
-          // ignore close errors
+    } catch (e) {
+      const failure = describeRenderFailure(e);
+      if (failure.code === 'html_render_failed') console.error(e);
+      await recordFailure(failure.status, failure.code, failure.message);
+      if (res.headersSent) return;
+      sendError(res, failure.status, failure.code, failure.message, {
+        hint: failure.hint,
+        details: failure.details,
+      });
+    }
+  }));
+
+  // POST https://pixlab.davix.dev/v1/h2i/batch
+  app.post('/v1/h2i/batch', checkApiKey, h2iEndpointGuard, timeoutMiddlewareFactory(h2iEndpoint), wrapAsync(async (req, res) => {
+    const action = (req.body?.action || '').toString().toLowerCase();
+    if (!H2I_ACTIONS.includes(action)) {
+      return sendError(res, 400, 'invalid_parameter', INVALID_ACTION_MESSAGE, {
+        hint: `Use one of: ${H2I_ACTIONS.join(', ')}.`,
+      });
+    }
+
+    const { timeoutMs, h2iAllowedDomains, h2iBatch, h2iForceSafeMode } = resolveRequestLimits(req, h2iEndpoint);
+    if (!h2iBatch.maxItems) {
+      return sendError(res, 403, 'batch_not_allowed', 'Batch rendering is not available for this API key.', {
+        hint: 'Send single renders to /v1/h2i or use a customer API key.',
+      });
+    }
+
+    const { items, rows, zip, ...shared } = req.body || {};
+    let list = null;
+    if (Array.isArray(rows)) {
+      if (!shared.template_id && !shared.templateId) {
+        return sendError(res, 400, 'missing_field', "The 'template_id' field is required with 'rows'.");
+      }
+      list = rows.map(row => ({ ...shared, data: row }));
+    } else if (Array.isArray(items)) {
+      list = items.map(item => (item && typeof item === 'object' && !Array.isArray(item) ? { ...shared, ...item } : null));
+    }
+    if (!list || !list.length) {
+      return sendError(res, 400, 'missing_field', "Send a non-empty 'items' array, or 'template_id' with a 'rows' array.");
+    }
+    // Batches bill one file per successful item; multi-viewport and animated renders go through /v1/h2i.
+    for (const field of ['viewports', 'animation']) {
+      if (list.some(item => item && item[field] !== undefined)) {
+        return sendError(res, 400, 'invalid_parameter', `${field} is not supported in batches.`, {
+          hint: `Send renders with ${field} to /v1/h2i.`,
+        });
+      }
+    }
+    if (list.length > h2iBatch.maxItems) {
+      return sendError(res, 400, 'batch_too_large', `A batch can contain at most ${h2iBatch.maxItems} items.`, {
+        details: { items: list.length, maxItems: h2iBatch.maxItems },
+      });
+    }
+
+    const isCustomer = req.apiKeyType === 'customer';
+    const bytesIn = Buffer.byteLength(JSON.stringify(req.body || {}));
+    const { ip, userAgent } = extractClientInfo(req);
+    const deadline = Date.now() + timeoutMs - RESPONSE_MARGIN_MS;
+    const remainingMs = () => Math.max(deadline - Date.now(), 1);
+    const usagePeriod = isCustomer ? getUsagePeriodForKey(req.customerKey, req.customerKey?.plan) : null;
+    const outputMode = outputModeFor(action, shared);
+    const usageAction = `${usageActionFor(action, outputMode)}_batch`;
+    const wantZip = parseBoolean(zip, false);
+
+    if (isCustomer) {
+      const usage = await getOrCreateUsageForKey(req.customerKey.id, usagePeriod, req.customerKey.monthly_quota);
+      const quota = checkMonthlyQuota(usage, req.customerKey.monthly_quota, list.length);
+      if (!quota.allowed) {
+        await recordUsageAndLog({
+          apiKeyRecord: req.customerKey,
+          endpoint: 'h2i',
+          action: usageAction,
+          filesProcessed: 0,
+          bytesIn,
+          bytesOut: 0,
+          status: 429,
+          ip,
+          userAgent,
+          ok: false,
+          errorCode: 'monthly_quota_exceeded',
+          errorMessage: 'Your monthly Pixlab quota has been exhausted.',
+          paramsForLog: { items: list.length },
+          usagePeriod,
+        });
+        return res.status(429).json({
+          error: 'monthly_quota_exceeded',
+          message: 'Your monthly Pixlab quota has been exhausted.',
+          details: {
+            limit: req.customerKey.monthly_quota,
+            used: usage.used_files,
+            remaining: quota.remaining,
+            period: usage.period,
+            requested: list.length,
+          },
+        });
+      }
+    }
+
+    const renderItem = async (body, index) => {
+      const itemError = (code, message, details) => ({ index, ok: false, error: { code, message, details } });
+      if (!body) return itemError('invalid_parameter', 'Each item must be a JSON object.');
+      if (Date.now() >= deadline) {
+        return itemError('batch_timeout', 'The batch ran out of time before this item started.');
+      }
+
+      try {
+        const prepared = await prepareRenderJob(req, body, { action, h2iAllowedDomains, forceSafeMode: h2iForceSafeMode });
+        if (prepared.error) {
+          return itemError(prepared.error.code, prepared.error.message, prepared.error.details);
         }
+        const result = await renderJob(prepared.job, { h2iDir, baseUrl, remainingMs });
+        return {
+          index,
+          ok: true,
+          url: result.url,
+          ...(result.pageInfo || {}),
+          ...safeModeFields(prepared.job),
+          waitMs: result.waitTimings,
+          blockedRequests: result.blockedRequests,
+          _fileName: result.fileName,
+          _bytesOut: result.bytesOut,
+        };
+      } catch (err) {
+        const failure = describeRenderFailure(err);
+        if (failure.code === 'html_render_failed') console.error(err);
+        return itemError(failure.code, failure.message, failure.code === 'html_render_failed' ? undefined : failure.details);
       }
+    };
+
+    // A fixed number of workers pull the next item index; the browser pool still caps global concurrency.
+    const results = new Array(list.length);
+    let nextIndex = 0;
+    const worker = async () => {
+      while (nextIndex < list.length) {
+        const index = nextIndex++;
+        results[index] = await renderItem(list[index], index);
+      }
+    };
+    await Promise.all(Array.from({ length: Math.min(h2iBatch.concurrency, list.length) }, worker));
+
+    const succeeded = results.filter(result => result.ok);
+    const bytesOut = succeeded.reduce((sum, result) => sum + result._bytesOut, 0);
+    const errorCodes = {};
+    for (const result of results) {
+      if (!result.ok) errorCodes[result.error.code] = (errorCodes[result.error.code] || 0) + 1;
     }
+
+    let zipUrl = null;
+    if (wantZip && succeeded.length) {
+      const entries = succeeded.map(result => ({
+        name: `${String(result.index + 1).padStart(String(list.length).length, '0')}${path.extname(result._fileName)}`,
+        data: fs.readFileSync(path.join(h2iDir, result._fileName)),
+      }));
+      const zipName = `${uuidv4()}.zip`;
+      fs.writeFileSync(path.join(h2iDir, zipName), createZip(entries));
+      zipUrl = `${baseUrl}/h2i/${zipName}`;
+    }
+
+    const firstError = results.find(result => !result.ok);
+    await recordUsageAndLog({
+      apiKeyRecord: req.customerKey || null,
+      endpoint: 'h2i',
+      action: usageAction,
+      filesProcessed: succeeded.length,
+      bytesIn,
+      bytesOut,
+      status: 200,
+      ip,
+      userAgent,
+      ok: succeeded.length > 0,
+      errorCode: succeeded.length ? null : firstError.error.code,
+      errorMessage: succeeded.length ? null : firstError.error.message,
+      paramsForLog: {
+        output: outputMode,
+        items: list.length,
+        succeeded: succeeded.length,
+        failed: list.length - succeeded.length,
+        errorCodes,
+        concurrency: h2iBatch.concurrency,
+        zip: wantZip,
+        ...(shared.template_id || shared.templateId ? { template_id: shared.template_id || shared.templateId } : {}),
+      },
+      usagePeriod,
+    });
+
+    console.log(
+      `[DAVIX][h2i] batch rendered: items=${list.length}, succeeded=${succeeded.length}, concurrency=${h2iBatch.concurrency}`
+    );
+
+    res.json({
+      items: list.length,
+      succeeded: succeeded.length,
+      failed: list.length - succeeded.length,
+      results: results.map(({ _fileName, _bytesOut, ...result }) => result),
+      ...(zipUrl ? { zipUrl } : {}),
+    });
   }));
 };
@@ -14,7 +14,45 @@ const {
 const { extractClientInfo } = require('../utils/requestInfo');
 const { wrapAsync } = require('../utils/wrapAsync');
 const { createUploadMiddleware } = require('../utils/uploadLimits');
-const { allowedImageMimes, createEndpointGuard } = require('../utils/limits');
+const { allowedImageMimes, createEndpointGuard, resolveRequestLimits } = require('../utils/limits');
+const {
+  OUTPUT_FORMATS,
+  normalizeOutputFormat,
+  isOutputFormatAvailable,
+  availableOutputFormats,
+  parseEncoderOptions,
+  encodeImage,
+  buildMultiPageTiff,
+  encodeToTargetSize,
+} = require('../utils/imageEncoding');
+const { parseIcoSizes, readContainerSize } = require('../utils/imageContainers');
+const {
+  parseBackgroundRemoval,
+  removeBackground: cutOutBackground,
+  replaceBackground,
+} = require('../utils/imageBackground');
+const { canDecodeMimeType } = require('../utils/imageTypes');
+const { applyImageWatermark, applyTextWatermark, roundCorners } = require('../utils/imageOverlays');
+const { parseImagePipeline, runImagePipeline } = require('../utils/imagePipeline');
+const {
+  RESIZE_FITS,
+  RESIZE_POSITIONS,
+  HEX_COLOR_PATTERN,
+  parseAspectRatio,
+  checkResizeCombination,
+  buildResizeOptions,
+  cropToAspectRatio,
+} = require('../utils/imageResize');
+const { parseResponsiveOptions, buildResponsiveVariants, buildPictureHtml } = require('../utils/imageResponsive');
+const {
+  ANIMATED_FORMATS,
+  readAnimation,
+  parseFrameOptions,
+  splitFrames,
+  selectFrames,
+  extractFrame,
+  joinFrames,
+} = require('../utils/imageAnimation');
 
 function parseDailyLimitEnv(name, fallback) {
   const value = parseInt(process.env[name], 10);
@@ -54,13 +92,6 @@ function parseBoolean(val) {
   return false;
 }
 
-function normalizeFormat(fmt) {
-  if (!fmt) return null;
-  const f = fmt.toLowerCase();
-  if (f === 'jpg') return 'jpeg';
-  return f;
-}
-
 function getPageSize(name, orientation) {
   const sizes = {
     a4: [595.28, 841.89],
@@ -87,11 +118,9 @@ function normalizePdfEmbedFormat(val) {
   return 'png';
 }
 
+// Upload mimetypes come from the file's magic bytes (see utils/imageTypes), not the client.
 function isSvg(file) {
-  if (!file) return false;
-  if (file.mimetype === 'image/svg+xml') return true;
-  if (file.originalname && file.originalname.toLowerCase().endsWith('.svg')) return true;
-  return false;
+  return Boolean(file) && file.mimetype === 'image/svg+xml';
 }
 
 function clampNumber(val, min, max, fallback) {
@@ -104,85 +133,6 @@ function clampNumber(val, min, max, fallback) {
   return fallback;
 }
 
-function parsePosition(pos) {
-  const allowed = new Set([
-    'center',
-    'top-left',
-    'top-right',
-    'bottom-left',
-    'bottom-right',
-    'top',
-    'bottom',
-    'left',
-    'right',
-  ]);
-  const normalized = (pos || '').toLowerCase();
-  return allowed.has(normalized) ? normalized : 'center';
-}
-
-function applyPositioning({ baseWidth, baseHeight, overlayWidth, overlayHeight, position, margin }) {
-  const pos = parsePosition(position);
-  const m = Math.max(margin || 0, 0);
-  let left = Math.round((baseWidth - overlayWidth) / 2);
-  let top = Math.round((baseHeight - overlayHeight) / 2);
-
-  if (pos === 'top-left') {
-    left = m;
-    top = m;
-  } else if (pos === 'top-right') {
-    left = baseWidth - overlayWidth - m;
-    top = m;
-  } else if (pos === 'bottom-left') {
-    left = m;
-    top = baseHeight - overlayHeight - m;
-  } else if (pos === 'bottom-right') {
-    left = baseWidth - overlayWidth - m;
-    top = baseHeight - overlayHeight - m;
-  } else if (pos === 'top') {
-    top = m;
-  } else if (pos === 'bottom') {
-    top = baseHeight - overlayHeight - m;
-  } else if (pos === 'left') {
-    left = m;
-  } else if (pos === 'right') {
-    left = baseWidth - overlayWidth - m;
-  }
-
-  return { left, top };
-}
-
-function hexToRgb(color, fallback = { r: 255, g: 255, b: 255 }) {
-  if (!color || typeof color !== 'string') return fallback;
-  const hex = color.replace('#', '').trim();
-  if (hex.length === 3) {
-    const r = parseInt(hex[0] + hex[0], 16);
-    const g = parseInt(hex[1] + hex[1], 16);
-    const b = parseInt(hex[2] + hex[2], 16);
-    if ([r, g, b].every(Number.isFinite)) return { r, g, b };
-  }
-  if (hex.length === 6) {
-    const r = parseInt(hex.slice(0, 2), 16);
-    const g = parseInt(hex.slice(2, 4), 16);
-    const b = parseInt(hex.slice(4, 6), 16);
-    if ([r, g, b].every(Number.isFinite)) return { r, g, b };
-  }
-  return fallback;
-}
-
-function buildTextWatermarkSvg({ text, width, height, fontSize, color, opacity }) {
-  const safeText = text || '';
-  const { r, g, b } = hexToRgb(color);
-  const fill = `rgba(${r},${g},${b},${opacity})`;
-  return Buffer.from(
-    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">
-      <style>
-        .wm { font-size: ${fontSize}px; fill: ${fill}; font-family: Arial, sans-serif; }
-      </style>
-      <text x="50%" y="50%" text-anchor="middle" dominant-baseline="middle" class="wm">${safeText}</text>
-    </svg>`
-  );
-}
-
 function getImageFiles(req) {
   if (!req.files) return [];
   if (Array.isArray(req.files)) return req.files;
@@ -257,7 +207,13 @@ function validateFilesOrFail(files, res) {
   for (const file of files) {
     if (!allowedImageMimes.has(file.mimetype)) {
       sendError(res, 415, 'unsupported_media_type', 'Unsupported file type uploaded.', {
-        hint: 'Allowed types: jpeg, png, webp, gif, avif, svg.',
+        hint: 'Allowed types: jpeg, png, webp, gif, avif, svg, heif/heic, tiff, bmp, jxl.',
+      });
+      return false;
+    }
+    if (!canDecodeMimeType(file.mimetype)) {
+      sendError(res, 415, 'unsupported_media_type', `This server cannot decode ${file.mimetype} images.`, {
+        hint: 'Convert the file to jpeg, png, webp or avif first.',
       });
       return false;
     }
@@ -303,10 +259,12 @@ module.exports = function (app, { checkApiKey, imgEditDir, baseUrl, timeoutMiddl
         'pdf',
         'metadata',
         'multitask',
+        'pipeline',
+        'responsive',
       ]);
       if (!allowedActions.has(actionValue)) {
         return sendError(res, 400, 'invalid_parameter', 'Invalid action.', {
-          hint: 'Choose one of: format, resize, crop, transform, compress, enhance, padding, frame, background, watermark, pdf, metadata, multitask.',
+          hint: 'Choose one of: format, resize, crop, transform, compress, enhance, padding, frame, background, watermark, pdf, metadata, multitask, pipeline, responsive.',
         });
       }
       const imageFiles = getImageFiles(req);
@@ -320,7 +278,7 @@ module.exports = function (app, { checkApiKey, imgEditDir, baseUrl, timeoutMiddl
       const { ip, userAgent } = extractClientInfo(req);
       const files = getImageFiles(req);
       const watermarkImageFile = getWatermarkFile(req);
-      const filesToConsume = Math.max(files.length, 1);
+      let filesToConsume = Math.max(files.length, 1);
       const bytesIn = files.reduce((sum, f) => sum + (f.size || f.buffer?.length || 0), 0);
       let bytesOut = 0;
       let hadError = false;
@@ -331,17 +289,39 @@ module.exports = function (app, { checkApiKey, imgEditDir, baseUrl, timeoutMiddl
       let widthUsed = null;
       let heightUsed = null;
       let pdfModeUsed = null;
+      let pipelineSteps = null;
+      let responsiveOptions = null;
+      let removalModeUsed = null;
 
       try {
         const usagePeriod = isCustomer ? getUsagePeriodForKey(req.customerKey, req.customerKey?.plan) : null;
 
+        if (action === 'responsive') {
+          const { maxVariants, billing } = resolveRequestLimits(req, imageEndpoint).imageResponsive;
+          const parsed = parseResponsiveOptions(req.body, { maxVariants });
+          if (parsed.error) {
+            hadError = true;
+            errorCode = 'invalid_parameter';
+            errorMessage = parsed.error.message;
+            return sendError(res, 400, 'invalid_parameter', parsed.error.message, { hint: parsed.error.hint });
+          }
+          responsiveOptions = { ...parsed, billing };
+          // Check quota against every requested variant; the count actually produced is billed below.
+          if (billing === 'variant') filesToConsume *= parsed.widths.length * parsed.formats.length;
+        }
+
         if (isCustomer) {
           usageRecord = await getOrCreateUsageForKey(
             req.customerKey.id,
             usagePeriod,
             req.customerKey.monthly_quota
           );
-          const quota = checkMonthlyQuota(usageRecord, req.customerKey.monthly_quota, filesToConsume);
+          const quota = checkMonthlyQuota(
+            usageRecord,
+            req.customerKey.monthly_quota,
+            filesToConsume,
+            req.asyncJob?.reservation
+          );
           if (!quota.allowed) {
             hadError = true;
             errorCode = 'monthly_quota_exceeded';
@@ -368,11 +348,30 @@ module.exports = function (app, { checkApiKey, imgEditDir, baseUrl, timeoutMiddl
           });
         }
 
+        if (action === 'pipeline') {
+          const parsed = parseImagePipeline(req.body.steps, {
+            maxSteps: resolveRequestLimits(req, imageEndpoint).imagePipeline.maxSteps,
+            hasWatermarkImage: Boolean(watermarkImageFile?.buffer),
+          });
+          if (parsed.error) {
+            const { code, message, details, hint } = parsed.error;
+            hadError = true;
+            errorCode = code;
+            errorMessage = message;
+            return sendError(res, 400, code, message, { hint, details });
+          }
+          pipelineSteps = parsed.steps;
+        }
+
         const {
           format,
           width,
           height,
           enlarge,
+          fit,
+          position,
+          aspectRatio,
+          background: letterboxColor,
           cropX,
           cropY,
           cropWidth,
@@ -406,6 +405,11 @@ module.exports = function (app, { checkApiKey, imgEditDir, baseUrl, timeoutMiddl
           borderRadius,
           backgroundColor,
           backgroundBlur,
+          removeBackground,
+          keyColor,
+          tolerance,
+          feather,
+          maskOutput,
           watermarkText,
           watermarkFontSize,
           watermarkColor,
@@ -415,6 +419,16 @@ module.exports = function (app, { checkApiKey, imgEditDir, baseUrl, timeoutMiddl
           watermarkScale,
           colorSpace,
           includeRawExif,
+          frame,
+          frameStep,
+          dropFrames,
+          frameDelay,
+          loop,
+          lossless,
+          effort,
+          tiffCompression,
+          tiffMode,
+          icoSizes,
         } = req.body;
 
         formatUsed = format || null;
@@ -465,7 +479,48 @@ module.exports = function (app, { checkApiKey, imgEditDir, baseUrl, timeoutMiddl
           return res.json(responsePayload);
         }
 
-        const finalFormat = normalizeFormat(format);
+        if (responsiveOptions) {
+          const { widths, formats, sizes, alt, billing } = responsiveOptions;
+          const responsiveResults = [];
+          let variantCount = 0;
+          for (const file of files) {
+            const { source, variants } = await buildResponsiveVariants(file.buffer, {
+              sharpOptions: isSvg(file) ? { limitInputPixels: 268402689 } : {},
+              widths,
+              formats,
+              quality: quality ? parseInt(quality, 10) : null,
+              background: backgroundColor,
+            });
+            const baseName = uuidv4();
+            const variantsByFormat = {};
+            for (const variant of variants) {
+              const fileName = `${baseName}-${variant.width}w.${variant.format === 'jpeg' ? 'jpg' : variant.format}`;
+              await fs.promises.writeFile(path.join(imgEditDir, fileName), variant.buffer);
+              if (!variantsByFormat[variant.format]) variantsByFormat[variant.format] = [];
+              variantsByFormat[variant.format].push({
+                url: `${baseUrl}/img-edit/${fileName}`,
+                width: variant.width,
+                height: variant.height,
+                sizeBytes: variant.buffer.length,
+              });
+              bytesOut += variant.buffer.length;
+            }
+            variantCount += variants.length;
+            responsiveResults.push({
+              originalName: file.originalname || null,
+              width: source.width,
+              height: source.height,
+              variants: variantsByFormat,
+              html: buildPictureHtml(variantsByFormat, { sizes, alt }),
+            });
+          }
+          if (billing === 'variant') filesToConsume = variantCount;
+          const responsePayload = { results: responsiveResults };
+          if (isCustomer) responsePayload.billing = { mode: billing, filesCharged: filesToConsume };
+          return res.json(responsePayload);
+        }
+
+        const finalFormat = normalizeOutputFormat(format);
         const parsedWidth = width ? parseInt(width, 10) : null;
         const parsedHeight = height ? parseInt(height, 10) : null;
         const parsedTargetSize = targetSizeKB ? parseInt(targetSizeKB, 10) : null;
@@ -475,6 +530,115 @@ module.exports = function (app, { checkApiKey, imgEditDir, baseUrl, timeoutMiddl
         const doFlipV = parseBoolean(flipV);
         const preserveMetadata = parseBoolean(keepMetadata);
         const colorSpaceValue = (colorSpace || 'srgb').toLowerCase();
+        const resizeFit = fit ? fit.toString().toLowerCase() : 'inside';
+        const resizePosition = position ? position.toString().toLowerCase() : null;
+        const aspectRatioValue = parseAspectRatio(aspectRatio);
+
+        let resizeProblem = null;
+        if (!RESIZE_FITS.includes(resizeFit)) {
+          resizeProblem = { message: 'Invalid fit.', hint: `Choose one of: ${RESIZE_FITS.join(', ')}.` };
+        } else if (resizePosition && !RESIZE_POSITIONS.includes(resizePosition)) {
+          resizeProblem = { message: 'Invalid position.', hint: `Choose one of: ${RESIZE_POSITIONS.join(', ')}.` };
+        } else if (aspectRatio && !aspectRatioValue) {
+          resizeProblem = { message: 'Invalid aspectRatio.', hint: 'Use width:height, for example 16:9 or 1:1.' };
+        } else if (letterboxColor && !HEX_COLOR_PATTERN.test(String(letterboxColor).trim())) {
+          resizeProblem = { message: 'Invalid background.', hint: 'Use a hex color such as #ffffff.' };
+        } else {
+          const combination = checkResizeCombination({
+            fit: resizeFit,
+            position: resizePosition,
+            aspectRatio: aspectRatioValue,
+          });
+          if (combination) resizeProblem = { message: combination, hint: 'Add fit=cover or aspectRatio.' };
+        }
+        if (!pipelineSteps && resizeProblem) {
+          hadError = true;
+          errorCode = 'invalid_parameter';
+          errorMessage = resizeProblem.message;
+          return sendError(res, 400, 'invalid_parameter', resizeProblem.message, { hint: resizeProblem.hint });
+        }
+
+        const frameOptions = parseFrameOptions({ frame, frameStep, dropFrames, frameDelay, loop });
+        if (frameOptions.error) {
+          hadError = true;
+          errorCode = 'invalid_parameter';
+          errorMessage = frameOptions.error.message;
+          return sendError(res, 400, 'invalid_parameter', frameOptions.error.message, { hint: frameOptions.error.hint });
+        }
+
+        if (finalFormat && !isOutputFormatAvailable(finalFormat)) {
+          let message = `Unsupported output format: ${format}.`;
+          if (finalFormat === 'svg') message = 'SVG output is not supported; raster results cannot be vectorized.';
+          else if (OUTPUT_FORMATS[finalFormat]) message = `format=${finalFormat} is not available on this server.`;
+          hadError = true;
+          errorCode = 'unsupported_output_format';
+          errorMessage = message;
+          return sendError(res, 400, 'unsupported_output_format', message, {
+            hint: `Choose one of: ${availableOutputFormats().join(', ')}.`,
+          });
+        }
+
+        let encoderOptions = {};
+        if (lossless || effort || tiffCompression) {
+          const parsedEncoder = finalFormat
+            ? parseEncoderOptions(finalFormat, { lossless, effort, tiffCompression })
+            : { error: { message: 'lossless, effort and tiffCompression need format.', hint: 'Set format, e.g. format=webp.' } };
+          if (parsedEncoder.error) {
+            hadError = true;
+            errorCode = 'invalid_parameter';
+            errorMessage = parsedEncoder.error.message;
+            return sendError(res, 400, 'invalid_parameter', parsedEncoder.error.message, { hint: parsedEncoder.error.hint });
+          }
+          encoderOptions = parsedEncoder.options;
+        }
+
+        const parsedIcoSizes = parseIcoSizes(icoSizes);
+        if (!parsedIcoSizes) {
+          hadError = true;
+          errorCode = 'invalid_parameter';
+          errorMessage = 'Invalid icoSizes.';
+          return sendError(res, 400, 'invalid_parameter', 'Invalid icoSizes.', {
+            hint: 'Use up to 8 sizes from 1 to 256, e.g. icoSizes=16,32,48.',
+          });
+        }
+        if (['ico', 'bmp'].includes(finalFormat) && colorSpaceValue === 'cmyk') {
+          hadError = true;
+          errorCode = 'invalid_parameter';
+          errorMessage = `colorSpace=cmyk is not available for ${finalFormat}.`;
+          return sendError(res, 400, 'invalid_parameter', errorMessage, { hint: 'Use colorSpace=srgb or colorSpace=grayscale.' });
+        }
+        const tiffMultiPage = finalFormat === 'tiff' && tiffMode === 'multi';
+        // These outputs ignore quality, so there is nothing for the size search to trade off.
+        if (parsedTargetSize && (tiffMultiPage || ['ico', 'bmp'].includes(finalFormat))) {
+          hadError = true;
+          errorCode = 'invalid_parameter';
+          errorMessage = `targetSizeKB is not available for ${tiffMultiPage ? 'tiffMode=multi' : finalFormat}.`;
+          return sendError(res, 400, 'invalid_parameter', errorMessage, {
+            hint: 'Drop targetSizeKB, or choose jpeg, webp or avif output.',
+          });
+        }
+
+        if (pipelineSteps && removeBackground) {
+          hadError = true;
+          errorCode = 'invalid_parameter';
+          errorMessage = 'removeBackground cannot be combined with pipeline.';
+          return sendError(res, 400, 'invalid_parameter', errorMessage, {
+            hint: 'Add a removeBackground step to steps instead.',
+          });
+        }
+        const parsedRemoval = pipelineSteps
+          ? { options: null }
+          : parseBackgroundRemoval({ removeBackground, keyColor, tolerance, feather, maskOutput, backgroundColor, backgroundBlur });
+        if (parsedRemoval.error) {
+          hadError = true;
+          errorCode = 'invalid_parameter';
+          errorMessage = parsedRemoval.error.message;
+          return sendError(res, 400, 'invalid_parameter', parsedRemoval.error.message, { hint: parsedRemoval.error.hint });
+        }
+        const backgroundRemoval = parsedRemoval.options;
+        removalModeUsed = backgroundRemoval ? backgroundRemoval.mode : null;
+        // A cut-out with no new background keeps its transparency.
+        const removalLeavesAlpha = Boolean(backgroundRemoval && !backgroundRemoval.mask && !backgroundRemoval.background);
 
         const pdfOptions = {
           pdfMode: pdfMode === 'multi' ? 'multi' : 'single',
@@ -487,8 +651,8 @@ module.exports = function (app, { checkApiKey, imgEditDir, baseUrl, timeoutMiddl
 
         const results = [];
 
-        const processImageBuffer = async (file) => {
-          const svgInput = isSvg(file);
+        // The fixed operation order of every action except pipeline.
+        const applyOperations = async (file, svgInput, outputFormat) => {
           let pipeline = sharp(file.buffer, svgInput ? { limitInputPixels: 268402689 } : {});
           let meta = await pipeline.metadata();
 
@@ -512,11 +676,23 @@ module.exports = function (app, { checkApiKey, imgEditDir, baseUrl, timeoutMiddl
             }
           }
 
+          if (aspectRatioValue) {
+            pipeline = sharp(await cropToAspectRatio(pipeline, aspectRatioValue, resizePosition || 'attention'));
+          }
+
           if (parsedWidth || parsedHeight) {
-            pipeline = pipeline.resize(parsedWidth || null, parsedHeight || null, {
-              fit: 'inside',
-              withoutEnlargement: !allowEnlarge,
-            });
+            pipeline = pipeline.resize(
+              parsedWidth || null,
+              parsedHeight || null,
+              buildResizeOptions({
+                width: parsedWidth,
+                height: parsedHeight,
+                fit: resizeFit,
+                position: resizePosition,
+                background: letterboxColor,
+                enlarge: allowEnlarge,
+              })
+            );
           }
 
           if (rotate) {
@@ -564,8 +740,19 @@ module.exports = function (app, { checkApiKey, imgEditDir, baseUrl, timeoutMiddl
           let workingBuffer = await pipeline.toBuffer();
           let workingMeta = await sharp(workingBuffer).metadata();
 
-          // Background replacement / flattening
-          if (
+          // Background removal, with the same replacement as the pipeline's removeBackground step
+          // (backgroundBlur blurs the original scene behind the cut-out). Without removal, the
+          // replacement / flattening below applies to inputs that already have alpha.
+          if (backgroundRemoval) {
+            const cutout = await cutOutBackground(workingBuffer, backgroundRemoval);
+            workingBuffer = backgroundRemoval.background
+              ? await replaceBackground(cutout, workingBuffer, backgroundRemoval.background)
+              : cutout;
+            if (removalLeavesAlpha && outputFormat === 'jpeg') {
+              workingBuffer = await sharp(workingBuffer).flatten({ background: '#ffffff' }).toBuffer();
+            }
+            workingMeta = await sharp(workingBuffer).metadata();
+          } else if (
             (workingMeta.hasAlpha && (backgroundColor || backgroundBlur)) ||
             (!workingMeta.hasAlpha && (finalFormat === 'jpeg' || finalFormat === 'jpg'))
           ) {
@@ -619,15 +806,7 @@ module.exports = function (app, { checkApiKey, imgEditDir, baseUrl, timeoutMiddl
           // Border radius
           const borderRadiusValue = borderRadius ? Math.max(parseInt(borderRadius, 10), 0) : 0;
           if (borderRadiusValue > 0 && workingMeta.width && workingMeta.height) {
-            const maskSvg = Buffer.from(
-              `<svg xmlns="http://www.w3.org/2000/svg" width="${workingMeta.width}" height="${workingMeta.height}">
-                <rect x="0" y="0" width="${workingMeta.width}" height="${workingMeta.height}" rx="${borderRadiusValue}" ry="${borderRadiusValue}" fill="white"/>
-              </svg>`
-            );
-            workingBuffer = await sharp(workingBuffer)
-              .ensureAlpha()
-              .composite([{ input: maskSvg, blend: 'dest-in' }])
-              .toBuffer();
+            workingBuffer = await roundCorners(workingBuffer, borderRadiusValue);
             workingMeta = await sharp(workingBuffer).metadata();
             const outFmt = finalFormat || workingMeta.format || 'jpeg';
             if (['jpeg', 'jpg'].includes(outFmt)) {
@@ -641,33 +820,13 @@ module.exports = function (app, { checkApiKey, imgEditDir, baseUrl, timeoutMiddl
           // Watermark image
           if (watermarkImageFile && watermarkImageFile.buffer && workingMeta.width && workingMeta.height) {
             try {
-              const wmBase = sharp(watermarkImageFile.buffer);
-              const wmMeta = await wmBase.metadata();
-              const scaleBase = Math.min(workingMeta.width, workingMeta.height);
-              const targetSize = Math.max(Math.round(scaleBase * clampNumber(watermarkScale, 0.01, 1, 0.25)), 1);
-              const resizedWm = await wmBase
-                .resize({ width: targetSize, height: targetSize, fit: 'inside', withoutEnlargement: true })
-                .toBuffer();
-              const resizedMeta = await sharp(resizedWm).metadata();
-              const pos = applyPositioning({
-                baseWidth: workingMeta.width,
-                baseHeight: workingMeta.height,
-                overlayWidth: resizedMeta.width,
-                overlayHeight: resizedMeta.height,
+              workingBuffer = await applyImageWatermark(workingBuffer, {
+                watermark: watermarkImageFile.buffer,
+                scale: clampNumber(watermarkScale, 0.01, 1, 0.25),
                 position: watermarkPosition || 'center',
                 margin: clampInt(watermarkMargin, 0, 5000, 24),
+                opacity: clampNumber(watermarkOpacity, 0, 1, 0.35),
               });
-              workingBuffer = await sharp(workingBuffer)
-                .composite([
-                  {
-                    input: resizedWm,
-                    top: pos.top,
-                    left: pos.left,
-                    blend: 'over',
-                    opacity: clampNumber(watermarkOpacity, 0, 1, 0.35),
-                  },
-                ])
-                .toBuffer();
               workingMeta = await sharp(workingBuffer).metadata();
             } catch (e) {
               // ignore watermark failures to avoid breaking core processing
@@ -676,59 +835,65 @@ module.exports = function (app, { checkApiKey, imgEditDir, baseUrl, timeoutMiddl
 
           // Watermark text
           if (watermarkText && workingMeta.width && workingMeta.height) {
-            const fontSizeVal = clampInt(watermarkFontSize, 6, 400, 32);
-            const approxWidth = Math.min(
-              workingMeta.width,
-              Math.max(Math.round(fontSizeVal * (watermarkText.length || 1) * 0.6), 10)
-            );
-            const approxHeight = Math.max(Math.round(fontSizeVal * 1.2), 10);
-            const svg = buildTextWatermarkSvg({
+            workingBuffer = await applyTextWatermark(workingBuffer, {
               text: watermarkText,
-              width: approxWidth,
-              height: approxHeight,
-              fontSize: fontSizeVal,
+              fontSize: clampInt(watermarkFontSize, 6, 400, 32),
               color: watermarkColor || '#ffffff',
               opacity: clampNumber(watermarkOpacity, 0, 1, 0.35),
-            });
-            const pos = applyPositioning({
-              baseWidth: workingMeta.width,
-              baseHeight: workingMeta.height,
-              overlayWidth: approxWidth,
-              overlayHeight: approxHeight,
               position: watermarkPosition || 'center',
               margin: clampInt(watermarkMargin, 0, 5000, 24),
             });
-            workingBuffer = await sharp(workingBuffer)
-              .composite([
-                {
-                  input: svg,
-                  top: pos.top,
-                  left: pos.left,
-                  blend: 'over',
-                },
-              ])
-              .toBuffer();
             workingMeta = await sharp(workingBuffer).metadata();
           }
 
-          const detectedFormat = (meta.format || 'jpeg').toLowerCase();
-          const outputFormat = finalFormat || detectedFormat || 'jpeg';
-
-          const extMap = {
-            jpeg: 'jpg',
-            jpg: 'jpg',
-            png: 'png',
-            webp: 'webp',
-            avif: 'avif',
-            gif: 'gif',
-            svg: 'svg',
-            pdf: 'pdf',
+          return workingBuffer;
+        };
+
+        const processImageBuffer = async (file) => {
+          const svgInput = isSvg(file);
+          const sharpOptions = svgInput ? { limitInputPixels: 268402689 } : {};
+          const meta = await sharp(file.buffer, sharpOptions).metadata();
+          let detectedFormat = (meta.format || 'jpeg').toLowerCase();
+          // sharp reports AVIF as heif; keep AVIF uploads as AVIF.
+          if (detectedFormat === 'heif' && file.mimetype === 'image/avif') detectedFormat = 'avif';
+          // Without `format`, inputs with no matching encoder (SVG, BMP without magick) become PNG, and so
+          // do JPEGs whose background was removed, which would otherwise lose the cut-out.
+          const keptFormat = detectedFormat !== 'pdf' && isOutputFormatAvailable(detectedFormat) ? detectedFormat : 'png';
+          const outputFormat = finalFormat || (removalLeavesAlpha && keptFormat === 'jpeg' ? 'png' : keptFormat);
+
+          const transform = async buffer => {
+            if (pipelineSteps) {
+              return runImagePipeline(buffer, pipelineSteps, {
+                sharpOptions,
+                watermarkImage: watermarkImageFile?.buffer || null,
+              });
+            }
+            return applyOperations({ ...file, buffer }, svgInput, outputFormat);
           };
 
-          const encodeWithQuality = async (q) => {
-            let instance = sharp(workingBuffer);
+          // Animated GIF/WebP run every operation per frame; other outputs use the first (or chosen) frame.
+          // `frame` also picks a page of a multi-page TIFF.
+          const animation = svgInput ? null : await readAnimation(file.buffer);
+          let workingBuffer = null;
+          let animatedFrames = null;
+          let animationOptions = null;
+          if (frameOptions.frame !== null && (animation || frameOptions.frame > 0)) {
+            workingBuffer = await transform(await extractFrame(file.buffer, frameOptions.frame, meta.pages || 1));
+          } else if (animation && ANIMATED_FORMATS.includes(outputFormat)) {
+            const selected = selectFrames(await splitFrames(file.buffer, animation), frameOptions);
+            animatedFrames = [];
+            for (const frameBuffer of selected.frames) {
+              animatedFrames.push(await transform(frameBuffer));
+            }
+            animationOptions = { loop: frameOptions.loop ?? animation.loop, delay: selected.delay };
+          } else {
+            workingBuffer = await transform(file.buffer);
+          }
+
+          const encodeWithQuality = async (q, format = outputFormat) => {
+            let instance = animatedFrames ? joinFrames(animatedFrames) : sharp(workingBuffer);
             try {
-              if (colorSpaceValue === 'grayscale' || parseBoolean(grayscaleParam)) {
+              if (colorSpaceValue === 'grayscale' || (!pipelineSteps && parseBoolean(grayscaleParam))) {
                 instance = instance.toColourspace('b-w');
               } else if (colorSpaceValue === 'srgb' || !colorSpaceValue) {
                 instance = instance.toColourspace('srgb');
@@ -741,31 +906,11 @@ module.exports = function (app, { checkApiKey, imgEditDir, baseUrl, timeoutMiddl
               throw e;
             }
             if (preserveMetadata) instance = instance.withMetadata();
-            switch (outputFormat) {
-              case 'png':
-                instance = instance.png({ compressionLevel: 9 });
-                break;
-              case 'webp':
-                instance = instance.webp(q ? { quality: q } : {});
-                break;
-              case 'avif':
-                instance = instance.avif(q ? { quality: q } : {});
-                break;
-              case 'gif':
-                instance = instance.gif();
-                break;
-              case 'svg':
-                instance = instance.svg();
-                break;
-              case 'pdf':
-                break;
-              case 'jpeg':
-              case 'jpg':
-              default:
-                instance = instance.jpeg(q ? { quality: q } : {});
-                break;
-            }
-            return instance.toBuffer();
+            return encodeImage(instance, format, q, {
+              animation: animationOptions,
+              encoder: encoderOptions,
+              icoSizes: parsedIcoSizes,
+            });
           };
 
           let outputBuffer;
@@ -777,33 +922,21 @@ module.exports = function (app, { checkApiKey, imgEditDir, baseUrl, timeoutMiddl
             const intermediate = await encodeWithQuality(parsedQuality || null);
             finalBufferFormat = 'png';
             finalMeta = await sharp(intermediate).metadata();
-            return { buffer: intermediate, format: finalBufferFormat, meta: finalMeta, qualityUsed, isSvg: svgInput, extMap };
+            return { buffer: intermediate, format: finalBufferFormat, meta: finalMeta, qualityUsed, isSvg: svgInput };
+          }
+
+          // Multi-page TIFF pages are collected as PNG and encoded together after every file is processed.
+          if (tiffMultiPage) {
+            const page = await encodeWithQuality(null, 'png');
+            return { buffer: page, format: 'png', meta: await sharp(page).metadata(), qualityUsed, isSvg: svgInput };
           }
 
           const targetBytes = parsedTargetSize ? parsedTargetSize * 1024 : null;
           if (targetBytes) {
-            let low = 20;
-            let high = 90;
-            let bestBuffer = null;
-            let bestQuality = null;
-            for (let i = 0; i < 7; i++) {
-              const mid = Math.round((low + high) / 2);
-              const testBuffer = await encodeWithQuality(mid);
-              if (testBuffer.length > targetBytes) {
-                high = mid - 5;
-              } else {
-                bestBuffer = testBuffer;
-                bestQuality = mid;
-                low = mid + 5;
-              }
-            }
-            if (bestBuffer) {
-              outputBuffer = bestBuffer;
-              qualityUsed = bestQuality;
-            } else {
-              outputBuffer = await encodeWithQuality(parsedQuality || null);
-              qualityUsed = parsedQuality || null;
-            }
+            ({ buffer: outputBuffer, qualityUsed } = await encodeToTargetSize(encodeWithQuality, {
+              targetBytes,
+              quality: parsedQuality,
+            }));
           } else if (parsedQuality || finalFormat) {
             qualityUsed = parsedQuality || null;
             outputBuffer = await encodeWithQuality(parsedQuality || null);
@@ -811,14 +944,16 @@ module.exports = function (app, { checkApiKey, imgEditDir, baseUrl, timeoutMiddl
             outputBuffer = await encodeWithQuality(null);
           }
 
-          finalMeta = await sharp(outputBuffer).metadata();
+          finalMeta = ['ico', 'bmp'].includes(outputFormat)
+            ? readContainerSize(outputBuffer, outputFormat)
+            : await sharp(outputBuffer).metadata();
           return {
             buffer: outputBuffer,
             format: outputFormat,
             meta: finalMeta,
             qualityUsed,
             isSvg: svgInput,
-            extMap,
+            frames: animatedFrames ? animatedFrames.length : null,
           };
         };
 
@@ -879,6 +1014,24 @@ module.exports = function (app, { checkApiKey, imgEditDir, baseUrl, timeoutMiddl
             quality: null,
             originalName: null,
           });
+        } else if (tiffMultiPage) {
+          const tiffBuffer = await buildMultiPageTiff(processed.map(item => item.buffer), {
+            quality: parsedQuality,
+            encoder: encoderOptions,
+          });
+          const tiffMeta = await sharp(tiffBuffer).metadata();
+          const fileName = `${uuidv4()}.tiff`;
+          await fs.promises.writeFile(path.join(imgEditDir, fileName), tiffBuffer);
+          results.push({
+            url: `${baseUrl}/img-edit/${fileName}`,
+            format: 'tiff',
+            sizeBytes: tiffBuffer.length,
+            width: tiffMeta.width || null,
+            height: tiffMeta.pageHeight || tiffMeta.height || null,
+            quality: parsedQuality || null,
+            originalName: null,
+            pages: processed.length,
+          });
         } else {
           for (let i = 0; i < processed.length; i++) {
             const item = processed[i];
@@ -906,19 +1059,10 @@ module.exports = function (app, { checkApiKey, imgEditDir, baseUrl, timeoutMiddl
                 originalName: files[i].originalname || null,
               });
             } else {
-              const extMap = {
-                jpeg: 'jpg',
-                jpg: 'jpg',
-                png: 'png',
-                webp: 'webp',
-                avif: 'avif',
-                gif: 'gif',
-                svg: 'svg',
-              };
-              const ext = extMap[item.format] || 'jpg';
+              const ext = OUTPUT_FORMATS[item.format]?.ext || 'jpg';
               const fileName = `${uuidv4()}.${ext}`;
               const filePath = path.join(imgEditDir, fileName);
-              await sharp(item.buffer).toFile(filePath);
+              await fs.promises.writeFile(filePath, item.buffer);
               results.push({
                 url: `${baseUrl}/img-edit/${fileName}`,
                 format: item.format,
@@ -927,6 +1071,7 @@ module.exports = function (app, { checkApiKey, imgEditDir, baseUrl, timeoutMiddl
                 height: item.meta.height || null,
                 quality: item.qualityUsed,
                 originalName: files[i].originalname || null,
+                ...(item.frames ? { frames: item.frames } : {}),
               });
             }
           }
@@ -937,7 +1082,20 @@ module.exports = function (app, { checkApiKey, imgEditDir, baseUrl, timeoutMiddl
         res.json({ results });
       } catch (err) {
         hadError = true;
-        if (err && err.code === 'cmyk_not_supported') {
+        if (err && err.code === 'pipeline_step_failed') {
+          errorCode = 'pipeline_step_failed';
+          errorMessage = `steps[${err.step}] (${err.op}) failed: ${err.message}`;
+          sendError(res, 400, 'pipeline_step_failed', errorMessage, {
+            hint: 'Check the failing step against the image size after the steps before it.',
+            details: { step: err.step, op: err.op },
+          });
+        } else if (err && err.code === 'invalid_frame_options') {
+          errorCode = 'invalid_parameter';
+          errorMessage = err.message;
+          sendError(res, 400, 'invalid_parameter', err.message, {
+            hint: 'Check frame, frameStep and dropFrames against the frame count reported by action=metadata.',
+          });
+        } else if (err && err.code === 'cmyk_not_supported') {
           errorCode = 'invalid_parameter';
           errorMessage = 'CMYK not supported in this build.';
           sendError(res, 400, 'invalid_parameter', 'CMYK not supported in this build.', {
@@ -973,10 +1131,16 @@ module.exports = function (app, { checkApiKey, imgEditDir, baseUrl, timeoutMiddl
               width: widthUsed,
               height: heightUsed,
               pdfMode: pdfModeUsed,
+              ...(pipelineSteps ? { pipeline: pipelineSteps.map(step => step.op) } : {}),
+              ...(responsiveOptions
+                ? { widths: responsiveOptions.widths, formats: responsiveOptions.formats, billing: responsiveOptions.billing }
+                : {}),
+              ...(removalModeUsed ? { removeBackground: removalModeUsed } : {}),
             },
             usagePeriod: isCustomer
               ? getUsagePeriodForKey(req.customerKey, req.customerKey?.plan)
               : null,
+            reservation: req.asyncJob?.reservation,
           });
         }
       }
@@ -0,0 +1,213 @@
+const multer = require('multer');
+const { v4: uuidv4 } = require('uuid');
+const { sendError } = require('../utils/errorResponse');
+const { wrapAsync } = require('../utils/wrapAsync');
+const { resolveRequestLimits } = require('../utils/limits');
+const { extractClientInfo } = require('../utils/requestInfo');
+const {
+  getUsagePeriodForKey,
+  getOrCreateUsageForKey,
+  reserveQuota,
+  releaseReservedQuota,
+  recordUsageAndLog,
+} = require('../usage');
+const {
+  JOB_ENDPOINTS,
+  estimateJobFiles,
+  formatJob,
+  spoolJobFiles,
+  removeJobFiles,
+  createJob,
+  getJobForKey,
+  getQueuePosition,
+  countActiveJobsForKey,
+} = require('../utils/jobs');
+const { kickJobWorkers } = require('../utils/jobWorker');
+const { readCallbackUrl, checkCallbackUrl } = require('../utils/webhooks');
+
+const JOBS_MAX_ACTIVE_PER_KEY = parseInt(process.env.JOBS_MAX_ACTIVE_PER_KEY, 10) || 20;
+const JOB_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+// Never persist credentials with the replayed payload; the callback fires once for the job instead.
+const STRIPPED_FIELDS = ['endpoint', 'api_key', 'callback_url'];
+
+// Public keys are rate limited per IP and call; queued work would bypass that.
+function requireJobKey(req, res, next) {
+  if (req.apiKeyType === 'public') {
+    return sendError(res, 403, 'jobs_not_allowed', 'Async jobs are not available for this API key.', {
+      hint: 'Use a customer API key, or call the endpoint directly.',
+    });
+  }
+  return next();
+}
+
+/**
+ * Parse multipart uploads before the target endpoint is known. Limits are checked against the
+ * target endpoint afterwards; dimension checks run when the job replays the request.
+ */
+function parseJobUpload(req, res, next) {
+  if (!req.is('multipart/form-data')) return next();
+  const limits = JOB_ENDPOINTS.map(endpoint => resolveRequestLimits(req, endpoint).upload);
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+      // +1 leaves room for watermark uploads next to the endpoint's files.
+      files: Math.max(...limits.map(limit => limit.maxFiles || 0)) + 1,
+      fileSize: limits[0].perFileLimitBytes,
+    },
+  }).any();
+  return upload(req, res, err => {
+    if (!err) return next();
+    if (err.code === 'LIMIT_FILE_SIZE') {
+      return sendError(res, 413, 'file_too_large', 'Uploaded file exceeds size limit.', {
+        hint: `Max size: ${limits[0].perFileLimitBytes} bytes per file.`,
+      });
+    }
+    if (err.code === 'LIMIT_FILE_COUNT') {
+      return sendError(res, 413, 'too_many_files', 'Too many files were uploaded.');
+    }
+    return sendError(res, 400, 'invalid_upload', 'Upload failed validation.', { details: err.message });
+  });
+}
+
+module.exports = function (app, { checkApiKey, jobsDir, baseUrl }) {
+  // POST https://pixlab.davix.dev/v1/jobs
+  app.post('/v1/jobs', checkApiKey, requireJobKey, parseJobUpload, wrapAsync(async (req, res) => {
+    const endpoint = (req.body?.endpoint || req.query.endpoint || '').toString().toLowerCase();
+    if (!JOB_ENDPOINTS.includes(endpoint)) {
+      return sendError(res, 400, 'invalid_parameter', 'Invalid endpoint.', {
+        hint: `Set endpoint to one of: ${JOB_ENDPOINTS.join(', ')}.`,
+      });
+    }
+
+    const limits = resolveRequestLimits(req, endpoint);
+    if (req.apiKeyType === 'customer' && !limits.allowed) {
+      return sendError(res, 403, 'endpoint_not_allowed', 'Your plan does not allow using this endpoint.', {
+        details: { endpoint, plan_slug: limits.planSlug || null },
+      });
+    }
+
+    const files = Array.isArray(req.files) ? req.files : [];
+    if (Number.isFinite(limits.upload.maxFiles) && files.length > limits.upload.maxFiles + 1) {
+      return sendError(res, 413, 'too_many_files', 'Too many files were uploaded.', {
+        hint: `Max files per request: ${limits.upload.maxFiles}.`,
+      });
+    }
+    const bytesIn = files.reduce((sum, file) => sum + file.size, 0);
+    if (limits.upload.maxTotalBytes && bytesIn > limits.upload.maxTotalBytes) {
+      return sendError(res, 413, 'total_upload_exceeded', 'Total upload size exceeds the allowed limit.', {
+        details: { limit_bytes: limits.upload.maxTotalBytes },
+      });
+    }
+
+    const rawCallbackUrl = readCallbackUrl(req);
+    let callbackUrl = null;
+    if (rawCallbackUrl) {
+      const check = checkCallbackUrl(rawCallbackUrl);
+      if (!check.ok) return sendError(res, 400, 'invalid_callback_url', check.message);
+      if (req.apiKeyType === 'owner' && !process.env.WEBHOOK_OWNER_SECRET) {
+        return sendError(res, 400, 'webhooks_not_configured', 'WEBHOOK_OWNER_SECRET is not set.');
+      }
+      callbackUrl = check.url;
+    }
+
+    const payload = { ...(req.body || {}) };
+    STRIPPED_FIELDS.forEach(field => delete payload[field]);
+    const action = payload.action ? String(payload.action).toLowerCase().slice(0, 50) : null;
+    if (!action) {
+      return sendError(res, 400, 'invalid_parameter', 'missing action');
+    }
+
+    const isCustomer = req.apiKeyType === 'customer';
+    const owner = { apiKeyType: req.apiKeyType, apiKeyId: isCustomer ? req.customerKey.id : null };
+    if ((await countActiveJobsForKey(owner)) >= JOBS_MAX_ACTIVE_PER_KEY) {
+      return sendError(res, 429, 'too_many_jobs', `At most ${JOBS_MAX_ACTIVE_PER_KEY} jobs can be queued or running.`, {
+        hint: 'Wait for earlier jobs to finish before queueing more.',
+      });
+    }
+
+    const { ip, userAgent } = extractClientInfo(req);
+    const reservedFiles = isCustomer ? estimateJobFiles(endpoint, payload, files, resolveRequestLimits(req, endpoint)) : 0;
+    const usagePeriod = isCustomer ? getUsagePeriodForKey(req.customerKey, req.customerKey?.plan) : null;
+
+    if (isCustomer) {
+      const usage = await getOrCreateUsageForKey(req.customerKey.id, usagePeriod, req.customerKey.monthly_quota);
+      const reserved = await reserveQuota(req.customerKey.id, usagePeriod, req.customerKey.monthly_quota, reservedFiles);
+      if (!reserved) {
+        await recordUsageAndLog({
+          apiKeyRecord: req.customerKey,
+          endpoint,
+          action: `job_${action}`,
+          filesProcessed: 0,
+          bytesIn,
+          bytesOut: 0,
+          status: 429,
+          ip,
+          userAgent,
+          ok: false,
+          errorCode: 'monthly_quota_exceeded',
+          errorMessage: 'Your monthly Pixlab quota has been exhausted.',
+          paramsForLog: { job: true, reserved_files: reservedFiles },
+          usagePeriod,
+        });
+        return res.status(429).json({
+          error: 'monthly_quota_exceeded',
+          message: 'Your monthly Pixlab quota has been exhausted.',
+          details: {
+            limit: req.customerKey.monthly_quota,
+            used: usage.used_files,
+            reserved: Number(usage.reserved_files) || 0,
+            requested: reservedFiles,
+            period: usage.period,
+          },
+        });
+      }
+    }
+
+    let job;
+    const jobId = uuidv4();
+    try {
+      job = await createJob({
+        jobId,
+        ...owner,
+        endpoint,
+        action,
+        contentType: req.is('multipart/form-data') ? 'multipart' : 'json',
+        payload,
+        files: spoolJobFiles(jobsDir, jobId, files),
+        reservedFiles,
+        usagePeriod,
+        clientIp: ip,
+        userAgent,
+        callbackUrl,
+      });
+    } catch (err) {
+      removeJobFiles(jobsDir, jobId);
+      if (isCustomer) await releaseReservedQuota(req.customerKey.id, usagePeriod, reservedFiles);
+      throw err;
+    }
+
+    console.log(
+      `[DAVIX][jobs] queued: job_id=${job.job_id}, endpoint=${endpoint}, action=${action}, ` +
+        `key_id=${owner.apiKeyId ?? 'owner'}, reserved_files=${reservedFiles}, files=${files.length}`
+    );
+    kickJobWorkers();
+
+    res.status(202).json({
+      status: 'ok',
+      job: formatJob(job, { queuePosition: await getQueuePosition(job) }),
+      statusUrl: `${baseUrl}/v1/jobs/${job.job_id}`,
+    });
+  }));
+
+  // GET https://pixlab.davix.dev/v1/jobs/:id
+  app.get('/v1/jobs/:id', checkApiKey, requireJobKey, wrapAsync(async (req, res) => {
+    const owner = {
+      apiKeyType: req.apiKeyType,
+      apiKeyId: req.apiKeyType === 'customer' ? req.customerKey.id : null,
+    };
+    const job = JOB_ID_PATTERN.test(req.params.id) ? await getJobForKey(owner, req.params.id) : null;
+    if (!job) return sendError(res, 404, 'job_not_found', 'Job not found.');
+    const queuePosition = job.state === 'queued' ? await getQueuePosition(job) : null;
+    res.json({ status: 'ok', job: formatJob(job, { queuePosition }) });
+  }));
+};
@@ -16,6 +16,7 @@ const { extractClientInfo } = require('../utils/requestInfo');
 const { wrapAsync } = require('../utils/wrapAsync');
 const { createUploadMiddleware } = require('../utils/uploadLimits');
 const { createEndpointGuard } = require('../utils/limits');
+const { pickPdfMetadata, applyPdfMetadata } = require('../utils/pdfMetadata');
 
 const allowedPdfMimes = new Set(['application/pdf']);
 
@@ -365,7 +366,12 @@ module.exports = function (app, { checkApiKey, pdfDir, baseUrl, timeoutMiddlewar
             usagePeriod,
             req.customerKey.monthly_quota
           );
-          const quota = checkMonthlyQuota(usageRecord, req.customerKey.monthly_quota, filesToConsume);
+          const quota = checkMonthlyQuota(
+            usageRecord,
+            req.customerKey.monthly_quota,
+            filesToConsume,
+            req.asyncJob?.reservation
+          );
           if (!quota.allowed) {
             hadError = true;
             errorCode = 'monthly_quota_exceeded';
@@ -609,6 +615,13 @@ module.exports = function (app, { checkApiKey, pdfDir, baseUrl, timeoutMiddlewar
         }
 
         if (action === 'metadata') {
+          const { metadata, error: metadataError } = pickPdfMetadata(req.body);
+          if (metadataError) {
+            hadError = true;
+            errorCode = 'invalid_parameter';
+            errorMessage = metadataError;
+            return sendError(res, 400, 'invalid_parameter', metadataError);
+          }
           const doc = await PDFDocument.load(singleFile.buffer);
           const clean = parseBoolean(req.body.cleanAllMetadata, false);
           if (clean) {
@@ -619,12 +632,7 @@ module.exports = function (app, { checkApiKey, pdfDir, baseUrl, timeoutMiddlewar
             doc.setProducer('');
             doc.setCreator('');
           }
-          if (req.body.title) doc.setTitle(req.body.title);
-          if (req.body.author) doc.setAuthor(req.body.author);
-          if (req.body.subject) doc.setSubject(req.body.subject);
-          if (req.body.keywords) doc.setKeywords([req.body.keywords]);
-          if (req.body.creator) doc.setCreator(req.body.creator);
-          if (req.body.producer) doc.setProducer(req.body.producer);
+          applyPdfMetadata(doc, metadata);
           const output = await doc.save();
           const fileName = `${uuidv4()}.pdf`;
           const filePath = path.join(pdfDir, fileName);
@@ -865,6 +873,7 @@ module.exports = function (app, { checkApiKey, pdfDir, baseUrl, timeoutMiddlewar
             usagePeriod: isCustomer
               ? getUsagePeriodForKey(req.customerKey, req.customerKey?.plan)
               : null,
+            reservation: req.asyncJob?.reservation,
           });
         }
       }
@@ -10,6 +10,7 @@ const {
   utcNow,
 } = require('../utils/time');
 const { getUsagePeriodForKey } = require('../usage');
+const { getWebhookSecret, rotateWebhookSecret, formatDelivery } = require('../utils/webhooks');
 
 let planSchemaCache = { maxDimension: null };
 let columnExistsCache = {};
@@ -1164,6 +1165,13 @@ module.exports = function (app) {
       allow_tools = null,
       is_free = null,
       description = null,
+      h2i_allowed_domains = null,
+      h2i_batch_max_items = null,
+      h2i_batch_concurrency = null,
+      h2i_max_animation_frames = null,
+      h2i_force_safe_mode = null,
+      image_pipeline_max_steps = null,
+      image_responsive_billing = null,
     } = req.body || {};
 
     const planSlug = (plan_slug || '').trim();
@@ -1187,6 +1195,13 @@ module.exports = function (app) {
       'allow_tools',
       'is_free',
       'description',
+      'h2i_allowed_domains',
+      'h2i_batch_max_items',
+      'h2i_batch_concurrency',
+      'h2i_max_animation_frames',
+      'h2i_force_safe_mode',
+      'image_pipeline_max_steps',
+      'image_responsive_billing',
     ];
 
     const values = [
@@ -1203,6 +1218,13 @@ module.exports = function (app) {
       allow_tools,
       is_free,
       description,
+      h2i_allowed_domains,
+      h2i_batch_max_items,
+      h2i_batch_concurrency,
+      h2i_max_animation_frames,
+      h2i_force_safe_mode,
+      image_pipeline_max_steps,
+      image_responsive_billing,
     ];
 
     if (includeMaxDimension) {
@@ -1675,6 +1697,109 @@ module.exports = function (app) {
     }
   });
 
+  // Webhook signing secret for a customer key; created on first request, replaced when rotate=true.
+  app.post('/internal/user/webhook-secret', requireToken, async (req, res) => {
+    const { subscription_id = null, customer_email = null, order_id = null, rotate = false } = req.body || {};
+
+    if (!subscription_id && !customer_email && !order_id) {
+      return sendError(res, 400, 'missing_identifier', 'Provide subscription_id, customer_email, or order_id.');
+    }
+
+    try {
+      const { keyRow, identity_used } = await resolveKeyFromIdentifiers({ subscription_id, customer_email, order_id });
+      if (!keyRow) {
+        return sendError(res, 404, 'not_found', 'Key not found.');
+      }
+
+      const shouldRotate = rotate === true || rotate === 'true' || rotate === 1 || rotate === '1';
+      const secret = shouldRotate
+        ? await rotateWebhookSecret(keyRow.id)
+        : await getWebhookSecret('customer', keyRow.id);
+
+      return res.json({
+        status: 'ok',
+        action: shouldRotate ? 'rotated' : 'fetched',
+        identity_used,
+        webhook_secret: secret,
+        subscription_id: keyRow.subscription_id || null,
+        order_id: keyRow.order_id || null,
+      });
+    } catch (err) {
+      console.error('Webhook secret lookup failed:', err);
+      return sendError(res, 500, 'webhook_secret_failed', 'Failed to load webhook secret.', {
+        details: err.sqlMessage || err.message,
+      });
+    }
+  });
+
+  // Webhook delivery log with filters and pagination
+  app.get('/internal/admin/webhooks/deliveries', requireToken, async (req, res) => {
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const perPageRaw = parseInt(req.query.per_page, 10) || 20;
+    const perPage = Math.min(Math.max(perPageRaw, 1), 100);
+    const { subscription_id = null, customer_email = null, order_id = null } = req.query;
+
+    const where = [];
+    const params = [];
+
+    try {
+      if (subscription_id || customer_email || order_id) {
+        const { keyRow } = await resolveKeyFromIdentifiers({ subscription_id, customer_email, order_id });
+        if (!keyRow) {
+          return sendError(res, 404, 'not_found', 'Key not found.');
+        }
+        where.push('api_key_id = ?');
+        params.push(keyRow.id);
+      }
+      if (req.query.delivery_id) {
+        where.push('delivery_id = ?');
+        params.push(String(req.query.delivery_id));
+      }
+      if (req.query.job_id) {
+        where.push('job_id = ?');
+        params.push(String(req.query.job_id));
+      }
+      if (req.query.event) {
+        where.push('event = ?');
+        params.push(String(req.query.event));
+      }
+      if (req.query.state) {
+        const state = String(req.query.state);
+        if (!['pending', 'delivering', 'succeeded', 'failed'].includes(state)) {
+          return sendError(res, 400, 'invalid_parameter', 'state must be pending, delivering, succeeded or failed.');
+        }
+        where.push('state = ?');
+        params.push(state);
+      }
+
+      const whereSql = where.length ? `WHERE ${where.join(' AND ')}` : '';
+      const [[{ total }]] = await pool.execute(
+        `SELECT COUNT(*) as total FROM webhook_deliveries ${whereSql}`,
+        params
+      );
+
+      const offset = (page - 1) * perPage;
+      const [rows] = await pool.execute(
+        `SELECT * FROM webhook_deliveries ${whereSql} ORDER BY id DESC LIMIT ? OFFSET ?`,
+        [...params, perPage, offset]
+      );
+
+      const includePayload = req.query.include_payload === '1' || req.query.include_payload === 'true';
+      return res.json({
+        status: 'ok',
+        items: rows.map(row => formatDelivery(row, { includePayload })),
+        total,
+        page,
+        per_page: perPage,
+      });
+    } catch (err) {
+      console.error('List webhook deliveries failed:', err);
+      return sendError(res, 500, 'webhook_deliveries_failed', 'Failed to list webhook deliveries.', {
+        details: err.sqlMessage || err.message,
+      });
+    }
+  });
+
   app.get('/internal/subscription/debug', requireToken, async (req, res) => {
     const debug = {
       tokenConfigured: Boolean(bridgeToken),
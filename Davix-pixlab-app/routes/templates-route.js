@@ -0,0 +1,241 @@
+const { sendError } = require('../utils/errorResponse');
+const { wrapAsync } = require('../utils/wrapAsync');
+const { createEndpointGuard } = require('../utils/limits');
+const { renderTemplate, validateTemplate } = require('../utils/templateEngine');
+const { EMULATION_FIELDS, parseEmulationOptions } = require('../utils/h2iEmulation');
+const {
+  formatTemplate,
+  countTemplatesForKey,
+  createTemplate,
+  addTemplateVersion,
+  getTemplate,
+  listTemplates,
+  listTemplateVersions,
+  deleteTemplate,
+  parseJsonColumn,
+} = require('../utils/h2iTemplates');
+
+const MAX_HTML_CHARS = parseInt(process.env.MAX_HTML_CHARS, 10) || 100_000;
+const MAX_TEMPLATES_PER_KEY = parseInt(process.env.H2I_MAX_TEMPLATES_PER_KEY, 10) || 100;
+const MAX_TEMPLATE_NAME_CHARS = 190;
+const TEMPLATE_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const h2iEndpointGuard = createEndpointGuard('h2i');
+
+// Templates belong to a customer key row; env-configured owner/public keys have nowhere to store them.
+function requireCustomerKey(req, res, next) {
+  if (req.apiKeyType !== 'customer' || !req.customerKey?.id) {
+    return sendError(res, 403, 'customer_key_required', 'Templates are only available for customer API keys.', {
+      hint: 'Use a customer API key to manage h2i templates.',
+    });
+  }
+  return next();
+}
+
+function parseVersion(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const parsed = parseInt(value, 10);
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : NaN;
+}
+
+// html + css together, so a new version that only changes one of them can't exceed the cap.
+function checkTemplateSize(html, css) {
+  if ((html || '').length + (css || '').length <= MAX_HTML_CHARS) return null;
+  return {
+    status: 413,
+    code: 'html_too_large',
+    message: `Template exceeds maximum length of ${MAX_HTML_CHARS} characters.`,
+  };
+}
+
+/**
+ * Validate create/update fields. `partial` allows omitting fields (new versions inherit them).
+ * Returns { fields } or { error: { code, message } }.
+ */
+function validateTemplateInput(body = {}, { partial = false } = {}) {
+  const fields = {};
+  const { name, html, css } = body;
+  const sampleData = body.sample_data !== undefined ? body.sample_data : body.sampleData;
+
+  if (name !== undefined || !partial) {
+    if (typeof name !== 'string' || !name.trim()) {
+      return { error: { status: 400, code: 'missing_field', message: "The 'name' field is required." } };
+    }
+    if (name.trim().length > MAX_TEMPLATE_NAME_CHARS) {
+      return {
+        error: {
+          status: 400,
+          code: 'invalid_parameter',
+          message: `Template name exceeds ${MAX_TEMPLATE_NAME_CHARS} characters.`,
+        },
+      };
+    }
+    fields.name = name.trim();
+  }
+
+  if (html !== undefined || !partial) {
+    if (typeof html !== 'string' || !html) {
+      return { error: { status: 400, code: 'missing_field', message: "The 'html' field is required." } };
+    }
+    fields.html = html;
+  }
+
+  if (css !== undefined) {
+    if (css !== null && typeof css !== 'string') {
+      return { error: { status: 400, code: 'invalid_parameter', message: "The 'css' field must be a string." } };
+    }
+    fields.css = css || null;
+  }
+
+  if (sampleData !== undefined) {
+    if (sampleData !== null && (typeof sampleData !== 'object' || Array.isArray(sampleData))) {
+      return {
+        error: { status: 400, code: 'invalid_parameter', message: "The 'sample_data' field must be a JSON object." },
+      };
+    }
+    fields.sampleData = sampleData;
+  }
+
+  if (body.emulation !== undefined) {
+    const { emulation } = body;
+    if (emulation !== null && (typeof emulation !== 'object' || Array.isArray(emulation))) {
+      return {
+        error: { status: 400, code: 'invalid_parameter', message: "The 'emulation' field must be a JSON object." },
+      };
+    }
+    const unknown = Object.keys(emulation || {}).filter(key => !EMULATION_FIELDS.includes(key));
+    if (unknown.length) {
+      return {
+        error: {
+          status: 400,
+          code: 'invalid_parameter',
+          message: `Unknown emulation options: ${unknown.join(', ')}. Use ${EMULATION_FIELDS.join(', ')}.`,
+        },
+      };
+    }
+    const parsed = parseEmulationOptions(emulation || {});
+    if (parsed.error) return { error: { status: 400, code: 'invalid_parameter', message: parsed.error } };
+    fields.emulation = Object.keys(parsed.emulation).length ? parsed.emulation : null;
+  }
+
+  if (!partial) {
+    const sizeError = checkTemplateSize(fields.html, fields.css);
+    if (sizeError) return { error: sizeError };
+  }
+
+  try {
+    if (fields.html !== undefined) validateTemplate(fields.html);
+    if (fields.css) validateTemplate(fields.css);
+  } catch (err) {
+    return { error: { status: 400, code: 'invalid_template', message: err.message } };
+  }
+
+  return { fields };
+}
+
+module.exports = function (app, { checkApiKey }) {
+  const guards = [checkApiKey, h2iEndpointGuard, requireCustomerKey];
+
+  async function loadTemplate(req, res) {
+    const templateId = req.params.id;
+    const version = parseVersion(req.query.version ?? req.body?.version);
+    if (!TEMPLATE_ID_PATTERN.test(templateId || '') || Number.isNaN(version)) {
+      sendError(res, 404, 'template_not_found', 'Template not found.');
+      return null;
+    }
+    const template = await getTemplate(req.customerKey.id, templateId, version);
+    if (!template) {
+      sendError(res, 404, 'template_not_found', 'Template not found.');
+      return null;
+    }
+    return template;
+  }
+
+  app.get('/v1/h2i/templates', ...guards, wrapAsync(async (req, res) => {
+    const rows = await listTemplates(req.customerKey.id);
+    res.json({ status: 'ok', templates: rows.map(row => formatTemplate(row)) });
+  }));
+
+  app.post('/v1/h2i/templates', ...guards, wrapAsync(async (req, res) => {
+    const { fields, error } = validateTemplateInput(req.body);
+    if (error) return sendError(res, error.status, error.code, error.message);
+
+    const existing = await countTemplatesForKey(req.customerKey.id);
+    if (existing >= MAX_TEMPLATES_PER_KEY) {
+      return sendError(res, 403, 'template_limit_reached', `You can store at most ${MAX_TEMPLATES_PER_KEY} templates.`, {
+        hint: 'Delete unused templates before creating new ones.',
+      });
+    }
+
+    const template = await createTemplate({ apiKeyId: req.customerKey.id, ...fields });
+    console.log(`[DAVIX][h2i] template created: key_id=${req.customerKey.id}, template_id=${template.template_id}`);
+    res.status(201).json({ status: 'ok', template: formatTemplate(template, { includeSource: true }) });
+  }));
+
+  app.get('/v1/h2i/templates/:id', ...guards, wrapAsync(async (req, res) => {
+    const template = await loadTemplate(req, res);
+    if (!template) return;
+    res.json({ status: 'ok', template: formatTemplate(template, { includeSource: true }) });
+  }));
+
+  app.get('/v1/h2i/templates/:id/versions', ...guards, wrapAsync(async (req, res) => {
+    const rows = TEMPLATE_ID_PATTERN.test(req.params.id)
+      ? await listTemplateVersions(req.customerKey.id, req.params.id)
+      : [];
+    if (!rows.length) return sendError(res, 404, 'template_not_found', 'Template not found.');
+    res.json({ status: 'ok', versions: rows.map(row => formatTemplate(row)) });
+  }));
+
+  app.post('/v1/h2i/templates/:id/versions', ...guards, wrapAsync(async (req, res) => {
+    if (!TEMPLATE_ID_PATTERN.test(req.params.id)) {
+      return sendError(res, 404, 'template_not_found', 'Template not found.');
+    }
+    const { fields, error } = validateTemplateInput(req.body, { partial: true });
+    if (error) return sendError(res, error.status, error.code, error.message);
+
+    if (fields.html !== undefined || fields.css !== undefined) {
+      const latest = await getTemplate(req.customerKey.id, req.params.id);
+      if (!latest) return sendError(res, 404, 'template_not_found', 'Template not found.');
+      const sizeError = checkTemplateSize(
+        fields.html === undefined ? latest.html : fields.html,
+        fields.css === undefined ? latest.css : fields.css
+      );
+      if (sizeError) return sendError(res, sizeError.status, sizeError.code, sizeError.message);
+    }
+
+    const template = await addTemplateVersion(req.customerKey.id, req.params.id, fields);
+    if (!template) return sendError(res, 404, 'template_not_found', 'Template not found.');
+    console.log(
+      `[DAVIX][h2i] template version added: key_id=${req.customerKey.id}, template_id=${template.template_id}, version=${template.version}`
+    );
+    res.status(201).json({ status: 'ok', template: formatTemplate(template, { includeSource: true }) });
+  }));
+
+  app.delete('/v1/h2i/templates/:id', ...guards, wrapAsync(async (req, res) => {
+    const deleted = TEMPLATE_ID_PATTERN.test(req.params.id)
+      ? await deleteTemplate(req.customerKey.id, req.params.id)
+      : false;
+    if (!deleted) return sendError(res, 404, 'template_not_found', 'Template not found.');
+    console.log(`[DAVIX][h2i] template deleted: key_id=${req.customerKey.id}, template_id=${req.params.id}`);
+    res.json({ status: 'ok', deleted: true });
+  }));
+
+  // Returns the merged HTML/CSS without rendering a browser page; does not consume quota.
+  app.post('/v1/h2i/templates/:id/preview', ...guards, wrapAsync(async (req, res) => {
+    const template = await loadTemplate(req, res);
+    if (!template) return;
+
+    const data = req.body?.data !== undefined ? req.body.data : parseJsonColumn(template.sample_data_json);
+    if (data !== null && data !== undefined && (typeof data !== 'object' || Array.isArray(data))) {
+      return sendError(res, 400, 'invalid_parameter', "The 'data' field must be a JSON object.");
+    }
+
+    try {
+      const html = renderTemplate(template.html, data || {}, { maxOutputChars: MAX_HTML_CHARS });
+      const css = template.css ? renderTemplate(template.css, data || {}, { maxOutputChars: MAX_HTML_CHARS }) : null;
+      res.json({ status: 'ok', template: formatTemplate(template), html, css });
+    } catch (err) {
+      const status = err.code === 'template_output_too_large' ? 413 : 400;
+      return sendError(res, status, err.code || 'template_render_failed', err.message);
+    }
+  }));
+};
@@ -280,7 +280,12 @@ module.exports = function (app, { checkApiKey, toolsDir, baseUrl, timeoutMiddlew
             usagePeriod,
             req.customerKey.monthly_quota
           );
-          const quota = checkMonthlyQuota(usageRecord, req.customerKey.monthly_quota, filesToConsume);
+          const quota = checkMonthlyQuota(
+            usageRecord,
+            req.customerKey.monthly_quota,
+            filesToConsume,
+            req.asyncJob?.reservation
+          );
           if (!quota.allowed) {
             hadError = true;
             errorCode = 'monthly_quota_exceeded';
@@ -565,6 +570,7 @@ module.exports = function (app, { checkApiKey, toolsDir, baseUrl, timeoutMiddlew
               usagePeriod: isCustomer
                 ? getUsagePeriodForKey(req.customerKey, req.customerKey?.plan)
                 : null,
+              reservation: req.asyncJob?.reservation,
             });
           } catch (logErr) {
             console.error('tools.logging.failed', logErr);
@@ -0,0 +1,79 @@
+#!/usr/bin/env node
+// Serves a small site locally and renders it through /v1/h2i action=url.
+// The API server must run with H2I_ALLOW_PRIVATE_HOSTS=true (non-production) to reach localhost.
+const http = require('http');
+
+const baseUrl = process.env.BASE_URL || 'http://localhost:3005';
+const apiKey = process.env.REPRO_API_KEY || process.env.API_KEY;
+const sitePort = parseInt(process.env.SMOKE_SITE_PORT, 10) || 3099;
+
+if (typeof fetch !== 'function') {
+  console.error('Global fetch API is required for this script (Node.js 18+).');
+  process.exit(1);
+}
+
+function startSite() {
+  const server = http.createServer((req, res) => {
+    if (req.url.startsWith('/redirect/')) {
+      const remaining = parseInt(req.url.split('/')[2], 10) || 0;
+      res.writeHead(302, { Location: remaining > 0 ? `/redirect/${remaining - 1}` : '/page' });
+      return res.end();
+    }
+    if (req.url === '/style.css') {
+      res.writeHead(200, { 'Content-Type': 'text/css' });
+      return res.end('body { background: #fafafa; font-family: sans-serif; } h1 { color: #2b6cb0; }');
+    }
+    res.writeHead(200, { 'Content-Type': 'text/html' });
+    return res.end(
+      '<!DOCTYPE html><html><head><link rel="stylesheet" href="/style.css"></head>' +
+        '<body><h1>Pixlab url smoke</h1><img src="http://169.254.169.254/latest/meta-data"></body></html>'
+    );
+  });
+  return new Promise(resolve => server.listen(sitePort, () => resolve(server)));
+}
+
+async function render(body) {
+  const response = await fetch(`${baseUrl}/v1/h2i?key=${encodeURIComponent(apiKey)}`, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json' },
+    body: JSON.stringify(body),
+  });
+  const text = await response.text();
+  let json = null;
+  try {
+    json = JSON.parse(text);
+  } catch (err) {
+    json = text;
+  }
+  return { status: response.status, json };
+}
+
+(async () => {
+  let site = null;
+  try {
+    if (!apiKey) {
+      throw new Error('Set REPRO_API_KEY or API_KEY to a valid key.');
+    }
+    site = await startSite();
+    const siteUrl = `http://localhost:${sitePort}`;
+
+    const cases = [
+      { label: 'image', body: { action: 'url', url: `${siteUrl}/page`, width: 800, height: 600 } },
+      { label: 'pdf', body: { action: 'url', output: 'pdf', url: `${siteUrl}/page` } },
+      { label: 'redirects within limit', body: { action: 'url', url: `${siteUrl}/redirect/2` } },
+      { label: 'redirects over limit', body: { action: 'url', url: `${siteUrl}/redirect/20` } },
+      { label: 'non-http scheme', body: { action: 'url', url: 'file:///etc/passwd' } },
+    ];
+
+    for (const { label, body } of cases) {
+      const result = await render(body);
+      console.log(`\n[${label}] -> ${result.status}`);
+      console.log(JSON.stringify(result.json, null, 2));
+    }
+  } catch (err) {
+    console.error(err.message || err);
+    process.exitCode = 1;
+  } finally {
+    if (site) site.close();
+  }
+})();
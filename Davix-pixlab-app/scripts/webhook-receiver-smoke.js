@@ -0,0 +1,97 @@
+#!/usr/bin/env node
+// Runs a local stand-in webhook receiver, then sends a /v1/h2i request and an async job with
+// callback_url pointing at it. Each delivery's signature and timestamp are verified.
+// The API server must run with H2I_ALLOW_PRIVATE_HOSTS=true (non-production) to reach localhost;
+// a low WEBHOOK_RETRY_BASE_MS (e.g. 2000) keeps the retry check short.
+const http = require('http');
+const crypto = require('crypto');
+
+const baseUrl = process.env.BASE_URL || 'http://localhost:3005';
+const apiKey = process.env.REPRO_API_KEY || process.env.API_KEY;
+const secret = process.env.WEBHOOK_SECRET;
+const receiverPort = parseInt(process.env.WEBHOOK_RECEIVER_PORT, 10) || 3098;
+const failFirst = parseInt(process.env.WEBHOOK_FAIL_FIRST, 10) || 1;
+const waitMs = parseInt(process.env.WEBHOOK_WAIT_MS, 10) || 120_000;
+const TOLERANCE_SECONDS = 300;
+
+if (typeof fetch !== 'function') {
+  console.error('Global fetch API is required for this script (Node.js 18+).');
+  process.exit(1);
+}
+
+function verify(headers, body) {
+  const timestamp = parseInt(headers['x-davix-webhook-timestamp'], 10);
+  if (!Number.isFinite(timestamp) || Math.abs(Date.now() / 1000 - timestamp) > TOLERANCE_SECONDS) return 'stale timestamp';
+  if (!secret) return 'unchecked (set WEBHOOK_SECRET)';
+  const expected = `v1=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+  const received = String(headers['x-davix-webhook-signature'] || '');
+  const matches = received.length === expected.length &&
+    crypto.timingSafeEqual(Buffer.from(received), Buffer.from(expected));
+  return matches ? 'valid' : 'INVALID';
+}
+
+function startReceiver(onDelivery) {
+  let seen = 0;
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      const body = Buffer.concat(chunks).toString('utf8');
+      seen += 1;
+      const failing = seen <= failFirst;
+      console.log(
+        `\n[receiver] ${req.headers['x-davix-webhook-event']} ${req.headers['x-davix-webhook-id']} ` +
+          `signature=${verify(req.headers, body)} -> ${failing ? 500 : 200}`
+      );
+      res.writeHead(failing ? 500 : 200, { 'Content-Type': 'text/plain' });
+      res.end(failing ? 'try again' : 'ok');
+      if (!failing) onDelivery(JSON.parse(body));
+    });
+  });
+  return new Promise(resolve => server.listen(receiverPort, () => resolve(server)));
+}
+
+async function post(path, body) {
+  const response = await fetch(`${baseUrl}${path}?key=${encodeURIComponent(apiKey)}`, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json' },
+    body: JSON.stringify(body),
+  });
+  return { status: response.status, json: await response.json().catch(() => null) };
+}
+
+(async () => {
+  let receiver = null;
+  try {
+    if (!apiKey) {
+      throw new Error('Set REPRO_API_KEY or API_KEY to a valid key.');
+    }
+    const pending = new Set(['request.completed', 'job.completed']);
+    let done;
+    const finished = new Promise(resolve => {
+      done = resolve;
+    });
+    receiver = await startReceiver(envelope => {
+      console.log(JSON.stringify(envelope, null, 2));
+      pending.delete(envelope.event);
+      if (!pending.size) done();
+    });
+    const callbackUrl = `http://localhost:${receiverPort}/hook`;
+    const html = '<html><body><h1>Pixlab webhook smoke</h1></body></html>';
+
+    const direct = await post('/v1/h2i', { action: 'image', html, callback_url: callbackUrl });
+    console.log(`[h2i] -> ${direct.status}`, JSON.stringify(direct.json?.webhook || direct.json));
+    const job = await post('/v1/jobs', { endpoint: 'h2i', action: 'image', html, callback_url: callbackUrl });
+    console.log(`[jobs] -> ${job.status}`, JSON.stringify(job.json?.job?.id || job.json));
+
+    const timer = setTimeout(done, waitMs);
+    await finished;
+    clearTimeout(timer);
+    if (pending.size) throw new Error(`No delivery received for: ${[...pending].join(', ')}`);
+  } catch (err) {
+    console.error(err.message || err);
+    process.exitCode = 1;
+  } finally {
+    if (receiver) receiver.close();
+  }
+})();
@@ -3,7 +3,7 @@ const bodyParser = require('body-parser');
 const path = require('path');
 const fs = require('fs');
 const { sendError } = require('./utils/errorResponse');
-const { findCustomerKeyByPlaintext } = require('./utils/customerKeys');
+const { findCustomerKeyByPlaintext, findCustomerKeyById } = require('./utils/customerKeys');
 const { query } = require('./db');
 const {
   ensureRequestLogSchema,
@@ -14,6 +14,9 @@ const {
 const { startExpiryWatcher, stopExpiryWatcher } = require('./utils/expiryWatcher');
 const { startOrphanCleanup, stopOrphanCleanup } = require('./utils/orphanCleanup');
 const { startRetentionCleanup, stopRetentionCleanup } = require('./utils/retentionCleanup');
+const { warmBrowserPool, closeBrowserPool } = require('./utils/browserPool');
+const { startJobWorkers, stopJobWorkers, resolveJobDispatch } = require('./utils/jobWorker');
+const { captureCallbacks, startWebhookDelivery, stopWebhookDelivery } = require('./utils/webhookDelivery');
 const { logError } = require('./utils/logger');
 const { randomUUID } = require('crypto');
 const { getBodyParserLimit, createTimeoutMiddleware } = require('./utils/limits');
@@ -35,6 +38,9 @@ const retentionUsageMonthlyMonths = parseInt(process.env.RETENTION_USAGE_MONTHLY
 const retentionBatchRequestLog = parseInt(process.env.RETENTION_BATCH_REQUEST_LOG, 10) || 20000;
 const retentionBatchUsageMonthly = parseInt(process.env.RETENTION_BATCH_USAGE_MONTHLY, 10) || 5000;
 const retentionLogPath = process.env.RETENTION_LOG_PATH || null;
+const browserPoolPrewarm = process.env.H2I_BROWSER_POOL_PREWARM !== 'false';
+const jobWorkersEnabled = process.env.JOBS_ENABLED !== 'false';
+const webhookDeliveryEnabled = process.env.WEBHOOKS_ENABLED !== 'false';
 
 function parseCommaList(value) {
   return (value || '')
@@ -83,8 +89,11 @@ const imgEditDir = path.join(publicDir, 'img-edit');
 const pdfDir = path.join(publicDir, 'pdf');
 const toolsDir = path.join(publicDir, 'tools');
 
+// Uploads for queued jobs; kept outside publicDir so they are never served.
+const jobsDir = process.env.JOBS_DIR || path.join(__dirname, 'storage', 'jobs');
+
 // Ensure folders exist
-for (const dir of [publicDir, h2iDir, imgEditDir, pdfDir, toolsDir]) {
+for (const dir of [publicDir, h2iDir, imgEditDir, pdfDir, toolsDir, jobsDir]) {
   if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
 }
 
@@ -117,7 +126,7 @@ app.use((req, res, next) => {
     res.header('Vary', 'Origin'); // so caches don’t mix origins
   }
 
-  res.header('Access-Control-Allow-Methods', 'GET,POST,OPTIONS');
+  res.header('Access-Control-Allow-Methods', 'GET,POST,DELETE,OPTIONS');
   res.header(
     'Access-Control-Allow-Headers',
     'Content-Type, X-Requested-With, X-Api-Key, x-api-key'
@@ -215,6 +224,25 @@ const publicKeySet = new Set(publicKeys);
 
 async function checkApiKey(req, res, next) {
   try {
+    // Requests replayed by the job workers carry a one-off token instead of the original key.
+    const dispatch = resolveJobDispatch(req);
+    if (dispatch) {
+      req.asyncJob = { jobId: dispatch.jobId, reservation: dispatch.reservation };
+      if (dispatch.apiKeyType !== 'customer') {
+        req.apiKeyType = dispatch.apiKeyType;
+        return next();
+      }
+      const { key: customerKey, hint } = await findCustomerKeyById(dispatch.apiKeyId);
+      if (!customerKey) {
+        return sendError(res, 401, 'invalid_api_key', 'Your API key is missing or invalid.', {
+          hint: hint || 'The key that queued this job is no longer active.',
+        });
+      }
+      req.apiKeyType = 'customer';
+      req.customerKey = customerKey;
+      return next();
+    }
+
     const key =
       req.query.key ||
       req.headers['x-api-key'] ||
@@ -305,6 +333,9 @@ function cleanupOldFiles() {
 cleanupOldFiles();
 setInterval(cleanupOldFiles, DAY_MS);
 
+// ---- Webhooks: `callback_url` on any /v1 request ----
+app.use('/v1', captureCallbacks);
+
 // ---- Mount routes ----
 require('./routes/h2i-route')(app, {
   checkApiKey,
@@ -312,6 +343,8 @@ require('./routes/h2i-route')(app, {
   baseUrl,
   timeoutMiddlewareFactory,
 });
+require('./routes/templates-route')(app, { checkApiKey });
+require('./routes/fonts-route')(app, { checkApiKey });
 require('./routes/image-route')(app, {
   checkApiKey,
   imgEditDir,
@@ -330,6 +363,7 @@ require('./routes/tools-route')(app, {
   baseUrl,
   timeoutMiddlewareFactory,
 });
+require('./routes/jobs-route')(app, { checkApiKey, jobsDir, baseUrl });
 require('./routes/subscription-route')(app, { baseUrl });
 
 app.use((req, res) => {
@@ -431,13 +465,36 @@ if (retentionCleanupEnabled) {
   console.log('Retention cleanup disabled via RETENTION_CLEANUP_ENABLED');
 }
 
+if (jobWorkersEnabled) {
+  // Jobs replay their request against this process, bypassing the public proxy.
+  startJobWorkers({ internalBaseUrl: `http://127.0.0.1:${PORT}`, jobsDir });
+} else {
+  console.log('Job workers disabled via JOBS_ENABLED');
+}
+
+if (webhookDeliveryEnabled) {
+  startWebhookDelivery();
+} else {
+  console.log('Webhook delivery disabled via WEBHOOKS_ENABLED');
+}
+
+if (browserPoolPrewarm) {
+  warmBrowserPool();
+} else {
+  console.log('Browser pool prewarm disabled via H2I_BROWSER_POOL_PREWARM');
+}
+
 function shutdown(signal) {
   console.log(`${signal} received, shutting down...`);
   stopExpiryWatcher();
   stopOrphanCleanup();
   stopRetentionCleanup();
+  stopJobWorkers();
+  stopWebhookDelivery();
   server.close(() => {
-    process.exit(0);
+    closeBrowserPool()
+      .catch(err => console.error('Browser pool shutdown failed', err))
+      .finally(() => process.exit(0));
   });
 }
 
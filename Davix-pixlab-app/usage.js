@@ -73,7 +73,7 @@ function getCurrentPeriod() {
 async function getOrCreateUsageForKey(apiKeyId, period = getCalendarPeriodUTC(), monthlyQuota) {
   try {
     const rows = await query(
-      `SELECT id, period, used_files, used_bytes, total_calls, total_files_processed,
+      `SELECT id, period, used_files, reserved_files, used_bytes, total_calls, total_files_processed,
               h2i_calls, h2i_files, image_calls, image_files, pdf_calls, pdf_files,
               tools_calls, tools_files, bytes_in, bytes_out, errors, last_error_code,
               last_error_message, last_request_at, created_at, updated_at
@@ -102,6 +102,7 @@ async function getOrCreateUsageForKey(apiKeyId, period = getCalendarPeriodUTC(),
       id: result.insertId,
       period,
       used_files: 0,
+      reserved_files: 0,
       used_bytes: 0,
       total_calls: 0,
       total_files_processed: 0,
@@ -135,13 +136,65 @@ async function getOrCreateUsageForKey(apiKeyId, period = getCalendarPeriodUTC(),
   }
 }
 
-function checkMonthlyQuota(usage, monthlyQuota, filesToConsume) {
+/**
+ * `reservation` is the queued job a replayed request belongs to: its own reserved files are not
+ * counted against it.
+ */
+function checkMonthlyQuota(usage, monthlyQuota, filesToConsume, reservation = null) {
   const limit = Number.isFinite(monthlyQuota) ? monthlyQuota : null;
   if (!limit) return { allowed: true, remaining: null };
-  const remaining = limit - usage.used_files;
+  const held = reservation && !reservation.settled && reservation.period === usage.period ? reservation.files : 0;
+  const reserved = Math.max((Number(usage.reserved_files) || 0) - held, 0);
+  const remaining = limit - usage.used_files - reserved;
   return { allowed: remaining >= filesToConsume, remaining };
 }
 
+/**
+ * Hold `files` of the monthly quota for a queued job. The check and the increment are one UPDATE,
+ * so concurrent reservations cannot overshoot the limit. Returns true when the files were reserved.
+ */
+async function reserveQuota(apiKeyId, period, monthlyQuota, files) {
+  const limit = Number.isFinite(monthlyQuota) && monthlyQuota ? monthlyQuota : null;
+  const [result] = await pool.execute(
+    `UPDATE usage_monthly
+        SET reserved_files = reserved_files + ?, updated_at = NOW()
+      WHERE api_key_id = ? AND period = ? AND (? IS NULL OR used_files + reserved_files + ? <= ?)`,
+    [files, apiKeyId, period, limit, files, limit]
+  );
+  return result.affectedRows === 1;
+}
+
+async function releaseReservedQuota(apiKeyId, period, files) {
+  if (!apiKeyId || !period || !files) return;
+  try {
+    await pool.execute(
+      `UPDATE usage_monthly
+          SET reserved_files = GREATEST(CAST(reserved_files AS SIGNED) - ?, 0), updated_at = NOW()
+        WHERE api_key_id = ? AND period = ?`,
+      [files, apiKeyId, period]
+    );
+  } catch (err) {
+    logError('usage.releaseReservedQuota.failed', {
+      api_key_id: apiKeyId,
+      period,
+      files,
+      message: err.message,
+      code: err.code,
+    });
+  }
+}
+
+// Mark a job reservation as settled; returns the files to release (0 when already settled).
+function claimReservation(reservation) {
+  if (!reservation || reservation.settled) return 0;
+  reservation.settled = true;
+  return Number(reservation.files) || 0;
+}
+
+/**
+ * Count a request's usage and write its request_log row. With `reservation` (a replayed job),
+ * the job's reserved files are released in the same UPDATE that counts the real usage.
+ */
 async function recordUsageAndLog({
   apiKeyRecord,
   endpoint,
@@ -157,7 +210,9 @@ async function recordUsageAndLog({
   errorMessage = null,
   paramsForLog = null,
   usagePeriod = null,
+  reservation = null,
 }) {
+  let releaseFiles = 0;
   try {
     if (!apiKeyRecord || apiKeyRecord.status !== 'active') return;
 
@@ -214,10 +269,20 @@ async function recordUsageAndLog({
       updateValues.push(safeErrorCode, safeErrorMessage);
     }
 
+    releaseFiles = claimReservation(reservation);
+    if (releaseFiles && reservation.period === period) {
+      updateFields.push('reserved_files = GREATEST(CAST(reserved_files AS SIGNED) - ?, 0)');
+      updateValues.push(releaseFiles);
+    }
+
     updateValues.push(apiKeyRecord.id, period);
 
     const updateSql = `UPDATE usage_monthly SET ${updateFields.join(', ')} WHERE api_key_id = ? AND period = ?`;
     await pool.execute(updateSql, updateValues);
+    if (releaseFiles && reservation.period !== period) {
+      await releaseReservedQuota(apiKeyRecord.id, reservation.period, releaseFiles);
+    }
+    releaseFiles = 0;
 
     const sanitizedParams = {};
     if (paramsForLog && typeof paramsForLog === 'object') {
@@ -266,6 +331,12 @@ async function recordUsageAndLog({
       code: err.code,
       stack: err.stack,
     });
+  } finally {
+    if (reservation) {
+      // Hand an unreleased reservation back to the job worker.
+      if (releaseFiles) reservation.settled = false;
+      if (reservation.onSettled) reservation.onSettled();
+    }
   }
 }
 
@@ -276,5 +347,7 @@ module.exports = {
   getUsagePeriodForKey,
   getOrCreateUsageForKey,
   checkMonthlyQuota,
+  reserveQuota,
+  releaseReservedQuota,
   recordUsageAndLog,
 };
@@ -0,0 +1,82 @@
+const { crc32 } = require('./zipArchive');
+
+// Minimal APNG writer: re-chunks same-sized PNG frames into one animated PNG without another dependency.
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+function readChunks(png) {
+  if (!png.subarray(0, 8).equals(PNG_SIGNATURE)) throw new Error('Frame is not a PNG image.');
+  const chunks = [];
+  let offset = 8;
+  while (offset + 8 <= png.length) {
+    const length = png.readUInt32BE(offset);
+    const type = png.toString('latin1', offset + 4, offset + 8);
+    chunks.push({ type, data: png.subarray(offset + 8, offset + 8 + length) });
+    offset += length + 12;
+    if (type === 'IEND') break;
+  }
+  return chunks;
+}
+
+function chunk(type, data) {
+  const header = Buffer.alloc(8);
+  header.writeUInt32BE(data.length, 0);
+  header.write(type, 4, 'latin1');
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(Buffer.concat([header.subarray(4), data])), 0);
+  return Buffer.concat([header, data, crc]);
+}
+
+/**
+ * Build an APNG from PNG frames that share the same IHDR (size, bit depth and colour type).
+ * `delays` are per-frame durations in milliseconds; `loop` 0 repeats forever.
+ */
+function createApng(frames, { delays, loop = 0 }) {
+  const parsed = frames.map(readChunks);
+  const ihdr = parsed[0].find(c => c.type === 'IHDR').data;
+  const width = ihdr.readUInt32BE(0);
+  const height = ihdr.readUInt32BE(4);
+  for (const chunks of parsed) {
+    if (!chunks.find(c => c.type === 'IHDR').data.equals(ihdr)) {
+      throw new Error('All APNG frames must share the same size and pixel format.');
+    }
+  }
+
+  const actl = Buffer.alloc(8);
+  actl.writeUInt32BE(frames.length, 0);
+  actl.writeUInt32BE(loop, 4);
+  const parts = [PNG_SIGNATURE, chunk('IHDR', ihdr), chunk('acTL', actl)];
+  // Palette and transparency chunks must precede the first image data.
+  for (const c of parsed[0]) {
+    if (c.type === 'PLTE' || c.type === 'tRNS') parts.push(chunk(c.type, c.data));
+  }
+
+  let sequence = 0;
+  parsed.forEach((chunks, index) => {
+    const fctl = Buffer.alloc(26);
+    fctl.writeUInt32BE(sequence++, 0);
+    fctl.writeUInt32BE(width, 4);
+    fctl.writeUInt32BE(height, 8);
+    fctl.writeUInt32BE(0, 12); // x offset
+    fctl.writeUInt32BE(0, 16); // y offset
+    fctl.writeUInt16BE(Math.min(Math.round(delays[index]), 0xffff), 20);
+    fctl.writeUInt16BE(1000, 22); // delay is in milliseconds
+    fctl.writeUInt8(0, 24); // dispose: none
+    fctl.writeUInt8(0, 25); // blend: source
+    parts.push(chunk('fcTL', fctl));
+
+    for (const c of chunks.filter(item => item.type === 'IDAT')) {
+      if (index === 0) {
+        parts.push(chunk('IDAT', c.data));
+      } else {
+        const seq = Buffer.alloc(4);
+        seq.writeUInt32BE(sequence++, 0);
+        parts.push(chunk('fdAT', Buffer.concat([seq, c.data])));
+      }
+    }
+  });
+
+  parts.push(chunk('IEND', Buffer.alloc(0)));
+  return Buffer.concat(parts);
+}
+
+module.exports = { createApng };
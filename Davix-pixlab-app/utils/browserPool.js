@@ -0,0 +1,170 @@
+const puppeteer = require('puppeteer');
+
+function parseIntEnv(name, fallback) {
+  const parsed = parseInt(process.env[name], 10);
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
+}
+
+const POOL_SIZE = parseIntEnv('H2I_BROWSER_POOL_SIZE', 2);
+const MAX_CONCURRENT_RENDERS = parseIntEnv('H2I_MAX_CONCURRENT_RENDERS', 4);
+const MAX_RENDERS_PER_BROWSER = parseIntEnv('H2I_BROWSER_MAX_RENDERS', 200);
+const LAUNCH_ARGS = ['--no-sandbox', '--disable-setuid-sandbox'];
+
+// Each worker wraps one Chromium process; renders get their own incognito context.
+const workers = new Array(POOL_SIZE).fill(null);
+const waiters = [];
+let activeRenders = 0;
+let nextWorkerId = 1;
+let closing = false;
+
+function poolError(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+function closeWorker(worker) {
+  if (worker.closed) return Promise.resolve();
+  worker.closed = true;
+  return worker.ready
+    .then(browser => browser.close())
+    .catch(() => {
+      // browser already gone or never launched
+    });
+}
+
+function retireWorker(worker, reason) {
+  if (worker.retired) return;
+  worker.retired = true;
+  const idx = workers.indexOf(worker);
+  if (idx !== -1) workers[idx] = null;
+  console.log(
+    `[DAVIX][h2i] browser retired: id=${worker.id}, reason=${reason}, renders=${worker.renders}, active=${worker.active}`
+  );
+  if (worker.active === 0) closeWorker(worker);
+}
+
+function createWorker() {
+  const worker = {
+    id: nextWorkerId++,
+    renders: 0,
+    active: 0,
+    retired: false,
+    closed: false,
+    ready: null,
+  };
+
+  worker.ready = puppeteer.launch({ args: LAUNCH_ARGS }).then(browser => {
+    browser.on('disconnected', () => retireWorker(worker, 'disconnected'));
+    return browser;
+  });
+  worker.ready.catch(err => {
+    console.error(`[DAVIX][h2i] browser launch failed: id=${worker.id}`, err.message);
+    retireWorker(worker, 'launch_failed');
+  });
+
+  return worker;
+}
+
+function pickWorker() {
+  for (let i = 0; i < workers.length; i++) {
+    if (!workers[i]) workers[i] = createWorker();
+  }
+  return workers.reduce((best, worker) => (worker.active < best.active ? worker : best));
+}
+
+function acquireRenderSlot(timeoutMs) {
+  if (closing) return Promise.reject(poolError('browser_pool_closed', 'Browser pool is shutting down.'));
+  if (activeRenders < MAX_CONCURRENT_RENDERS) {
+    activeRenders += 1;
+    return Promise.resolve();
+  }
+
+  return new Promise((resolve, reject) => {
+    const waiter = { resolve, reject, timer: null };
+    if (timeoutMs) {
+      waiter.timer = setTimeout(() => {
+        const idx = waiters.indexOf(waiter);
+        if (idx !== -1) waiters.splice(idx, 1);
+        reject(poolError('browser_pool_timeout', 'Timed out waiting for a free renderer.'));
+      }, timeoutMs);
+    }
+    waiters.push(waiter);
+  });
+}
+
+function releaseRenderSlot() {
+  const next = waiters.shift();
+  if (next) {
+    // Hand the slot straight to the next waiter; activeRenders stays the same.
+    if (next.timer) clearTimeout(next.timer);
+    next.resolve();
+    return;
+  }
+  activeRenders = Math.max(activeRenders - 1, 0);
+}
+
+/**
+ * Run `fn` with a fresh page inside an isolated browser context.
+ * Waits for a render slot when MAX_CONCURRENT_RENDERS are already in flight.
+ */
+async function withPage(fn, { acquireTimeoutMs = null } = {}) {
+  await acquireRenderSlot(acquireTimeoutMs);
+
+  const worker = pickWorker();
+  worker.active += 1;
+  let context = null;
+
+  try {
+    const browser = await worker.ready;
+    context = await browser.createBrowserContext();
+    const page = await context.newPage();
+    return await fn(page);
+  } finally {
+    if (context) {
+      await context.close().catch(() => {});
+    }
+    worker.active -= 1;
+    worker.renders += 1;
+    if (!worker.retired && worker.renders >= MAX_RENDERS_PER_BROWSER) {
+      retireWorker(worker, 'max_renders');
+    } else if (worker.retired && worker.active === 0) {
+      closeWorker(worker);
+    }
+    releaseRenderSlot();
+  }
+}
+
+function warmBrowserPool() {
+  if (closing) return;
+  pickWorker();
+  console.log(
+    `[DAVIX][h2i] browser pool warming: size=${POOL_SIZE}, max_concurrent=${MAX_CONCURRENT_RENDERS}, max_renders_per_browser=${MAX_RENDERS_PER_BROWSER}`
+  );
+}
+
+async function closeBrowserPool() {
+  closing = true;
+  while (waiters.length) {
+    const waiter = waiters.shift();
+    if (waiter.timer) clearTimeout(waiter.timer);
+    waiter.reject(poolError('browser_pool_closed', 'Browser pool is shutting down.'));
+  }
+
+  const pending = [];
+  for (let i = 0; i < workers.length; i++) {
+    const worker = workers[i];
+    workers[i] = null;
+    if (worker) {
+      worker.retired = true;
+      pending.push(closeWorker(worker));
+    }
+  }
+  await Promise.all(pending);
+}
+
+module.exports = {
+  withPage,
+  warmBrowserPool,
+  closeBrowserPool,
+};
@@ -36,7 +36,18 @@ async function loadFreePlan() {
 async function findCustomerKeyByPlaintext(plaintextKey) {
   const prefix = extractKeyPrefix(plaintextKey);
   if (!prefix) return { key: null, error: 'invalid', hint: 'Key format is not recognized.' };
+  return loadCustomerKey('ak.key_prefix = ?', prefix, plaintextKey);
+}
+
+/**
+ * Load an active customer key by api_keys.id, without a plaintext key. Used to run work that was
+ * authenticated earlier (async jobs); returns the same { key, error, hint } shape.
+ */
+async function findCustomerKeyById(apiKeyId) {
+  return loadCustomerKey('ak.id = ?', apiKeyId, null);
+}
 
+async function loadCustomerKey(whereSql, param, plaintextKey) {
   let rows;
   try {
     rows = await query(
@@ -44,13 +55,15 @@ async function findCustomerKeyByPlaintext(plaintextKey) {
               ak.valid_from, ak.valid_until, ak.subscription_id,
               p.id AS joined_plan_id, p.plan_slug, p.name AS plan_name, p.monthly_quota_files AS monthly_quota,
               p.billing_period, p.is_free, p.timeout_seconds, p.max_files_per_request, p.max_total_upload_mb,
-              p.max_dimension_px, p.allow_h2i, p.allow_image, p.allow_pdf, p.allow_tools
+              p.max_dimension_px, p.allow_h2i, p.allow_image, p.allow_pdf, p.allow_tools, p.h2i_allowed_domains,
+              p.h2i_batch_max_items, p.h2i_batch_concurrency, p.h2i_max_animation_frames, p.h2i_force_safe_mode,
+              p.image_pipeline_max_steps, p.image_responsive_billing
          FROM api_keys ak
          LEFT JOIN plans p ON ak.plan_id = p.id
-        WHERE ak.key_prefix = ?
+        WHERE ${whereSql}
         ORDER BY ak.updated_at DESC
         LIMIT 1`,
-      [prefix]
+      [param]
     );
   } catch (err) {
     logError('customer_keys.lookup.failed', {
@@ -78,8 +91,10 @@ async function findCustomerKeyByPlaintext(plaintextKey) {
     };
   }
 
-  const matches = await verifyApiKeyHash(rec.key_hash, plaintextKey);
-  if (!matches) return { key: null, error: 'hash_mismatch' };
+  if (plaintextKey !== null) {
+    const matches = await verifyApiKeyHash(rec.key_hash, plaintextKey);
+    if (!matches) return { key: null, error: 'hash_mismatch' };
+  }
 
   let planDetails = null;
   if (rec.joined_plan_id) {
@@ -98,6 +113,13 @@ async function findCustomerKeyByPlaintext(plaintextKey) {
       allow_image: rec.allow_image ?? null,
       allow_pdf: rec.allow_pdf ?? null,
       allow_tools: rec.allow_tools ?? null,
+      h2i_allowed_domains: rec.h2i_allowed_domains ?? null,
+      h2i_batch_max_items: rec.h2i_batch_max_items ?? null,
+      h2i_batch_concurrency: rec.h2i_batch_concurrency ?? null,
+      h2i_max_animation_frames: rec.h2i_max_animation_frames ?? null,
+      h2i_force_safe_mode: rec.h2i_force_safe_mode ?? null,
+      image_pipeline_max_steps: rec.image_pipeline_max_steps ?? null,
+      image_responsive_billing: rec.image_responsive_billing ?? null,
     };
   }
 
@@ -120,6 +142,13 @@ async function findCustomerKeyByPlaintext(plaintextKey) {
           allow_image: rows[0].allow_image ?? null,
           allow_pdf: rows[0].allow_pdf ?? null,
           allow_tools: rows[0].allow_tools ?? null,
+          h2i_allowed_domains: rows[0].h2i_allowed_domains ?? null,
+          h2i_batch_max_items: rows[0].h2i_batch_max_items ?? null,
+          h2i_batch_concurrency: rows[0].h2i_batch_concurrency ?? null,
+          h2i_max_animation_frames: rows[0].h2i_max_animation_frames ?? null,
+          h2i_force_safe_mode: rows[0].h2i_force_safe_mode ?? null,
+          image_pipeline_max_steps: rows[0].image_pipeline_max_steps ?? null,
+          image_responsive_billing: rows[0].image_responsive_billing ?? null,
         };
       }
     } catch (err) {
@@ -151,6 +180,13 @@ async function findCustomerKeyByPlaintext(plaintextKey) {
           allow_image: freePlan.allow_image ?? null,
           allow_pdf: freePlan.allow_pdf ?? null,
           allow_tools: freePlan.allow_tools ?? null,
+          h2i_allowed_domains: freePlan.h2i_allowed_domains ?? null,
+          h2i_batch_max_items: freePlan.h2i_batch_max_items ?? null,
+          h2i_batch_concurrency: freePlan.h2i_batch_concurrency ?? null,
+          h2i_max_animation_frames: freePlan.h2i_max_animation_frames ?? null,
+          h2i_force_safe_mode: freePlan.h2i_force_safe_mode ?? null,
+          image_pipeline_max_steps: freePlan.image_pipeline_max_steps ?? null,
+          image_responsive_billing: freePlan.image_responsive_billing ?? null,
         };
 
         if (!rec.plan_id || rec.plan_id !== freePlan.id) {
@@ -786,6 +822,7 @@ module.exports = {
   activateOrProvisionKey,
   applySubscriptionStateChange,
   disableCustomerKey,
+  findCustomerKeyById,
   findCustomerKeyByPlaintext,
   upgradeLegacyKey,
 };
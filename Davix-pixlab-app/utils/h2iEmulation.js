@@ -0,0 +1,92 @@
+const COLOR_SCHEMES = ['light', 'dark', 'no-preference'];
+const REDUCED_MOTION_VALUES = ['reduce', 'no-preference'];
+const MAX_USER_AGENT_CHARS = 512;
+const EMULATION_FIELDS = ['colorScheme', 'reducedMotion', 'timezoneId', 'locale', 'userAgent'];
+
+/**
+ * Validate page emulation options. Request fields override `defaults` (e.g. from a stored template).
+ * Returns { emulation } holding only the options that were set, or { error }.
+ */
+function parseEmulationOptions(body = {}, defaults = null) {
+  const pick = field => {
+    const value = body[field];
+    if (value !== undefined && value !== null && value !== '') return value;
+    return defaults ? defaults[field] : undefined;
+  };
+  const emulation = {};
+
+  const colorScheme = pick('colorScheme');
+  if (colorScheme !== undefined && colorScheme !== null) {
+    const value = String(colorScheme).toLowerCase();
+    if (!COLOR_SCHEMES.includes(value)) return { error: 'colorScheme must be light, dark or no-preference.' };
+    emulation.colorScheme = value;
+  }
+
+  const reducedMotion = pick('reducedMotion');
+  if (reducedMotion !== undefined && reducedMotion !== null) {
+    const value = reducedMotion === true ? 'reduce' : String(reducedMotion).toLowerCase();
+    if (!REDUCED_MOTION_VALUES.includes(value)) return { error: 'reducedMotion must be reduce or no-preference.' };
+    emulation.reducedMotion = value;
+  }
+
+  const timezoneId = pick('timezoneId');
+  if (timezoneId !== undefined && timezoneId !== null) {
+    try {
+      const formatter = new Intl.DateTimeFormat('en-US', { timeZone: String(timezoneId) });
+      emulation.timezoneId = formatter.resolvedOptions().timeZone;
+    } catch (err) {
+      return { error: 'timezoneId must be an IANA time zone such as Europe/Berlin.' };
+    }
+  }
+
+  const locale = pick('locale');
+  if (locale !== undefined && locale !== null) {
+    try {
+      [emulation.locale] = Intl.getCanonicalLocales(String(locale));
+    } catch (err) {
+      return { error: 'locale must be a BCP 47 language tag such as de-DE.' };
+    }
+  }
+
+  const userAgent = pick('userAgent');
+  if (userAgent !== undefined && userAgent !== null) {
+    if (typeof userAgent !== 'string' || userAgent.length > MAX_USER_AGENT_CHARS || /[\x00-\x1f\x7f]/.test(userAgent)) {
+      return { error: `userAgent must be a single-line string up to ${MAX_USER_AGENT_CHARS} characters.` };
+    }
+    emulation.userAgent = userAgent;
+  }
+
+  return { emulation };
+}
+
+/**
+ * Apply emulation to a fresh page. Must run before navigation/setContent so the first paint,
+ * scripts and every sub-request already see it.
+ */
+async function applyEmulation(page, emulation) {
+  const features = [];
+  if (emulation.colorScheme) features.push({ name: 'prefers-color-scheme', value: emulation.colorScheme });
+  if (emulation.reducedMotion) features.push({ name: 'prefers-reduced-motion', value: emulation.reducedMotion });
+  if (features.length) await page.emulateMediaFeatures(features);
+
+  if (emulation.timezoneId) await page.emulateTimezone(emulation.timezoneId);
+
+  if (emulation.locale || emulation.userAgent) {
+    const session = await page.createCDPSession();
+    // acceptLanguage sets both the Accept-Language header and navigator.language(s).
+    await session.send('Network.setUserAgentOverride', {
+      userAgent: emulation.userAgent || (await page.browser().userAgent()),
+      ...(emulation.locale ? { acceptLanguage: emulation.locale } : {}),
+    });
+    if (emulation.locale) {
+      // Default locale for Intl and toLocaleString() inside the page.
+      await session.send('Emulation.setLocaleOverride', { locale: emulation.locale });
+    }
+  }
+}
+
+module.exports = {
+  EMULATION_FIELDS,
+  parseEmulationOptions,
+  applyEmulation,
+};
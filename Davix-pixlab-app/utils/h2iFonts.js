@@ -0,0 +1,173 @@
+const { v4: uuidv4 } = require('uuid');
+const { query } = require('../db');
+
+const FONT_MIME_TYPES = {
+  ttf: 'font/ttf',
+  otf: 'font/otf',
+  woff2: 'font/woff2',
+};
+const CSS_FORMAT_NAMES = {
+  ttf: 'truetype',
+  otf: 'opentype',
+  woff2: 'woff2',
+};
+
+/**
+ * Identify a font file from its first bytes. Returns 'ttf', 'otf', 'woff2' or null.
+ */
+function sniffFontFormat(buffer) {
+  if (!buffer || buffer.length < 4) return null;
+  const tag = buffer.toString('latin1', 0, 4);
+  if (tag === 'wOF2') return 'woff2';
+  if (tag === 'OTTO') return 'otf';
+  if (tag === 'true' || buffer.readUInt32BE(0) === 0x00010000) return 'ttf';
+  return null;
+}
+
+function formatFont(row) {
+  if (!row) return null;
+  return {
+    id: row.font_id,
+    family: row.family,
+    weight: row.weight,
+    style: row.style,
+    format: row.format,
+    bytes: row.byte_size,
+    created_at: row.created_at,
+  };
+}
+
+async function countFontsForKey(apiKeyId) {
+  const rows = await query(`SELECT COUNT(*) AS cnt FROM h2i_fonts WHERE api_key_id = ?`, [apiKeyId]);
+  return Number(rows[0]?.cnt || 0);
+}
+
+/**
+ * Store a font face. Uploading the same family/weight/style again replaces the earlier file.
+ */
+async function saveFont({ apiKeyId, family, weight = 400, style = 'normal', format, data }) {
+  await query(
+    `INSERT INTO h2i_fonts (font_id, api_key_id, family, weight, style, format, byte_size, data)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+     ON DUPLICATE KEY UPDATE
+       format = VALUES(format),
+       byte_size = VALUES(byte_size),
+       data = VALUES(data),
+       created_at = CURRENT_TIMESTAMP`,
+    [uuidv4(), apiKeyId, family, weight, style, format, data.length, data]
+  );
+  const rows = await query(
+    `SELECT font_id, family, weight, style, format, byte_size, created_at
+       FROM h2i_fonts
+      WHERE api_key_id = ? AND family = ? AND weight = ? AND style = ?
+      LIMIT 1`,
+    [apiKeyId, family, weight, style]
+  );
+  return rows[0] || null;
+}
+
+async function listFonts(apiKeyId) {
+  return query(
+    `SELECT font_id, family, weight, style, format, byte_size, created_at
+       FROM h2i_fonts
+      WHERE api_key_id = ?
+      ORDER BY family ASC, weight ASC, style ASC`,
+    [apiKeyId]
+  );
+}
+
+async function deleteFont(apiKeyId, fontId) {
+  const result = await query(`DELETE FROM h2i_fonts WHERE api_key_id = ? AND font_id = ?`, [apiKeyId, fontId]);
+  return result.affectedRows > 0;
+}
+
+/**
+ * Load every face of the given families (case-insensitive) with file data, for rendering.
+ */
+async function getFontFaces(apiKeyId, families) {
+  if (!families.length) return [];
+  const placeholders = families.map(() => '?').join(', ');
+  return query(
+    `SELECT font_id, family, weight, style, format, data
+       FROM h2i_fonts
+      WHERE api_key_id = ? AND LOWER(family) IN (${placeholders})`,
+    [apiKeyId, ...families.map(family => family.toLowerCase())]
+  );
+}
+
+const STYLE_ATTRIBUTE_PATTERN = /\sstyle\s*=\s*(?:"([^"]*)"|'([^']*)')/gi;
+const FONT_DECLARATION_PATTERN = /(?:^|[\s;{])font(-family)?\s*:\s*((?:"[^"]*"|'[^']*'|[^;}<"'])*)/gi;
+const FONT_SIZE_TOKEN = /^(?:[\d.]+(?:[a-z]+|%)(?:\/\S+)?|(?:xx?-|x{3}-)?(?:small|large)|medium|smaller|larger)$/i;
+
+// Split a font-family value into family names: quotes stripped, whitespace collapsed, lower case.
+function parseFamilyList(value) {
+  return value
+    .replace(/!important\s*$/i, '')
+    .split(',')
+    .map(entry => entry.trim().replace(/^(["'])(.*)\1$/, '$2').replace(/\s+/g, ' ').toLowerCase())
+    .filter(Boolean);
+}
+
+// The family list of the `font` shorthand starts after the size (`16px`, `16px/1.4`, `large`).
+function parseFontShorthand(value) {
+  const [first, ...rest] = value.split(',');
+  const tokens = first.trim().split(/\s+/);
+  const sizeIndex = tokens.findIndex(token => FONT_SIZE_TOKEN.test(token));
+  if (sizeIndex === -1) return [];
+  return parseFamilyList([tokens.slice(sizeIndex + 1).join(' '), ...rest].join(','));
+}
+
+function collectDeclaredFamilies(css, names) {
+  for (const match of css.matchAll(FONT_DECLARATION_PATTERN)) {
+    const families = match[1] ? parseFamilyList(match[2]) : parseFontShorthand(match[2]);
+    families.forEach(name => names.add(name));
+  }
+}
+
+/**
+ * Registered families named in a `font-family` (or `font`) declaration of `text` (HTML/CSS):
+ * stylesheets and `style` attributes. Family names are compared whole and case-insensitively.
+ */
+function findReferencedFamilies(fonts, text) {
+  if (!text) return [];
+  const names = new Set();
+  const withoutComments = text.replace(/\/\*[\s\S]*?\*\//g, ' ');
+  const stylesheets = withoutComments.replace(STYLE_ATTRIBUTE_PATTERN, (match, doubleQuoted, singleQuoted) => {
+    const declarations = (doubleQuoted ?? singleQuoted).replace(/&quot;/g, '"').replace(/&#0*39;|&apos;/g, "'");
+    collectDeclaredFamilies(`;${declarations}`, names);
+    return ' ';
+  });
+  collectDeclaredFamilies(stylesheets, names);
+
+  const families = new Set();
+  for (const font of fonts) {
+    if (names.has(font.family.replace(/\s+/g, ' ').toLowerCase())) families.add(font.family);
+  }
+  return [...families];
+}
+
+/**
+ * Build @font-face rules with inline data: URLs, so the request sandbox never fetches fonts.
+ */
+function buildFontFaceCss(faces) {
+  return faces
+    .map(face => {
+      const family = face.family.replace(/["\\]/g, '\\$&');
+      const src = `data:${FONT_MIME_TYPES[face.format]};base64,${Buffer.from(face.data).toString('base64')}`;
+      return `@font-face { font-family: "${family}"; font-weight: ${face.weight}; font-style: ${face.style}; ` +
+        `font-display: block; src: url(${src}) format("${CSS_FORMAT_NAMES[face.format]}"); }`;
+    })
+    .join('\n');
+}
+
+module.exports = {
+  sniffFontFormat,
+  formatFont,
+  countFontsForKey,
+  saveFont,
+  listFonts,
+  deleteFont,
+  getFontFaces,
+  findReferencedFamilies,
+  buildFontFaceCss,
+};
@@ -0,0 +1,155 @@
+const { v4: uuidv4 } = require('uuid');
+const { query } = require('../db');
+
+function parseJsonColumn(value) {
+  if (value === null || value === undefined) return null;
+  if (typeof value !== 'string') return value;
+  try {
+    return JSON.parse(value);
+  } catch (err) {
+    return null;
+  }
+}
+
+function formatTemplate(row, { includeSource = false } = {}) {
+  if (!row) return null;
+  const formatted = {
+    id: row.template_id,
+    name: row.name,
+    version: row.version,
+    created_at: row.created_at,
+  };
+  if (includeSource) {
+    formatted.html = row.html;
+    formatted.css = row.css || null;
+    formatted.sample_data = parseJsonColumn(row.sample_data_json);
+    formatted.emulation = parseJsonColumn(row.emulation_json);
+  }
+  return formatted;
+}
+
+async function countTemplatesForKey(apiKeyId) {
+  const rows = await query(
+    `SELECT COUNT(DISTINCT template_id) AS cnt FROM h2i_templates WHERE api_key_id = ? AND deleted_at IS NULL`,
+    [apiKeyId]
+  );
+  return Number(rows[0]?.cnt || 0);
+}
+
+const toJsonColumn = value => (value === null || value === undefined ? null : JSON.stringify(value));
+
+async function createTemplate({ apiKeyId, name, html, css = null, sampleData = null, emulation = null }) {
+  const templateId = uuidv4();
+  await query(
+    `INSERT INTO h2i_templates (template_id, api_key_id, version, name, html, css, sample_data_json, emulation_json)
+     VALUES (?, ?, 1, ?, ?, ?, ?, ?)`,
+    [templateId, apiKeyId, name, html, css, toJsonColumn(sampleData), toJsonColumn(emulation)]
+  );
+  return getTemplate(apiKeyId, templateId);
+}
+
+// Concurrent adds can pick the same MAX(version) + 1; the loser retries on the unique key.
+const VERSION_INSERT_ATTEMPTS = 3;
+
+/**
+ * Append a new version. Fields left undefined are carried over from the latest version.
+ * Returns null when the template does not exist for this key.
+ */
+async function addTemplateVersion(apiKeyId, templateId, { name, html, css, sampleData, emulation } = {}) {
+  for (let attempt = 1; ; attempt++) {
+    const latest = await getTemplate(apiKeyId, templateId);
+    if (!latest) return null;
+
+    const nextSampleData = sampleData === undefined ? parseJsonColumn(latest.sample_data_json) : sampleData;
+    const nextEmulation = emulation === undefined ? parseJsonColumn(latest.emulation_json) : emulation;
+    try {
+      await query(
+        `INSERT INTO h2i_templates (template_id, api_key_id, version, name, html, css, sample_data_json, emulation_json)
+         SELECT ?, ?, COALESCE(MAX(version), 0) + 1, ?, ?, ?, ?, ?
+           FROM h2i_templates
+          WHERE template_id = ?`,
+        [
+          templateId,
+          apiKeyId,
+          name === undefined ? latest.name : name,
+          html === undefined ? latest.html : html,
+          css === undefined ? latest.css : css,
+          toJsonColumn(nextSampleData),
+          toJsonColumn(nextEmulation),
+          templateId,
+        ]
+      );
+      return getTemplate(apiKeyId, templateId);
+    } catch (err) {
+      if (err.code !== 'ER_DUP_ENTRY' || attempt >= VERSION_INSERT_ATTEMPTS) throw err;
+    }
+  }
+}
+
+/**
+ * Fetch one version of a template owned by `apiKeyId` (latest when version is omitted).
+ */
+async function getTemplate(apiKeyId, templateId, version = null) {
+  const rows = version
+    ? await query(
+        `SELECT * FROM h2i_templates
+          WHERE api_key_id = ? AND template_id = ? AND version = ? AND deleted_at IS NULL
+          LIMIT 1`,
+        [apiKeyId, templateId, version]
+      )
+    : await query(
+        `SELECT * FROM h2i_templates
+          WHERE api_key_id = ? AND template_id = ? AND deleted_at IS NULL
+          ORDER BY version DESC
+          LIMIT 1`,
+        [apiKeyId, templateId]
+      );
+  return rows[0] || null;
+}
+
+async function listTemplates(apiKeyId) {
+  return query(
+    `SELECT t.template_id, t.name, t.version, t.created_at
+       FROM h2i_templates t
+       JOIN (
+         SELECT template_id, MAX(version) AS version
+           FROM h2i_templates
+          WHERE api_key_id = ? AND deleted_at IS NULL
+          GROUP BY template_id
+       ) latest ON latest.template_id = t.template_id AND latest.version = t.version
+      ORDER BY t.created_at DESC`,
+    [apiKeyId]
+  );
+}
+
+async function listTemplateVersions(apiKeyId, templateId) {
+  return query(
+    `SELECT template_id, name, version, created_at
+       FROM h2i_templates
+      WHERE api_key_id = ? AND template_id = ? AND deleted_at IS NULL
+      ORDER BY version DESC`,
+    [apiKeyId, templateId]
+  );
+}
+
+// Soft delete: every version is hidden; rows are kept for request_log references.
+async function deleteTemplate(apiKeyId, templateId) {
+  const result = await query(
+    `UPDATE h2i_templates SET deleted_at = UTC_TIMESTAMP()
+      WHERE api_key_id = ? AND template_id = ? AND deleted_at IS NULL`,
+    [apiKeyId, templateId]
+  );
+  return result.affectedRows > 0;
+}
+
+module.exports = {
+  formatTemplate,
+  countTemplatesForKey,
+  createTemplate,
+  addTemplateVersion,
+  getTemplate,
+  listTemplates,
+  listTemplateVersions,
+  deleteTemplate,
+  parseJsonColumn,
+};
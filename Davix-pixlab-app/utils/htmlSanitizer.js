@@ -0,0 +1,67 @@
+const sanitizeHtml = require('sanitize-html');
+
+// Elements that run script or embed another browsing context; removed together with their content.
+const REMOVED_ELEMENTS = new Set([
+  'script', 'iframe', 'frame', 'frameset', 'object', 'embed', 'applet', 'portal', 'fencedframe',
+]);
+const SCRIPT_URL_PATTERN = /^(?:javascript|vbscript):/i;
+const DOCTYPE_PATTERN = /^\s*<!doctype[^>]*>/i;
+const HEAD_TAG_PATTERN = /<head(?:\s[^>]*)?>/i;
+// Backstop for anything the parser sees differently from Chrome: no script may run at all.
+const CSP_META = '<meta http-equiv="Content-Security-Policy" content="script-src \'none\'; object-src \'none\'; frame-src \'none\'">';
+
+function isRefresh(tag, attribs) {
+  return tag === 'meta' && String(attribs['http-equiv'] || '').toLowerCase() === 'refresh';
+}
+
+/**
+ * Strip script from untrusted HTML while keeping markup and styles intact: script/frame/plugin
+ * elements, meta refresh, on* event handlers and javascript:/vbscript: attribute values.
+ * Returns { html, removed: { elements: { tag: count }, attributes: { name: count } } }.
+ */
+function sanitizeUntrustedHtml(html) {
+  const elements = {};
+  const attributes = {};
+  const count = (map, key) => { map[key] = (map[key] || 0) + 1; };
+
+  const body = sanitizeHtml(html, {
+    allowedTags: false,
+    allowedAttributes: false,
+    allowVulnerableTags: true,
+    // URL attributes are checked in transformTags so removals can be reported.
+    allowedSchemesAppliedToAttributes: [],
+    parser: { lowerCaseAttributeNames: false },
+    transformTags: {
+      '*': (tagName, attribs) => {
+        const kept = {};
+        for (const [name, value] of Object.entries(attribs)) {
+          // Browsers ignore whitespace and control characters inside a URL scheme.
+          if (/^on/i.test(name) || SCRIPT_URL_PATTERN.test(String(value).replace(/[\x00-\x20]/g, ''))) {
+            count(attributes, name.toLowerCase());
+          } else {
+            kept[name] = value;
+          }
+        }
+        return { tagName, attribs: kept };
+      },
+    },
+    exclusiveFilter: frame => {
+      const tag = frame.tag.toLowerCase();
+      if (!REMOVED_ELEMENTS.has(tag) && !isRefresh(tag, frame.attribs)) return false;
+      count(elements, tag);
+      return true;
+    },
+  });
+
+  // The parser drops the doctype; keep it so the page does not fall back to quirks mode.
+  const doctype = (html.match(DOCTYPE_PATTERN) || [''])[0].trim();
+  const withCsp = HEAD_TAG_PATTERN.test(body)
+    ? body.replace(HEAD_TAG_PATTERN, match => `${match}${CSP_META}`)
+    : `${CSP_META}${body}`;
+  return {
+    html: doctype ? `${doctype}\n${withCsp}` : withCsp,
+    removed: { elements, attributes },
+  };
+}
+
+module.exports = { sanitizeUntrustedHtml };
@@ -0,0 +1,156 @@
+const sharp = require('sharp');
+
+const ANIMATED_FORMATS = ['gif', 'webp'];
+const IMAGE_ANIMATION_MAX_FRAMES = parseInt(process.env.IMAGE_ANIMATION_MAX_FRAMES, 10) || 500;
+// Pixels across all frames (width × frame height × frames); every frame is decoded at once.
+const IMAGE_ANIMATION_MAX_PIXELS = parseInt(process.env.IMAGE_ANIMATION_MAX_PIXELS, 10) || 100_000_000;
+const DEFAULT_FRAME_DELAY_MS = 100;
+const MAX_FRAME_DELAY_MS = 65_535;
+// Frames are handed to the per-frame operations as lossless PNG.
+const FRAME_PNG = { compressionLevel: 1 };
+
+function frameError(message) {
+  const err = new Error(message);
+  err.code = 'invalid_frame_options';
+  return err;
+}
+
+/**
+ * Animation info for multi-frame GIF/WebP input, or null for still images.
+ */
+async function readAnimation(buffer) {
+  const meta = await sharp(buffer).metadata();
+  if (!ANIMATED_FORMATS.includes(meta.format) || !(meta.pages > 1)) return null;
+  return {
+    pages: meta.pages,
+    width: meta.width,
+    pageHeight: meta.pageHeight || meta.height,
+    delay: Array.isArray(meta.delay) ? meta.delay : [],
+    loop: Number.isInteger(meta.loop) ? meta.loop : 0,
+  };
+}
+
+// "0,3,5-9" -> Set of frame indexes.
+function parseFrameList(value) {
+  const indexes = new Set();
+  for (const part of String(value).split(',').map(item => item.trim()).filter(Boolean)) {
+    const match = part.match(/^(\d+)(?:-(\d+))?$/);
+    if (!match) return null;
+    const start = parseInt(match[1], 10);
+    const end = match[2] !== undefined ? parseInt(match[2], 10) : start;
+    if (end < start || end - start > IMAGE_ANIMATION_MAX_FRAMES) return null;
+    for (let index = start; index <= end; index++) indexes.add(index);
+  }
+  return indexes.size ? indexes : null;
+}
+
+function parseOptionalInt(value, min, max) {
+  if (value === undefined || value === null || value === '') return { value: null };
+  const num = Number(value);
+  if (!Number.isInteger(num) || num < min || num > max) return { problem: true };
+  return { value: num };
+}
+
+/**
+ * Validate the frame options of /v1/image. Returns the options or { error: { message, hint } }.
+ */
+function parseFrameOptions({ frame, frameStep, dropFrames, frameDelay, loop }) {
+  const parsedFrame = parseOptionalInt(frame, 0, IMAGE_ANIMATION_MAX_FRAMES - 1);
+  if (parsedFrame.problem) {
+    return { error: { message: 'Invalid frame.', hint: 'frame is the 0-based index of the frame to keep as a still image.' } };
+  }
+  const parsedStep = parseOptionalInt(frameStep, 1, IMAGE_ANIMATION_MAX_FRAMES);
+  if (parsedStep.problem) {
+    return { error: { message: 'Invalid frameStep.', hint: 'frameStep=2 keeps every second frame.' } };
+  }
+  const parsedDelay = parseOptionalInt(frameDelay, 0, MAX_FRAME_DELAY_MS);
+  if (parsedDelay.problem) {
+    return { error: { message: 'Invalid frameDelay.', hint: `frameDelay is in milliseconds (0-${MAX_FRAME_DELAY_MS}).` } };
+  }
+  const parsedLoop = parseOptionalInt(loop, 0, 65_535);
+  if (parsedLoop.problem) {
+    return { error: { message: 'Invalid loop.', hint: 'loop is the number of repetitions; 0 loops forever.' } };
+  }
+  let dropped = null;
+  if (dropFrames !== undefined && dropFrames !== null && dropFrames !== '') {
+    dropped = parseFrameList(dropFrames);
+    if (!dropped) return { error: { message: 'Invalid dropFrames.', hint: 'Use 0-based frame indexes and ranges, e.g. 0,4,10-12.' } };
+  }
+  return {
+    frame: parsedFrame.value,
+    frameStep: parsedStep.value,
+    dropFrames: dropped,
+    frameDelay: parsedDelay.value,
+    loop: parsedLoop.value,
+  };
+}
+
+/**
+ * Decode every frame once and return them as PNG buffers with their delays.
+ */
+async function splitFrames(buffer, animation) {
+  if (animation.pages > IMAGE_ANIMATION_MAX_FRAMES) {
+    throw frameError(`The animation has ${animation.pages} frames; at most ${IMAGE_ANIMATION_MAX_FRAMES} are supported.`);
+  }
+  const totalPixels = animation.width * animation.pageHeight * animation.pages;
+  if (totalPixels > IMAGE_ANIMATION_MAX_PIXELS) {
+    throw frameError(
+      `The animation has ${totalPixels} pixels across its frames; at most ${IMAGE_ANIMATION_MAX_PIXELS} are supported.`
+    );
+  }
+  const { data, info } = await sharp(buffer, { animated: true }).ensureAlpha().raw().toBuffer({ resolveWithObject: true });
+  const raw = { width: info.width, height: animation.pageHeight, channels: info.channels };
+  const frameBytes = raw.width * raw.height * raw.channels;
+  const frames = [];
+  for (let index = 0; index < animation.pages; index++) {
+    const frameData = data.subarray(index * frameBytes, (index + 1) * frameBytes);
+    frames.push(await sharp(frameData, { raw }).png(FRAME_PNG).toBuffer());
+  }
+  const delay = frames.map((_, index) => animation.delay[index] ?? DEFAULT_FRAME_DELAY_MS);
+  return { frames, delay };
+}
+
+/**
+ * Apply dropFrames/frameStep/frameDelay. Dropped frames hand their delay to the previous kept frame
+ * so the animation keeps its duration unless frameDelay overrides it.
+ */
+function selectFrames({ frames, delay }, { frameStep, dropFrames, frameDelay }) {
+  const kept = [];
+  const keptDelay = [];
+  frames.forEach((frame, index) => {
+    const drop = (dropFrames && dropFrames.has(index)) || (frameStep && index % frameStep !== 0);
+    if (!drop) {
+      kept.push(frame);
+      keptDelay.push(delay[index]);
+    } else if (keptDelay.length) {
+      keptDelay[keptDelay.length - 1] += delay[index];
+    }
+  });
+  if (!kept.length) throw frameError('dropFrames/frameStep removed every frame.');
+  const finalDelay = frameDelay !== null && frameDelay !== undefined
+    ? keptDelay.map(() => frameDelay)
+    : keptDelay.map(value => Math.min(value, MAX_FRAME_DELAY_MS));
+  return { frames: kept, delay: finalDelay };
+}
+
+/**
+ * A still frame of the input, for `frame=N` and outputs that can't animate.
+ */
+async function extractFrame(buffer, index, pages = 1) {
+  if (index >= pages) throw frameError(`frame ${index} does not exist; the image has ${pages} frame(s).`);
+  return sharp(buffer, { page: index }).png(FRAME_PNG).toBuffer();
+}
+
+function joinFrames(frames) {
+  return sharp(frames, { join: { animated: true } });
+}
+
+module.exports = {
+  ANIMATED_FORMATS,
+  readAnimation,
+  parseFrameOptions,
+  splitFrames,
+  selectFrames,
+  extractFrame,
+  joinFrames,
+};
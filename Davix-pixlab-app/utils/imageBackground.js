@@ -0,0 +1,213 @@
+const sharp = require('sharp');
+
+const REMOVAL_MODES = ['color', 'edges'];
+const MAX_DISTANCE = Math.sqrt(3 * 255 * 255);
+const DEFAULT_TOLERANCE = 10;
+const DEFAULT_FEATHER = 1;
+const MAX_FEATHER = 20;
+// Same range as the pipeline's backgroundBlur, so both paths accept the same values.
+const MIN_BACKGROUND_BLUR = 0.3;
+const MAX_BACKGROUND_BLUR = 200;
+const COLOR_PATTERN = /^#(?:[0-9a-f]{3}|[0-9a-f]{4}|[0-9a-f]{6}|[0-9a-f]{8})$/i;
+const WORKING_PNG = { compressionLevel: 1 };
+
+function parseHexColor(value) {
+  let hex = String(value).trim().replace(/^#/, '');
+  if (hex.length <= 4) hex = hex.split('').map(ch => ch + ch).join('');
+  return {
+    r: parseInt(hex.slice(0, 2), 16),
+    g: parseInt(hex.slice(2, 4), 16),
+    b: parseInt(hex.slice(4, 6), 16),
+  };
+}
+
+/**
+ * Validate the background-removal params of /v1/image. Returns { options } (null when
+ * `removeBackground` is not set) or { error: { message, hint } }.
+ */
+function parseBackgroundRemoval({ removeBackground, keyColor, tolerance, feather, maskOutput, backgroundColor, backgroundBlur }) {
+  if (!removeBackground) return { options: null };
+  const mode = String(removeBackground).toLowerCase();
+  if (!REMOVAL_MODES.includes(mode)) {
+    return { error: { message: 'Invalid removeBackground.', hint: `Choose one of: ${REMOVAL_MODES.join(', ')}.` } };
+  }
+  if (keyColor && !COLOR_PATTERN.test(String(keyColor).trim())) {
+    return { error: { message: 'Invalid keyColor.', hint: 'Use a hex color such as #ffffff.' } };
+  }
+  const toleranceValue = tolerance === undefined || tolerance === '' ? DEFAULT_TOLERANCE : Number(tolerance);
+  if (!Number.isFinite(toleranceValue) || toleranceValue < 0 || toleranceValue > 100) {
+    return { error: { message: 'Invalid tolerance.', hint: 'tolerance is a percentage from 0 to 100.' } };
+  }
+  const featherValue = feather === undefined || feather === '' ? DEFAULT_FEATHER : Number(feather);
+  if (!Number.isFinite(featherValue) || featherValue < 0 || featherValue > MAX_FEATHER) {
+    return { error: { message: 'Invalid feather.', hint: `feather is in pixels, from 0 to ${MAX_FEATHER}.` } };
+  }
+  const mask = maskOutput === true || String(maskOutput).toLowerCase() === 'true';
+  if (mask && (backgroundColor || backgroundBlur)) {
+    return {
+      error: {
+        message: 'maskOutput cannot be combined with backgroundColor or backgroundBlur.',
+        hint: 'Request the mask and the replaced background in separate calls.',
+      },
+    };
+  }
+  if (backgroundColor && backgroundBlur) {
+    return { error: { message: 'Use either backgroundColor or backgroundBlur.', hint: 'Send only one new background.' } };
+  }
+  const color = backgroundColor ? String(backgroundColor).trim() : null;
+  if (color && !COLOR_PATTERN.test(color)) {
+    return { error: { message: 'Invalid backgroundColor.', hint: 'Use a hex color such as #ffffff.' } };
+  }
+  const blurValue = backgroundBlur ? Number(backgroundBlur) : null;
+  const blurInRange = blurValue >= MIN_BACKGROUND_BLUR && blurValue <= MAX_BACKGROUND_BLUR;
+  if (backgroundBlur && !blurInRange) {
+    return {
+      error: {
+        message: 'Invalid backgroundBlur.',
+        hint: `backgroundBlur is a blur sigma from ${MIN_BACKGROUND_BLUR} to ${MAX_BACKGROUND_BLUR}.`,
+      },
+    };
+  }
+  return {
+    options: {
+      mode,
+      keyColor: keyColor ? String(keyColor).trim() : null,
+      tolerance: toleranceValue,
+      feather: featherValue,
+      mask,
+      // Passed to replaceBackground; null keeps the cut-out transparent.
+      background: color || blurValue ? { color, blur: blurValue } : null,
+    },
+  };
+}
+
+// Per-channel median of the outermost pixels: the background color of a product shot, even when
+// the subject touches an edge.
+function borderMedian(data, width, height) {
+  const histograms = [new Uint32Array(256), new Uint32Array(256), new Uint32Array(256)];
+  let count = 0;
+  const add = index => {
+    const offset = index * 4;
+    histograms[0][data[offset]]++;
+    histograms[1][data[offset + 1]]++;
+    histograms[2][data[offset + 2]]++;
+    count++;
+  };
+  for (let x = 0; x < width; x++) {
+    add(x);
+    if (height > 1) add((height - 1) * width + x);
+  }
+  for (let y = 1; y < height - 1; y++) {
+    add(y * width);
+    if (width > 1) add(y * width + width - 1);
+  }
+  const median = histogram => {
+    let seen = 0;
+    for (let value = 0; value < 256; value++) {
+      seen += histogram[value];
+      if (seen * 2 >= count) return value;
+    }
+    return 255;
+  };
+  return { r: median(histograms[0]), g: median(histograms[1]), b: median(histograms[2]) };
+}
+
+/**
+ * Cut the background out of an image without ML:
+ * - `color` makes every pixel within `tolerance` (% of the RGB distance range) of `keyColor` transparent.
+ * - `edges` flood-fills from the image borders through such pixels, so matching colors inside the
+ *   subject are kept.
+ * `keyColor` defaults to the median border color. `feather` (px) softens the subject's edge.
+ * Returns a PNG: the cut-out, or with `mask` the alpha mask (white = kept).
+ */
+async function removeBackground(buffer, { mode, keyColor = null, tolerance = DEFAULT_TOLERANCE, feather = DEFAULT_FEATHER, mask = false }) {
+  const { data, info } = await sharp(buffer)
+    .toColourspace('srgb')
+    .ensureAlpha()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+  const { width, height } = info;
+  const pixels = width * height;
+  const key = keyColor ? parseHexColor(keyColor) : borderMedian(data, width, height);
+  const limit = ((tolerance / 100) * MAX_DISTANCE) ** 2;
+  const isBackground = index => {
+    const offset = index * 4;
+    if (data[offset + 3] === 0) return true;
+    const dr = data[offset] - key.r;
+    const dg = data[offset + 1] - key.g;
+    const db = data[offset + 2] - key.b;
+    return dr * dr + dg * dg + db * db <= limit;
+  };
+
+  const keep = new Uint8Array(pixels).fill(255);
+  if (mode === 'color') {
+    for (let index = 0; index < pixels; index++) {
+      if (isBackground(index)) keep[index] = 0;
+    }
+  } else {
+    const queue = new Int32Array(pixels);
+    let head = 0;
+    let tail = 0;
+    const visit = index => {
+      if (keep[index] && isBackground(index)) {
+        keep[index] = 0;
+        queue[tail++] = index;
+      }
+    };
+    for (let x = 0; x < width; x++) {
+      visit(x);
+      visit((height - 1) * width + x);
+    }
+    for (let y = 0; y < height; y++) {
+      visit(y * width);
+      visit(y * width + width - 1);
+    }
+    while (head < tail) {
+      const index = queue[head++];
+      const x = index % width;
+      if (x > 0) visit(index - 1);
+      if (x < width - 1) visit(index + 1);
+      if (index >= width) visit(index - width);
+      if (index + width < pixels) visit(index + width);
+    }
+  }
+
+  // Feathering only fades the kept side of the edge, so no background color bleeds back in.
+  let soft = keep;
+  if (feather > 0) {
+    soft = await sharp(keep, { raw: { width, height, channels: 1 } })
+      .blur(Math.max(feather, 0.3))
+      .toColourspace('b-w')
+      .raw()
+      .toBuffer();
+  }
+  const alpha = Buffer.alloc(pixels);
+  for (let index = 0; index < pixels; index++) {
+    alpha[index] = Math.min(keep[index] ? soft[index] : 0, data[index * 4 + 3]);
+  }
+
+  if (mask) {
+    return sharp(alpha, { raw: { width, height, channels: 1 } }).toColourspace('b-w').png(WORKING_PNG).toBuffer();
+  }
+  for (let index = 0; index < pixels; index++) data[index * 4 + 3] = alpha[index];
+  return sharp(data, { raw: { width, height, channels: 4 } }).png(WORKING_PNG).toBuffer();
+}
+
+/**
+ * Put a cut-out on a new background: a color, or the blurred original (`source`) behind it.
+ */
+async function replaceBackground(cutout, source, { color, blur }) {
+  if (color) return sharp(cutout).flatten({ background: color }).png(WORKING_PNG).toBuffer();
+  const backdrop = await sharp(source).blur(blur).toBuffer();
+  return sharp(backdrop).composite([{ input: cutout }]).png(WORKING_PNG).toBuffer();
+}
+
+module.exports = {
+  REMOVAL_MODES,
+  MAX_FEATHER,
+  MIN_BACKGROUND_BLUR,
+  MAX_BACKGROUND_BLUR,
+  parseBackgroundRemoval,
+  removeBackground,
+  replaceBackground,
+};
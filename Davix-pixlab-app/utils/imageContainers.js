@@ -0,0 +1,135 @@
+const sharp = require('sharp');
+
+// Formats sharp can't write; the containers are assembled here from sharp's PNG/raw output.
+const DEFAULT_ICO_SIZES = [16, 32, 48];
+const MAX_ICO_SIZES = 8;
+const MAX_ICO_SIZE = 256;
+const TRANSPARENT = { r: 0, g: 0, b: 0, alpha: 0 };
+
+/**
+ * Parse `icoSizes` ("16,32,48"). Returns the sorted sizes, the default when empty, or null when invalid.
+ */
+function parseIcoSizes(value) {
+  if (value === undefined || value === null || value === '') return DEFAULT_ICO_SIZES;
+  const sizes = [];
+  for (const part of String(value).split(',').map(item => item.trim()).filter(Boolean)) {
+    const size = Number(part);
+    if (!Number.isInteger(size) || size < 1 || size > MAX_ICO_SIZE) return null;
+    if (!sizes.includes(size)) sizes.push(size);
+  }
+  if (!sizes.length || sizes.length > MAX_ICO_SIZES) return null;
+  return sizes.sort((a, b) => a - b);
+}
+
+/**
+ * ICO with one PNG-compressed 32-bit entry per size. Non-square images are centred on a
+ * transparent square.
+ */
+async function encodeIco(instance, sizes = DEFAULT_ICO_SIZES) {
+  const source = await instance.png().toBuffer();
+  const images = [];
+  for (const size of sizes) {
+    images.push(
+      await sharp(source)
+        .resize(size, size, { fit: 'contain', background: TRANSPARENT })
+        .toColourspace('srgb')
+        .ensureAlpha()
+        .png()
+        .toBuffer()
+    );
+  }
+
+  const header = Buffer.alloc(6 + 16 * images.length);
+  header.writeUInt16LE(0, 0);
+  header.writeUInt16LE(1, 2); // 1 = icon
+  header.writeUInt16LE(images.length, 4);
+  let offset = header.length;
+  images.forEach((image, index) => {
+    const entry = 6 + index * 16;
+    const size = sizes[index];
+    header.writeUInt8(size >= 256 ? 0 : size, entry); // 0 means 256
+    header.writeUInt8(size >= 256 ? 0 : size, entry + 1);
+    header.writeUInt16LE(1, entry + 4); // colour planes
+    header.writeUInt16LE(32, entry + 6); // bits per pixel
+    header.writeUInt32LE(image.length, entry + 8);
+    header.writeUInt32LE(offset, entry + 12);
+    offset += image.length;
+  });
+  return Buffer.concat([header, ...images]);
+}
+
+/**
+ * Uncompressed BMP: 24-bit for opaque images, 32-bit BGRA with a BITMAPV4HEADER when there is alpha.
+ * Greyscale pipelines are expanded to BGR.
+ */
+async function encodeBmp(instance) {
+  const { data, info } = await instance.raw().toBuffer({ resolveWithObject: true });
+  const { width, height, channels } = info;
+  const hasAlpha = channels === 2 || channels === 4;
+  const bytesPerPixel = hasAlpha ? 4 : 3;
+  const rowSize = Math.ceil((width * bytesPerPixel) / 4) * 4;
+  const dibSize = hasAlpha ? 108 : 40;
+  const pixelOffset = 14 + dibSize;
+  const out = Buffer.alloc(pixelOffset + rowSize * height);
+
+  out.write('BM', 0, 'ascii');
+  out.writeUInt32LE(out.length, 2);
+  out.writeUInt32LE(pixelOffset, 10);
+  out.writeUInt32LE(dibSize, 14);
+  out.writeInt32LE(width, 18);
+  out.writeInt32LE(-height, 22); // negative height: rows are stored top-down
+  out.writeUInt16LE(1, 26);
+  out.writeUInt16LE(bytesPerPixel * 8, 28);
+  out.writeUInt32LE(hasAlpha ? 3 : 0, 30); // BI_BITFIELDS : BI_RGB
+  out.writeUInt32LE(rowSize * height, 34);
+  out.writeInt32LE(2835, 38); // 72 dpi
+  out.writeInt32LE(2835, 42);
+  if (hasAlpha) {
+    out.writeUInt32LE(0x00ff0000, 54); // red mask
+    out.writeUInt32LE(0x0000ff00, 58);
+    out.writeUInt32LE(0x000000ff, 62);
+    out.writeUInt32LE(0xff000000, 66); // alpha mask
+    out.write('BGRs', 70, 'ascii'); // LCS_sRGB, stored little-endian
+  }
+
+  const grey = channels <= 2;
+  for (let y = 0; y < height; y++) {
+    let target = pixelOffset + y * rowSize;
+    for (let x = 0; x < width; x++) {
+      const source = (y * width + x) * channels;
+      const r = data[source];
+      const g = grey ? r : data[source + 1];
+      const b = grey ? r : data[source + 2];
+      out[target++] = b;
+      out[target++] = g;
+      out[target++] = r;
+      if (hasAlpha) out[target++] = data[source + channels - 1];
+    }
+  }
+  return out;
+}
+
+/**
+ * Width/height of an ICO (its largest entry) or BMP produced above; sharp can't read either.
+ */
+function readContainerSize(buffer, format) {
+  if (format === 'bmp') {
+    return { width: buffer.readInt32LE(18), height: Math.abs(buffer.readInt32LE(22)) };
+  }
+  if (format === 'ico') {
+    let size = 0;
+    for (let index = 0; index < buffer.readUInt16LE(4); index++) {
+      size = Math.max(size, buffer[6 + index * 16] || 256);
+    }
+    return { width: size, height: size };
+  }
+  return null;
+}
+
+module.exports = {
+  DEFAULT_ICO_SIZES,
+  parseIcoSizes,
+  encodeIco,
+  encodeBmp,
+  readContainerSize,
+};
@@ -0,0 +1,196 @@
+const sharp = require('sharp');
+const { encodeIco, encodeBmp } = require('./imageContainers');
+
+// Output format -> file extension and the sharp.format entry that must be able to write it
+// (null: always available; ico/bmp/pdf are assembled in-process).
+const OUTPUT_FORMATS = {
+  jpeg: { ext: 'jpg', sharpFormat: 'jpeg' },
+  png: { ext: 'png', sharpFormat: 'png' },
+  webp: { ext: 'webp', sharpFormat: 'webp' },
+  avif: { ext: 'avif', sharpFormat: 'heif' },
+  gif: { ext: 'gif', sharpFormat: 'gif' },
+  tiff: { ext: 'tiff', sharpFormat: 'tiff' },
+  heif: { ext: 'heif', sharpFormat: 'heif' },
+  jxl: { ext: 'jxl', sharpFormat: 'jxl' },
+  ico: { ext: 'ico', sharpFormat: null },
+  bmp: { ext: 'bmp', sharpFormat: null },
+  pdf: { ext: 'pdf', sharpFormat: null },
+};
+const FORMAT_ALIASES = { jpg: 'jpeg', tif: 'tiff', heic: 'heif', 'jpeg-xl': 'jxl', jpegxl: 'jxl' };
+// zstd is left out: prebuilt libvips builds don't include it.
+const TIFF_COMPRESSIONS = ['none', 'lzw', 'deflate', 'packbits', 'jpeg', 'webp'];
+// sharp's accepted `effort` range per encoder.
+const EFFORT_RANGES = { webp: [0, 6], avif: [0, 9], heif: [0, 9], gif: [1, 10], jxl: [1, 9] };
+const LOSSLESS_FORMATS = ['webp', 'avif', 'heif', 'jxl'];
+
+/**
+ * Canonical output format name (`jpg` -> `jpeg`, `tif` -> `tiff`, `heic` -> `heif`).
+ */
+function normalizeOutputFormat(format) {
+  if (!format) return null;
+  const lower = String(format).trim().toLowerCase();
+  return FORMAT_ALIASES[lower] || lower;
+}
+
+/**
+ * Whether `format` is a known output format that the installed libvips can write.
+ */
+function isOutputFormatAvailable(format) {
+  const entry = OUTPUT_FORMATS[format];
+  if (!entry) return false;
+  if (!entry.sharpFormat) return true;
+  return Boolean(sharp.format[entry.sharpFormat]?.output?.buffer);
+}
+
+function availableOutputFormats() {
+  return Object.keys(OUTPUT_FORMATS).filter(isOutputFormatAvailable);
+}
+
+/**
+ * Validate `lossless`, `effort` and `tiffCompression` against the output format.
+ * Returns { options } or { error: { message, hint } }.
+ */
+function parseEncoderOptions(format, { lossless, effort, tiffCompression }) {
+  const options = {};
+  if (lossless !== undefined && lossless !== null && lossless !== '') {
+    const enabled = lossless === true || String(lossless).toLowerCase() === 'true';
+    if (enabled && !LOSSLESS_FORMATS.includes(format)) {
+      return { error: { message: `lossless is not available for ${format}.`, hint: `Use one of: ${LOSSLESS_FORMATS.join(', ')}.` } };
+    }
+    if (enabled) options.lossless = true;
+  }
+  if (effort !== undefined && effort !== null && effort !== '') {
+    const range = EFFORT_RANGES[format];
+    const value = Number(effort);
+    if (!range) {
+      return { error: { message: `effort is not available for ${format}.`, hint: `Use one of: ${Object.keys(EFFORT_RANGES).join(', ')}.` } };
+    }
+    if (!Number.isInteger(value) || value < range[0] || value > range[1]) {
+      return { error: { message: 'Invalid effort.', hint: `effort for ${format} is an integer from ${range[0]} to ${range[1]}.` } };
+    }
+    options.effort = value;
+  }
+  if (tiffCompression !== undefined && tiffCompression !== null && tiffCompression !== '') {
+    const value = String(tiffCompression).toLowerCase();
+    if (format !== 'tiff') {
+      return { error: { message: 'tiffCompression needs format=tiff.', hint: 'Remove tiffCompression or set format=tiff.' } };
+    }
+    if (!TIFF_COMPRESSIONS.includes(value)) {
+      return { error: { message: 'Invalid tiffCompression.', hint: `Choose one of: ${TIFF_COMPRESSIONS.join(', ')}.` } };
+    }
+    options.compression = value;
+  }
+  return { options };
+}
+
+/**
+ * Apply the sharp encoder for `format` to a pipeline. `quality` is ignored by lossless formats;
+ * for animated GIF it scales the palette size (still GIFs keep sharp's default palette). `animation` ({ loop, delay }) is passed to GIF/WebP encoders
+ * and `encoder` ({ lossless, effort, compression }, see parseEncoderOptions) to the format's encoder.
+ * `pdf` leaves the pipeline untouched; callers embed the raster themselves. ico/bmp go through
+ * encodeImage.
+ */
+function applyOutputFormat(instance, format, quality, animation = null, encoder = {}) {
+  const q = quality ? { quality } : {};
+  switch (format) {
+    case 'png':
+      return instance.png({ compressionLevel: 9 });
+    case 'webp':
+      return instance.webp({ ...q, ...encoder, ...animation });
+    case 'avif':
+      return instance.avif({ ...q, ...encoder });
+    case 'heif':
+      return instance.heif({ compression: 'av1', ...q, ...encoder });
+    case 'jxl':
+      return instance.jxl({ ...q, ...encoder });
+    case 'tiff':
+      return instance.tiff({ compression: 'lzw', ...q, ...encoder });
+    case 'gif':
+      return instance.gif({
+        ...(quality && animation ? { colours: Math.max(Math.round(quality * 2.56), 2) } : {}),
+        ...encoder,
+        ...animation,
+      });
+    case 'pdf':
+      return instance;
+    case 'jpeg':
+    case 'jpg':
+    default:
+      return instance.jpeg(quality ? { quality } : {});
+  }
+}
+
+/**
+ * Encode a pipeline to a Buffer in any OUTPUT_FORMATS format, including the ones sharp can't write.
+ * `icoSizes` lists the icon sizes for ico.
+ */
+async function encodeImage(instance, format, quality, { animation = null, encoder = {}, icoSizes } = {}) {
+  if (format === 'ico') return encodeIco(instance, icoSizes);
+  if (format === 'bmp') return encodeBmp(instance);
+  return applyOutputFormat(instance, format, quality, animation, encoder).toBuffer();
+}
+
+/**
+ * One multi-page TIFF from several images. Pages are centred on a transparent canvas of the
+ * largest width and height (white when the compression can't keep alpha).
+ */
+async function buildMultiPageTiff(buffers, { quality = null, encoder = {} } = {}) {
+  const metas = await Promise.all(buffers.map(buffer => sharp(buffer).metadata()));
+  const width = Math.max(...metas.map(meta => meta.width));
+  const height = Math.max(...metas.map(meta => meta.height));
+  const background = encoder.compression === 'jpeg' ? '#ffffff' : { r: 0, g: 0, b: 0, alpha: 0 };
+  const pages = [];
+  for (let index = 0; index < buffers.length; index++) {
+    const left = Math.floor((width - metas[index].width) / 2);
+    const top = Math.floor((height - metas[index].height) / 2);
+    pages.push(
+      await sharp(buffers[index])
+        .ensureAlpha()
+        .extend({ left, top, right: width - metas[index].width - left, bottom: height - metas[index].height - top, background })
+        .png({ compressionLevel: 1 })
+        .toBuffer()
+    );
+  }
+  let instance = sharp(pages, { join: { animated: true } });
+  if (encoder.compression === 'jpeg') instance = instance.flatten({ background });
+  return applyOutputFormat(instance, 'tiff', quality, null, encoder).toBuffer();
+}
+
+/**
+ * Binary-search the encoder quality so the output fits in `targetBytes`.
+ * `encode(q)` must return a Buffer. Falls back to `quality` when no tested quality fits.
+ */
+async function encodeToTargetSize(encode, { targetBytes, quality = null }) {
+  let low = 20;
+  let high = 90;
+  let bestBuffer = null;
+  let bestQuality = null;
+  for (let i = 0; i < 7; i++) {
+    const mid = Math.round((low + high) / 2);
+    const testBuffer = await encode(mid);
+    if (testBuffer.length > targetBytes) {
+      high = mid - 5;
+    } else {
+      bestBuffer = testBuffer;
+      bestQuality = mid;
+      low = mid + 5;
+    }
+  }
+  if (bestBuffer) {
+    return { buffer: bestBuffer, qualityUsed: bestQuality };
+  }
+  return { buffer: await encode(quality || null), qualityUsed: quality || null };
+}
+
+module.exports = {
+  OUTPUT_FORMATS,
+  TIFF_COMPRESSIONS,
+  normalizeOutputFormat,
+  isOutputFormatAvailable,
+  availableOutputFormats,
+  parseEncoderOptions,
+  applyOutputFormat,
+  encodeImage,
+  buildMultiPageTiff,
+  encodeToTargetSize,
+};
@@ -0,0 +1,154 @@
+const sharp = require('sharp');
+
+const POSITIONS = new Set([
+  'center',
+  'top-left',
+  'top-right',
+  'bottom-left',
+  'bottom-right',
+  'top',
+  'bottom',
+  'left',
+  'right',
+]);
+
+function parsePosition(pos) {
+  const normalized = (pos || '').toLowerCase();
+  return POSITIONS.has(normalized) ? normalized : 'center';
+}
+
+function applyPositioning({ baseWidth, baseHeight, overlayWidth, overlayHeight, position, margin }) {
+  const pos = parsePosition(position);
+  const m = Math.max(margin || 0, 0);
+  let left = Math.round((baseWidth - overlayWidth) / 2);
+  let top = Math.round((baseHeight - overlayHeight) / 2);
+
+  if (pos === 'top-left') {
+    left = m;
+    top = m;
+  } else if (pos === 'top-right') {
+    left = baseWidth - overlayWidth - m;
+    top = m;
+  } else if (pos === 'bottom-left') {
+    left = m;
+    top = baseHeight - overlayHeight - m;
+  } else if (pos === 'bottom-right') {
+    left = baseWidth - overlayWidth - m;
+    top = baseHeight - overlayHeight - m;
+  } else if (pos === 'top') {
+    top = m;
+  } else if (pos === 'bottom') {
+    top = baseHeight - overlayHeight - m;
+  } else if (pos === 'left') {
+    left = m;
+  } else if (pos === 'right') {
+    left = baseWidth - overlayWidth - m;
+  }
+
+  return { left, top };
+}
+
+// #rgb, #rgba, #rrggbb or #rrggbbaa; `alpha` is 0-1 (1 without an alpha digit).
+function hexToRgb(color, fallback = { r: 255, g: 255, b: 255, alpha: 1 }) {
+  if (!color || typeof color !== 'string') return fallback;
+  let hex = color.replace('#', '').trim();
+  if (hex.length === 3 || hex.length === 4) hex = hex.split('').map(ch => ch + ch).join('');
+  if ((hex.length === 6 || hex.length === 8) && /^[0-9a-f]+$/i.test(hex)) {
+    return {
+      r: parseInt(hex.slice(0, 2), 16),
+      g: parseInt(hex.slice(2, 4), 16),
+      b: parseInt(hex.slice(4, 6), 16),
+      alpha: hex.length === 8 ? parseInt(hex.slice(6, 8), 16) / 255 : 1,
+    };
+  }
+  return fallback;
+}
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function buildTextWatermarkSvg({ text, width, height, fontSize, color, opacity }) {
+  const safeText = escapeXml(text || '');
+  const { r, g, b, alpha } = hexToRgb(color);
+  const fill = `rgba(${r},${g},${b},${Number((opacity * alpha).toFixed(3))})`;
+  return Buffer.from(
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">
+      <style>
+        .wm { font-size: ${fontSize}px; fill: ${fill}; font-family: Arial, sans-serif; }
+      </style>
+      <text x="50%" y="50%" text-anchor="middle" dominant-baseline="middle" class="wm">${safeText}</text>
+    </svg>`
+  );
+}
+
+/**
+ * Composite an uploaded watermark image, scaled to `scale` × the shorter side of the base image.
+ */
+async function applyImageWatermark(buffer, { watermark, scale, position, margin, opacity }) {
+  const meta = await sharp(buffer).metadata();
+  const scaleBase = Math.min(meta.width, meta.height);
+  const targetSize = Math.max(Math.round(scaleBase * scale), 1);
+  const resizedWm = await sharp(watermark)
+    .resize({ width: targetSize, height: targetSize, fit: 'inside', withoutEnlargement: true })
+    .toBuffer();
+  const resizedMeta = await sharp(resizedWm).metadata();
+  const pos = applyPositioning({
+    baseWidth: meta.width,
+    baseHeight: meta.height,
+    overlayWidth: resizedMeta.width,
+    overlayHeight: resizedMeta.height,
+    position,
+    margin,
+  });
+  return sharp(buffer)
+    .composite([{ input: resizedWm, top: pos.top, left: pos.left, blend: 'over', opacity }])
+    .toBuffer();
+}
+
+async function applyTextWatermark(buffer, { text, fontSize, color, opacity, position, margin }) {
+  const meta = await sharp(buffer).metadata();
+  const approxWidth = Math.min(meta.width, Math.max(Math.round(fontSize * (text.length || 1) * 0.6), 10));
+  const approxHeight = Math.max(Math.round(fontSize * 1.2), 10);
+  const svg = buildTextWatermarkSvg({ text, width: approxWidth, height: approxHeight, fontSize, color, opacity });
+  const pos = applyPositioning({
+    baseWidth: meta.width,
+    baseHeight: meta.height,
+    overlayWidth: approxWidth,
+    overlayHeight: approxHeight,
+    position,
+    margin,
+  });
+  return sharp(buffer)
+    .composite([{ input: svg, top: pos.top, left: pos.left, blend: 'over' }])
+    .toBuffer();
+}
+
+// Mask the corners to transparency; JPEG callers flatten afterwards.
+async function roundCorners(buffer, radius) {
+  const { width, height } = await sharp(buffer).metadata();
+  const maskSvg = Buffer.from(
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">
+      <rect x="0" y="0" width="${width}" height="${height}" rx="${radius}" ry="${radius}" fill="white"/>
+    </svg>`
+  );
+  return sharp(buffer)
+    .ensureAlpha()
+    .composite([{ input: maskSvg, blend: 'dest-in' }])
+    .toBuffer();
+}
+
+module.exports = {
+  POSITIONS,
+  parsePosition,
+  applyPositioning,
+  hexToRgb,
+  buildTextWatermarkSvg,
+  applyImageWatermark,
+  applyTextWatermark,
+  roundCorners,
+};
@@ -0,0 +1,395 @@
+const sharp = require('sharp');
+const { POSITIONS, applyImageWatermark, applyTextWatermark, roundCorners } = require('./imageOverlays');
+const {
+  RESIZE_FITS,
+  RESIZE_POSITIONS,
+  HEX_COLOR_PATTERN,
+  parseAspectRatio,
+  checkResizeCombination,
+  buildResizeOptions,
+  cropToAspectRatio,
+} = require('./imageResize');
+const {
+  REMOVAL_MODES,
+  MAX_FEATHER,
+  MIN_BACKGROUND_BLUR,
+  MAX_BACKGROUND_BLUR,
+  removeBackground,
+  replaceBackground,
+} = require('./imageBackground');
+
+const MAX_STEP_DIMENSION = 16384;
+const IMAGE_PIPELINE_MAX_PIXELS = parseInt(process.env.IMAGE_PIPELINE_MAX_PIXELS, 10) || 100_000_000;
+// Steps hand each other lossless PNG so repeated steps don't add JPEG/WebP generation loss.
+const WORKING_PNG = { compressionLevel: 1 };
+const toWorking = instance => instance.png(WORKING_PNG).toBuffer();
+
+// Param parsers return { value } or { problem }; `undefined` input means the param was omitted.
+const int = (min, max) => value => {
+  const num = typeof value === 'number' ? value : Number(String(value).trim());
+  if (!Number.isInteger(num) || num < min || num > max) return { problem: `must be an integer between ${min} and ${max}` };
+  return { value: num };
+};
+const number = (min, max) => value => {
+  const num = typeof value === 'number' ? value : Number(String(value).trim());
+  if (!Number.isFinite(num) || num < min || num > max) return { problem: `must be a number between ${min} and ${max}` };
+  return { value: num };
+};
+const bool = () => value => {
+  if (typeof value === 'boolean') return { value };
+  if (['true', 'false'].includes(String(value).toLowerCase())) return { value: String(value).toLowerCase() === 'true' };
+  return { problem: 'must be true or false' };
+};
+const color = () => value => {
+  if (typeof value === 'string' && HEX_COLOR_PATTERN.test(value.trim())) return { value: value.trim() };
+  return { problem: 'must be a hex color such as #ffffff' };
+};
+const oneOf = values => value => {
+  const normalized = String(value).toLowerCase();
+  if (!values.includes(normalized)) return { problem: `must be one of: ${values.join(', ')}` };
+  return { value: normalized };
+};
+const text = maxLength => value => {
+  if (typeof value !== 'string' || !value.trim() || value.length > maxLength) {
+    return { problem: `must be a non-empty string of at most ${maxLength} characters` };
+  }
+  return { value };
+};
+
+const ratio = () => value => {
+  const parsed = parseAspectRatio(value);
+  return parsed ? { value: parsed } : { problem: 'must be a ratio such as 16:9' };
+};
+
+const side = int(0, MAX_STEP_DIMENSION);
+const positiveSide = int(1, MAX_STEP_DIMENSION);
+
+// Largest output a resize step can produce from a width x height input (after its aspectRatio crop).
+function projectResize(size, { width: boxWidth, height: boxHeight, fit = 'inside', enlarge = false, aspectRatio }) {
+  let { width, height } = size;
+  if (aspectRatio) {
+    if (Math.round(width / aspectRatio) > height) width = Math.max(Math.round(height * aspectRatio), 1);
+    else height = Math.max(Math.round(width / aspectRatio), 1);
+  }
+  if (boxWidth && boxHeight && ['cover', 'fill', 'contain'].includes(fit)) return { width: boxWidth, height: boxHeight };
+  const scales = [boxWidth && boxWidth / width, boxHeight && boxHeight / height].filter(Boolean);
+  if (!scales.length) return { width, height };
+  let scale = fit === 'outside' ? Math.max(...scales) : Math.min(...scales);
+  if (!enlarge) scale = Math.min(scale, 1);
+  return { width: Math.ceil(width * scale), height: Math.ceil(height * scale) };
+}
+
+/**
+ * Operations accepted in `steps`. `params` lists every accepted field, `required` the mandatory
+ * ones and `anyOf` groups where at least one field must be set; `check` validates combinations.
+ * `project` gives the output size of steps that can grow the image, checked before they run.
+ * Every step starts from the previous step's output, so the order in the request is the order
+ * applied.
+ */
+const OPERATIONS = {
+  autoOrient: {
+    params: {},
+    apply: buffer => toWorking(sharp(buffer).rotate()),
+  },
+  crop: {
+    params: { x: side, y: side, width: positiveSide, height: positiveSide },
+    required: ['x', 'y', 'width', 'height'],
+    apply: async (buffer, { x, y, width, height }) => {
+      const meta = await sharp(buffer).metadata();
+      if (x + width > meta.width || y + height > meta.height) {
+        throw stepFailure(`crop area ${width}x${height}+${x}+${y} is outside the ${meta.width}x${meta.height} image`);
+      }
+      return toWorking(sharp(buffer).extract({ left: x, top: y, width, height }));
+    },
+  },
+  resize: {
+    params: {
+      width: positiveSide,
+      height: positiveSide,
+      enlarge: bool(),
+      fit: oneOf(RESIZE_FITS),
+      position: oneOf(RESIZE_POSITIONS),
+      aspectRatio: ratio(),
+      background: color(),
+    },
+    anyOf: ['width', 'height', 'aspectRatio'],
+    check: params => checkResizeCombination({ fit: params.fit || 'inside', ...params }),
+    project: projectResize,
+    apply: async (buffer, { aspectRatio, ...options }) => {
+      const { width, height, position } = options;
+      let working = buffer;
+      if (aspectRatio) working = await cropToAspectRatio(sharp(working), aspectRatio, position || 'attention');
+      if (!width && !height) return working;
+      return toWorking(sharp(working).resize(width || null, height || null, buildResizeOptions(options)));
+    },
+  },
+  rotate: {
+    params: { angle: number(-360, 360), background: color() },
+    required: ['angle'],
+    project: ({ width, height }, { angle }) => {
+      const radians = (angle * Math.PI) / 180;
+      const cos = Math.abs(Math.cos(radians));
+      const sin = Math.abs(Math.sin(radians));
+      return { width: Math.ceil(width * cos + height * sin), height: Math.ceil(width * sin + height * cos) };
+    },
+    apply: (buffer, { angle, background = '#00000000' }) => toWorking(sharp(buffer).rotate(angle, { background })),
+  },
+  flip: {
+    params: { axis: oneOf(['horizontal', 'vertical']) },
+    apply: (buffer, { axis = 'horizontal' }) =>
+      toWorking(axis === 'vertical' ? sharp(buffer).flip() : sharp(buffer).flop()),
+  },
+  blur: {
+    params: { sigma: number(0.3, 500) },
+    apply: (buffer, { sigma }) => toWorking(sigma ? sharp(buffer).blur(sigma) : sharp(buffer).blur()),
+  },
+  sharpen: {
+    params: { sigma: number(0.01, 10) },
+    apply: (buffer, { sigma }) => toWorking(sigma ? sharp(buffer).sharpen(sigma) : sharp(buffer).sharpen()),
+  },
+  grayscale: {
+    params: {},
+    apply: buffer => toWorking(sharp(buffer).grayscale()),
+  },
+  sepia: {
+    params: {},
+    apply: buffer =>
+      toWorking(
+        sharp(buffer).recomb([
+          [0.393, 0.769, 0.189],
+          [0.349, 0.686, 0.168],
+          [0.272, 0.534, 0.131],
+        ])
+      ),
+  },
+  adjust: {
+    params: { brightness: number(0, 2), contrast: number(0, 2), saturation: number(0, 2) },
+    anyOf: ['brightness', 'contrast', 'saturation'],
+    apply: (buffer, { brightness = 1, contrast = 1, saturation = 1 }) => {
+      let instance = sharp(buffer);
+      if (brightness !== 1 || saturation !== 1) instance = instance.modulate({ brightness, saturation });
+      if (contrast !== 1) instance = instance.linear(contrast, 128 * (1 - contrast));
+      return toWorking(instance);
+    },
+  },
+  pad: {
+    params: { all: side, top: side, right: side, bottom: side, left: side, color: color() },
+    anyOf: ['all', 'top', 'right', 'bottom', 'left'],
+    project: ({ width, height }, { all, top, right, bottom, left }) => ({
+      width: width + (left ?? all ?? 0) + (right ?? all ?? 0),
+      height: height + (top ?? all ?? 0) + (bottom ?? all ?? 0),
+    }),
+    apply: (buffer, { all, top, right, bottom, left, color: background = '#ffffff' }) =>
+      toWorking(
+        sharp(buffer).extend({
+          top: top ?? all ?? 0,
+          right: right ?? all ?? 0,
+          bottom: bottom ?? all ?? 0,
+          left: left ?? all ?? 0,
+          background,
+        })
+      ),
+  },
+  border: {
+    params: { width: positiveSide, color: color() },
+    required: ['width'],
+    project: (size, { width }) => ({ width: size.width + 2 * width, height: size.height + 2 * width }),
+    apply: (buffer, { width, color: background = '#000000' }) =>
+      toWorking(sharp(buffer).extend({ top: width, right: width, bottom: width, left: width, background })),
+  },
+  borderRadius: {
+    params: { radius: positiveSide },
+    required: ['radius'],
+    apply: (buffer, { radius }) => roundCorners(buffer, radius),
+  },
+  background: {
+    params: { color: color(), blur: number(0.3, 200) },
+    anyOf: ['color', 'blur'],
+    exclusive: true,
+    apply: async (buffer, { color: background, blur }) => {
+      if (background) return toWorking(sharp(buffer).flatten({ background }));
+      const blurred = await sharp(buffer).blur(blur).toBuffer();
+      return toWorking(sharp(blurred).composite([{ input: buffer }]));
+    },
+  },
+  removeBackground: {
+    params: {
+      mode: oneOf(REMOVAL_MODES),
+      keyColor: color(),
+      tolerance: number(0, 100),
+      feather: number(0, MAX_FEATHER),
+      mask: bool(),
+      backgroundColor: color(),
+      backgroundBlur: number(MIN_BACKGROUND_BLUR, MAX_BACKGROUND_BLUR),
+    },
+    required: ['mode'],
+    check: ({ mask, backgroundColor, backgroundBlur }) => {
+      if (backgroundColor && backgroundBlur) return 'use either backgroundColor or backgroundBlur';
+      if (mask && (backgroundColor || backgroundBlur)) return 'mask cannot be combined with a new background';
+      return null;
+    },
+    apply: async (buffer, { backgroundColor, backgroundBlur, ...options }) => {
+      const cutout = await removeBackground(buffer, options);
+      if (!backgroundColor && !backgroundBlur) return cutout;
+      return replaceBackground(cutout, buffer, { color: backgroundColor, blur: backgroundBlur });
+    },
+  },
+  watermark: {
+    params: {
+      text: text(500),
+      image: bool(),
+      fontSize: int(6, 400),
+      color: color(),
+      opacity: number(0, 1),
+      position: oneOf([...POSITIONS]),
+      margin: int(0, 5000),
+      scale: number(0.01, 1),
+    },
+    anyOf: ['text', 'image'],
+    exclusive: true,
+    apply: (buffer, params, context) => {
+      const common = {
+        opacity: params.opacity ?? 0.35,
+        position: params.position || 'center',
+        margin: params.margin ?? 24,
+      };
+      if (params.image) {
+        return applyImageWatermark(buffer, { ...common, watermark: context.watermarkImage, scale: params.scale ?? 0.25 });
+      }
+      return applyTextWatermark(buffer, {
+        ...common,
+        text: params.text,
+        fontSize: params.fontSize ?? 32,
+        color: params.color || '#ffffff',
+      });
+    },
+  },
+};
+
+function stepFailure(message) {
+  const err = new Error(message);
+  err.code = 'pipeline_step_failed';
+  return err;
+}
+
+function stepError(index, op, field, problem) {
+  const prefix = `steps[${index}]${op ? ` (${op})` : ''}`;
+  return {
+    code: 'invalid_pipeline_step',
+    message: `${prefix}: ${field ? `${field} ` : ''}${problem}.`,
+    details: { step: index, op: op || null, field: field || null },
+  };
+}
+
+/**
+ * Validate the `steps` field of action=pipeline. Accepts an array or its JSON string (multipart).
+ * Returns { steps } with normalized params, or { error: { code, message, details } }.
+ */
+function parseImagePipeline(raw, { maxSteps, hasWatermarkImage = false }) {
+  let steps = raw;
+  if (typeof raw === 'string') {
+    try {
+      steps = JSON.parse(raw);
+    } catch (err) {
+      return { error: { code: 'invalid_parameter', message: 'steps must be a JSON array.' } };
+    }
+  }
+  if (!Array.isArray(steps) || !steps.length) {
+    return {
+      error: {
+        code: 'invalid_parameter',
+        message: 'steps must be a non-empty array.',
+        hint: 'Example: [{"op":"resize","width":800},{"op":"watermark","text":"Sample"}]',
+      },
+    };
+  }
+  if (steps.length > maxSteps) {
+    return {
+      error: {
+        code: 'pipeline_too_long',
+        message: `A pipeline can have at most ${maxSteps} steps.`,
+        details: { steps: steps.length, maxSteps },
+      },
+    };
+  }
+
+  const normalized = [];
+  for (let index = 0; index < steps.length; index++) {
+    const step = steps[index];
+    if (!step || typeof step !== 'object' || Array.isArray(step)) {
+      return { error: stepError(index, null, null, 'must be an object with an "op" field') };
+    }
+    const op = step.op;
+    const spec = Object.prototype.hasOwnProperty.call(OPERATIONS, op) ? OPERATIONS[op] : null;
+    if (!spec) {
+      return { error: stepError(index, null, 'op', `must be one of: ${Object.keys(OPERATIONS).join(', ')}`) };
+    }
+
+    const params = {};
+    for (const [field, value] of Object.entries(step)) {
+      if (field === 'op') continue;
+      const parse = spec.params[field];
+      if (!parse) return { error: stepError(index, op, field, 'is not a parameter of this operation') };
+      if (value === undefined || value === null || value === '') continue;
+      const parsed = parse(value);
+      if (parsed.problem) return { error: stepError(index, op, field, parsed.problem) };
+      params[field] = parsed.value;
+    }
+
+    const missing = (spec.required || []).find(field => params[field] === undefined);
+    if (missing) return { error: stepError(index, op, missing, 'is required') };
+    if (spec.anyOf) {
+      const present = spec.anyOf.filter(field => params[field] !== undefined && params[field] !== false);
+      if (!present.length) return { error: stepError(index, op, null, `needs one of: ${spec.anyOf.join(', ')}`) };
+      if (spec.exclusive && present.length > 1) {
+        return { error: stepError(index, op, null, `accepts only one of: ${spec.anyOf.join(', ')}`) };
+      }
+    }
+    const combination = spec.check ? spec.check(params) : null;
+    if (combination) return { error: stepError(index, op, null, combination.replace(/\.$/, '')) };
+    if (op === 'watermark' && params.image && !hasWatermarkImage) {
+      return { error: stepError(index, op, 'image', "needs a file in the 'watermarkImage' field") };
+    }
+
+    normalized.push({ op, params });
+  }
+  return { steps: normalized };
+}
+
+/**
+ * Run validated steps in order. Failures are rethrown with code `pipeline_step_failed` and the
+ * failing step's index and op.
+ */
+async function runImagePipeline(buffer, steps, { sharpOptions = {}, watermarkImage = null } = {}) {
+  // Keep the EXIF orientation on the decoded copy so a leading autoOrient step still sees it.
+  let working = await toWorking(sharp(buffer, sharpOptions).withMetadata());
+  for (let index = 0; index < steps.length; index++) {
+    const { op, params } = steps[index];
+    try {
+      const { project } = OPERATIONS[op];
+      if (project) {
+        const { width, height } = project(await sharp(working).metadata(), params);
+        if (width * height > IMAGE_PIPELINE_MAX_PIXELS) {
+          throw stepFailure(`result would be ${width}x${height}, above the ${IMAGE_PIPELINE_MAX_PIXELS} pixel limit`);
+        }
+      }
+      working = await OPERATIONS[op].apply(working, params, { watermarkImage });
+      const { width, height } = await sharp(working).metadata();
+      if (width * height > IMAGE_PIPELINE_MAX_PIXELS) {
+        throw stepFailure(`result is ${width}x${height}, above the ${IMAGE_PIPELINE_MAX_PIXELS} pixel limit`);
+      }
+    } catch (err) {
+      const failure = err.code === 'pipeline_step_failed' ? err : stepFailure(err.message);
+      failure.step = index;
+      failure.op = op;
+      throw failure;
+    }
+  }
+  return working;
+}
+
+module.exports = {
+  PIPELINE_OPERATIONS: Object.keys(OPERATIONS),
+  parseImagePipeline,
+  runImagePipeline,
+};
@@ -0,0 +1,101 @@
+const sharp = require('sharp');
+
+const RESIZE_FITS = ['inside', 'cover', 'contain', 'fill', 'outside'];
+// Request names -> sharp gravities. `attention` and `entropy` are sharp's smart-crop strategies.
+const RESIZE_GRAVITIES = {
+  center: 'centre',
+  top: 'north',
+  'top-right': 'northeast',
+  right: 'east',
+  'bottom-right': 'southeast',
+  bottom: 'south',
+  'bottom-left': 'southwest',
+  left: 'west',
+  'top-left': 'northwest',
+};
+const RESIZE_STRATEGIES = ['attention', 'entropy'];
+const RESIZE_POSITIONS = [...Object.keys(RESIZE_GRAVITIES), ...RESIZE_STRATEGIES];
+const DEFAULT_LETTERBOX = '#ffffff';
+const HEX_COLOR_PATTERN = /^#(?:[0-9a-f]{3}|[0-9a-f]{4}|[0-9a-f]{6}|[0-9a-f]{8})$/i;
+
+/**
+ * Parse `16:9`, `16/9` or `1.7778` into a width/height ratio. Returns null when invalid.
+ */
+function parseAspectRatio(value) {
+  if (value === undefined || value === null) return null;
+  const str = String(value).trim();
+  const parts = str.split(/[:/]/);
+  let ratio;
+  if (parts.length === 2) {
+    const [w, h] = parts.map(Number);
+    ratio = w > 0 && h > 0 ? w / h : NaN;
+  } else if (parts.length === 1 && str) {
+    ratio = Number(str);
+  }
+  return Number.isFinite(ratio) && ratio >= 0.01 && ratio <= 100 ? ratio : null;
+}
+
+function isStrategy(position) {
+  return RESIZE_STRATEGIES.includes(position);
+}
+
+function toSharpPosition(position) {
+  if (position === 'attention') return sharp.strategy.attention;
+  if (position === 'entropy') return sharp.strategy.entropy;
+  return RESIZE_GRAVITIES[position] || 'centre';
+}
+
+/**
+ * Check fit/position together: smart-crop strategies only choose which part to keep, so they need
+ * something to crop (fit=cover or an aspect-ratio crop). Returns an error message or null.
+ */
+function checkResizeCombination({ fit, position, aspectRatio }) {
+  if (position && isStrategy(position) && fit !== 'cover' && !aspectRatio) {
+    return `position=${position} needs fit=cover or aspectRatio.`;
+  }
+  return null;
+}
+
+/**
+ * sharp resize options. Strategies fall back to the centre for fits that don't crop. cover and fill
+ * with both sides set always produce exactly that size, enlarging small inputs if needed.
+ */
+function buildResizeOptions({ width, height, fit = 'inside', position, background, enlarge = false }) {
+  const exactBox = width && height && (fit === 'cover' || fit === 'fill');
+  const options = { fit, withoutEnlargement: !enlarge && !exactBox };
+  if (position && (fit === 'cover' || !isStrategy(position))) options.position = toSharpPosition(position);
+  if (fit === 'contain') options.background = background || DEFAULT_LETTERBOX;
+  return options;
+}
+
+/**
+ * Crop the largest `ratio` area out of the image, keeping the part picked by `position`
+ * (default: the most salient region). Returns a PNG buffer.
+ */
+async function cropToAspectRatio(input, ratio, position = 'attention') {
+  const source = await input.png().toBuffer();
+  const { width, height } = await sharp(source).metadata();
+  let cropWidth = width;
+  let cropHeight = Math.round(width / ratio);
+  if (cropHeight > height) {
+    cropHeight = height;
+    cropWidth = Math.round(height * ratio);
+  }
+  cropWidth = Math.max(cropWidth, 1);
+  cropHeight = Math.max(cropHeight, 1);
+  if (cropWidth === width && cropHeight === height) return source;
+  return sharp(source)
+    .resize(cropWidth, cropHeight, { fit: 'cover', position: toSharpPosition(position) })
+    .png()
+    .toBuffer();
+}
+
+module.exports = {
+  RESIZE_FITS,
+  RESIZE_POSITIONS,
+  HEX_COLOR_PATTERN,
+  parseAspectRatio,
+  checkResizeCombination,
+  buildResizeOptions,
+  cropToAspectRatio,
+};
@@ -0,0 +1,131 @@
+const sharp = require('sharp');
+const { applyOutputFormat } = require('./imageEncoding');
+
+const RESPONSIVE_FORMATS = ['avif', 'webp', 'jpeg', 'png'];
+const DEFAULT_FORMATS = ['webp', 'avif', 'jpeg'];
+const MIME_TYPES = { avif: 'image/avif', webp: 'image/webp', jpeg: 'image/jpeg', png: 'image/png' };
+// Formats without universal browser support go in <source>; the first fallback found becomes the <img>.
+const FALLBACK_ORDER = ['jpeg', 'png', 'webp', 'avif'];
+const MIN_WIDTH = 16;
+const MAX_WIDTH = 8192;
+
+function parseList(value) {
+  if (value === undefined || value === null || value === '') return [];
+  if (Array.isArray(value)) return value;
+  const str = String(value).trim();
+  if (str.startsWith('[')) {
+    try {
+      const parsed = JSON.parse(str);
+      return Array.isArray(parsed) ? parsed : [str];
+    } catch (err) {
+      return [str];
+    }
+  }
+  return str.split(',').map(item => item.trim()).filter(Boolean);
+}
+
+/**
+ * Validate `widths`, `formats`, `sizes` and `alt` for action=responsive. Widths and formats accept
+ * comma-separated lists or JSON arrays. Returns the options or { error: { message, hint } }.
+ */
+function parseResponsiveOptions(body, { maxVariants }) {
+  const rawWidths = parseList(body.widths);
+  if (!rawWidths.length) {
+    return { error: { message: 'widths is required.', hint: 'Example: widths=320,640,1024,1600' } };
+  }
+  const widths = [];
+  for (const raw of rawWidths) {
+    const width = Number(raw);
+    if (!Number.isInteger(width) || width < MIN_WIDTH || width > MAX_WIDTH) {
+      return { error: { message: `Invalid width: ${raw}.`, hint: `Widths must be integers between ${MIN_WIDTH} and ${MAX_WIDTH}.` } };
+    }
+    if (!widths.includes(width)) widths.push(width);
+  }
+  widths.sort((a, b) => a - b);
+
+  const rawFormats = parseList(body.formats);
+  const formats = [];
+  for (const raw of rawFormats.length ? rawFormats : DEFAULT_FORMATS) {
+    const format = String(raw).toLowerCase() === 'jpg' ? 'jpeg' : String(raw).toLowerCase();
+    if (!RESPONSIVE_FORMATS.includes(format)) {
+      return { error: { message: `Invalid format: ${raw}.`, hint: `Choose from: ${RESPONSIVE_FORMATS.join(', ')}.` } };
+    }
+    if (!formats.includes(format)) formats.push(format);
+  }
+
+  if (widths.length * formats.length > maxVariants) {
+    return {
+      error: {
+        message: `At most ${maxVariants} variants per image (widths × formats).`,
+        hint: 'Request fewer widths or formats.',
+      },
+    };
+  }
+
+  return {
+    widths,
+    formats,
+    sizes: body.sizes ? String(body.sizes).slice(0, 500) : '100vw',
+    alt: body.alt ? String(body.alt).slice(0, 500) : '',
+  };
+}
+
+/**
+ * Decode the image once and encode every width × format from the decoded pixels. Widths above the
+ * source width are replaced by the source width, so images are never enlarged.
+ */
+async function buildResponsiveVariants(buffer, { sharpOptions = {}, widths, formats, quality = null, background }) {
+  const { data, info } = await sharp(buffer, sharpOptions).rotate().raw().toBuffer({ resolveWithObject: true });
+  const raw = { width: info.width, height: info.height, channels: info.channels };
+  const hasAlpha = info.channels === 2 || info.channels === 4;
+
+  const effectiveWidths = widths.filter(width => width <= info.width);
+  if (effectiveWidths.length < widths.length && !effectiveWidths.includes(info.width)) {
+    effectiveWidths.push(info.width);
+  }
+
+  const variants = [];
+  for (const format of formats) {
+    for (const width of effectiveWidths) {
+      let instance = sharp(data, { raw });
+      if (width !== info.width) instance = instance.resize(width);
+      if (format === 'jpeg' && hasAlpha) instance = instance.flatten({ background: background || '#ffffff' });
+      const output = await applyOutputFormat(instance, format, quality).toBuffer({ resolveWithObject: true });
+      variants.push({ format, width: output.info.width, height: output.info.height, buffer: output.data });
+    }
+  }
+  return { source: { width: info.width, height: info.height }, variants };
+}
+
+function escapeAttribute(value) {
+  return String(value).replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * `<picture>` markup for variants grouped by format ({ webp: [{ url, width, height }], ... }).
+ */
+function buildPictureHtml(variantsByFormat, { sizes, alt }) {
+  const srcset = list => list.map(variant => `${variant.url} ${variant.width}w`).join(', ');
+  const fallbackFormat = FALLBACK_ORDER.find(format => variantsByFormat[format]?.length);
+  const fallback = variantsByFormat[fallbackFormat];
+  const largest = fallback[fallback.length - 1];
+  const lines = ['<picture>'];
+  RESPONSIVE_FORMATS.filter(format => format !== fallbackFormat && variantsByFormat[format]?.length).forEach(format => {
+    lines.push(
+      `  <source type="${MIME_TYPES[format]}" srcset="${escapeAttribute(srcset(variantsByFormat[format]))}" sizes="${escapeAttribute(sizes)}">`
+    );
+  });
+  lines.push(
+    `  <img src="${escapeAttribute(largest.url)}" srcset="${escapeAttribute(srcset(fallback))}" sizes="${escapeAttribute(sizes)}" ` +
+      `width="${largest.width}" height="${largest.height}" alt="${escapeAttribute(alt)}" loading="lazy" decoding="async">`
+  );
+  lines.push('</picture>');
+  return lines.join('\n');
+}
+
+module.exports = {
+  RESPONSIVE_FORMATS,
+  parseResponsiveOptions,
+  buildResponsiveVariants,
+  buildPictureHtml,
+};
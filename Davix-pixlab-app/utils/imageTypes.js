@@ -0,0 +1,90 @@
+const sharp = require('sharp');
+
+// ISO-BMFF (`ftyp`) brands. AVIF is checked first because AVIF files often list `mif1` too.
+const AVIF_BRANDS = new Set(['avif', 'avis']);
+const HEIF_BRANDS = new Set(['heic', 'heix', 'hevc', 'hevx', 'heim', 'heis', 'mif1', 'msf1']);
+const BMP_DIB_HEADER_SIZES = new Set([12, 40, 52, 56, 64, 108, 124]);
+const JXL_CONTAINER = Buffer.from([0x00, 0x00, 0x00, 0x0c, 0x4a, 0x58, 0x4c, 0x20, 0x0d, 0x0a, 0x87, 0x0a]);
+
+// Upload types whose decoding depends on how libvips was built, keyed to sharp.format entries.
+const BUILD_DEPENDENT_FORMATS = {
+  'image/heif': 'heif',
+  'image/tiff': 'tiff',
+  'image/jxl': 'jxl',
+  'image/bmp': 'magick',
+};
+
+function readBrands(buf) {
+  if (buf.length < 16 || buf.toString('ascii', 4, 8) !== 'ftyp') return [];
+  const boxSize = Math.min(buf.readUInt32BE(0), buf.length);
+  const brands = [buf.toString('ascii', 8, 12)];
+  for (let offset = 16; offset + 4 <= boxSize; offset += 4) brands.push(buf.toString('ascii', offset, offset + 4));
+  return brands;
+}
+
+function looksLikeSvg(buf) {
+  const text = buf.toString('utf8', 0, Math.min(buf.length, 4096)).replace(/^\uFEFF/, '').trimStart();
+  if (!text.startsWith('<')) return false;
+  return /<svg[\s>]/i.test(text);
+}
+
+/**
+ * Identify an upload from its first bytes. Returns a MIME type, or null when the content isn't
+ * a recognized image (or PDF). Needs at least 32 bytes; SVG detection reads up to 4 KB.
+ */
+function sniffMimeType(buf) {
+  if (!buf || buf.length < 4) return null;
+  if (buf[0] === 0xff && buf[1] === 0xd8 && buf[2] === 0xff) return 'image/jpeg';
+  if (buf.length >= 8 && buf.readUInt32BE(0) === 0x89504e47 && buf.readUInt32BE(4) === 0x0d0a1a0a) return 'image/png';
+  const ascii6 = buf.toString('ascii', 0, 6);
+  if (ascii6 === 'GIF87a' || ascii6 === 'GIF89a') return 'image/gif';
+  if (buf.length >= 12 && buf.toString('ascii', 0, 4) === 'RIFF' && buf.toString('ascii', 8, 12) === 'WEBP') return 'image/webp';
+  const brands = readBrands(buf);
+  if (brands.some(brand => AVIF_BRANDS.has(brand))) return 'image/avif';
+  if (brands.some(brand => HEIF_BRANDS.has(brand))) return 'image/heif';
+  if (
+    (buf[0] === 0x49 && buf[1] === 0x49 && (buf[2] === 0x2a || buf[2] === 0x2b) && buf[3] === 0x00) ||
+    (buf[0] === 0x4d && buf[1] === 0x4d && buf[2] === 0x00 && (buf[3] === 0x2a || buf[3] === 0x2b))
+  ) {
+    return 'image/tiff';
+  }
+  if (buf[0] === 0x42 && buf[1] === 0x4d && buf.length >= 26 && BMP_DIB_HEADER_SIZES.has(buf.readUInt32LE(14))) {
+    return 'image/bmp';
+  }
+  if ((buf[0] === 0xff && buf[1] === 0x0a) || (buf.length >= 12 && buf.subarray(0, 12).equals(JXL_CONTAINER))) {
+    return 'image/jxl';
+  }
+  if (buf.toString('ascii', 0, 5) === '%PDF-') return 'application/pdf';
+  if (looksLikeSvg(buf)) return 'image/svg+xml';
+  return null;
+}
+
+/**
+ * The MIME type routes should trust: the sniffed type, otherwise the declared one, except that a
+ * declared image type whose bytes don't match any image becomes application/octet-stream.
+ */
+function resolveUploadMimeType(prefix, declared) {
+  const sniffed = sniffMimeType(prefix);
+  if (sniffed) return sniffed;
+  const normalized = (declared || '').toLowerCase();
+  return normalized.startsWith('image/') ? 'application/octet-stream' : declared;
+}
+
+/**
+ * Whether the installed libvips can decode `mimetype`. HEIC needs an HEVC decoder: libvips only
+ * lists the `.heic` suffix for heif input when libheif has one (prebuilt sharp decodes AVIF only).
+ */
+function canDecodeMimeType(mimetype) {
+  const format = BUILD_DEPENDENT_FORMATS[mimetype];
+  if (!format) return true;
+  const input = sharp.format[format]?.input;
+  if (!input?.buffer) return false;
+  if (mimetype === 'image/heif') return (input.fileSuffix || []).includes('.heic');
+  return true;
+}
+
+module.exports = {
+  sniffMimeType,
+  resolveUploadMimeType,
+  canDecodeMimeType,
+};
@@ -0,0 +1,310 @@
+const crypto = require('crypto');
+const { parseJsonColumn } = require('./h2iTemplates');
+const { findCustomerKeyById } = require('./customerKeys');
+const { getJobTimeoutMs } = require('./limits');
+const { recordUsageAndLog, releaseReservedQuota } = require('../usage');
+const { queueWebhook } = require('./webhookDelivery');
+const {
+  formatJob,
+  getJob,
+  readJobFiles,
+  removeJobFiles,
+  claimNextJob,
+  finishJob,
+  listInterruptedJobs,
+  deleteFinishedJobs,
+} = require('./jobs');
+
+const DEFAULT_CONCURRENCY = parseInt(process.env.JOBS_CONCURRENCY, 10) || 2;
+const DEFAULT_POLL_INTERVAL_MS = parseInt(process.env.JOBS_POLL_INTERVAL_MS, 10) || 5000;
+const DEFAULT_RETENTION_HOURS = parseInt(process.env.JOBS_RETENTION_HOURS, 10) || 24;
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+// Extra time for the replayed request to send its timeout response before the worker gives up.
+const DISPATCH_GRACE_MS = 30 * 1000;
+const JOB_TOKEN_HEADER = 'x-davix-job-token';
+// How long the worker waits after the response for the replayed request to log usage and settle
+// the reservation itself; routes log after responding.
+const SETTLE_WAIT_MS = 5000;
+
+// token -> { jobId, apiKeyType, apiKeyId, reservation }; a token only lives while its job is being dispatched.
+const dispatchTokens = new Map();
+
+let config = null;
+let activeWorkers = 0;
+let pollHandle = null;
+let pruneHandle = null;
+let started = false;
+
+/**
+ * Identify a request replayed by the worker pool. Returns the job's owner so `checkApiKey` can
+ * authenticate it without the original plaintext key, which is never stored.
+ */
+function resolveJobDispatch(req) {
+  const token = req.headers[JOB_TOKEN_HEADER];
+  if (!token) return null;
+  return dispatchTokens.get(String(token)) || null;
+}
+
+// Rebuild the bracketed field names multer parsed into nested objects.
+function appendFormField(form, key, value) {
+  if (value === null || value === undefined) return;
+  if (Array.isArray(value)) {
+    value.forEach((item, index) => appendFormField(form, `${key}[${index}]`, item));
+  } else if (typeof value === 'object') {
+    Object.entries(value).forEach(([child, item]) => appendFormField(form, `${key}[${child}]`, item));
+  } else {
+    form.append(key, String(value));
+  }
+}
+
+function buildDispatchBody(row, files) {
+  const payload = parseJsonColumn(row.payload_json) || {};
+  if (row.content_type !== 'multipart') {
+    return { body: JSON.stringify(payload), headers: { 'content-type': 'application/json' } };
+  }
+  const form = new FormData();
+  Object.entries(payload).forEach(([key, value]) => appendFormField(form, key, value));
+  files.forEach(file => {
+    form.append(file.fieldname, new Blob([file.buffer], { type: file.mimetype }), file.originalname);
+  });
+  return { body: form, headers: {} };
+}
+
+function describeFailure(result, httpStatus) {
+  const error = result?.error;
+  const code = (error && typeof error === 'object' ? error.code : null) || result?.code ||
+    (typeof error === 'string' ? error : null) || 'job_failed';
+  const message = (error && typeof error === 'object' ? error.message : null) || result?.message ||
+    `The job request failed with HTTP ${httpStatus}.`;
+  return { code, message };
+}
+
+/**
+ * The quota a customer job reserved when it was queued. It stays held while the job runs; the
+ * replayed request's recordUsageAndLog releases it together with the real usage.
+ */
+function createReservation(row) {
+  if (row.api_key_type !== 'customer' || !row.reserved_files) return null;
+  const reservation = { files: row.reserved_files, period: row.usage_period, settled: false };
+  reservation.whenLogged = new Promise(resolve => {
+    reservation.onSettled = resolve;
+  });
+  return reservation;
+}
+
+// Release a reservation nothing settled: the request failed before logging usage, or never ran.
+async function settleReservation(row, reservation, waitMs = SETTLE_WAIT_MS) {
+  if (!reservation) return;
+  if (!reservation.settled && waitMs > 0) {
+    let timer;
+    await Promise.race([
+      reservation.whenLogged,
+      new Promise(resolve => {
+        timer = setTimeout(resolve, waitMs);
+      }),
+    ]);
+    clearTimeout(timer);
+  }
+  if (reservation.settled) return;
+  reservation.settled = true;
+  await releaseReservedQuota(row.api_key_id, row.usage_period, reservation.files);
+}
+
+async function dispatchJob(row, reservation) {
+  const token = crypto.randomBytes(32).toString('hex');
+  dispatchTokens.set(token, { jobId: row.job_id, apiKeyType: row.api_key_type, apiKeyId: row.api_key_id, reservation });
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), getJobTimeoutMs() + DISPATCH_GRACE_MS);
+
+  try {
+    const { body, headers } = buildDispatchBody(row, readJobFiles(config.jobsDir, row));
+    if (row.client_ip) headers['x-forwarded-for'] = row.client_ip;
+    if (row.user_agent) headers['user-agent'] = row.user_agent;
+    const response = await fetch(`${config.internalBaseUrl}/v1/${row.endpoint}`, {
+      method: 'POST',
+      headers: { ...headers, [JOB_TOKEN_HEADER]: token },
+      body,
+      signal: controller.signal,
+    });
+    const text = await response.text();
+    let result;
+    try {
+      result = JSON.parse(text);
+    } catch (err) {
+      result = { raw: text.slice(0, 2000) };
+    }
+    return { httpStatus: response.status, result };
+  } finally {
+    clearTimeout(timer);
+    dispatchTokens.delete(token);
+  }
+}
+
+// The replayed request logs its own usage; this covers jobs that never produced a response.
+async function logJobFailure(row, errorCode, errorMessage, reservation = null) {
+  if (row.api_key_type !== 'customer') return;
+  try {
+    const { key } = await findCustomerKeyById(row.api_key_id);
+    await recordUsageAndLog({
+      apiKeyRecord: key,
+      endpoint: row.endpoint,
+      action: `job_${row.action}`,
+      filesProcessed: 0,
+      status: 500,
+      ip: row.client_ip,
+      userAgent: row.user_agent,
+      ok: false,
+      errorCode,
+      errorMessage,
+      paramsForLog: { job_id: row.job_id },
+      usagePeriod: row.usage_period,
+      reservation,
+    });
+  } catch (err) {
+    console.error(`[DAVIX][jobs] failed to log failure for ${row.job_id}`, err);
+  }
+}
+
+async function notifyJobFinished(row) {
+  if (!row.callback_url) return;
+  try {
+    const finished = await getJob(row.job_id);
+    await queueWebhook({
+      apiKeyType: row.api_key_type,
+      apiKeyId: row.api_key_id,
+      event: 'job.completed',
+      callbackUrl: row.callback_url,
+      data: { job: formatJob(finished) },
+      jobId: row.job_id,
+    });
+  } catch (err) {
+    console.error(`[DAVIX][jobs] failed to queue callback for ${row.job_id}`, err);
+  }
+}
+
+async function runJob(row) {
+  const startedAt = Date.now();
+  const reservation = createReservation(row);
+
+  try {
+    const { httpStatus, result } = await dispatchJob(row, reservation);
+    if (httpStatus >= 200 && httpStatus < 300) {
+      await finishJob(row.job_id, { state: 'succeeded', httpStatus, result });
+    } else {
+      const { code, message } = describeFailure(result, httpStatus);
+      await finishJob(row.job_id, { state: 'failed', httpStatus, result, errorCode: code, errorMessage: message });
+    }
+    console.log(
+      `[DAVIX][jobs] finished: job_id=${row.job_id}, endpoint=${row.endpoint}, http_status=${httpStatus}, ` +
+        `duration_ms=${Date.now() - startedAt}`
+    );
+  } catch (err) {
+    const message = err.name === 'AbortError' ? 'The job exceeded its time limit.' : err.message;
+    console.error(`[DAVIX][jobs] dispatch failed: job_id=${row.job_id}`, err);
+    await finishJob(row.job_id, { state: 'failed', errorCode: 'job_dispatch_failed', errorMessage: message })
+      .catch(finishErr => console.error(`[DAVIX][jobs] failed to finish ${row.job_id}`, finishErr));
+    await logJobFailure(row, 'job_dispatch_failed', message, reservation);
+  } finally {
+    removeJobFiles(config.jobsDir, row.job_id);
+  }
+  await settleReservation(row, reservation)
+    .catch(err => console.error(`[DAVIX][jobs] failed to release quota for ${row.job_id}`, err));
+  await notifyJobFinished(row);
+}
+
+async function workLoop() {
+  while (started) {
+    let row;
+    try {
+      row = await claimNextJob();
+    } catch (err) {
+      console.error('[DAVIX][jobs] failed to claim job', err);
+      return;
+    }
+    if (!row) return;
+    await runJob(row);
+  }
+}
+
+/**
+ * Start idle workers up to the pool size. Called when a job is queued and on every poll tick.
+ */
+function kickJobWorkers() {
+  if (!started) return;
+  while (activeWorkers < config.concurrency) {
+    activeWorkers += 1;
+    workLoop().finally(() => {
+      activeWorkers -= 1;
+    });
+  }
+}
+
+// Jobs left running by a previous process can't be resumed: their request died with it.
+async function failInterruptedJobs() {
+  const rows = await listInterruptedJobs();
+  for (const row of rows) {
+    const message = 'The server restarted while the job was running.';
+    const reservation = createReservation(row);
+    await finishJob(row.job_id, { state: 'failed', errorCode: 'job_interrupted', errorMessage: message });
+    await logJobFailure(row, 'job_interrupted', message, reservation);
+    await settleReservation(row, reservation, 0);
+    removeJobFiles(config.jobsDir, row.job_id);
+    await notifyJobFinished(row);
+  }
+  if (rows.length) console.warn(`[DAVIX][jobs] marked ${rows.length} interrupted job(s) as failed`);
+}
+
+async function pruneFinishedJobs() {
+  try {
+    const ids = await deleteFinishedJobs(config.retentionHours);
+    ids.forEach(jobId => removeJobFiles(config.jobsDir, jobId));
+    if (ids.length) console.log(`[DAVIX][jobs] pruned ${ids.length} finished job(s)`);
+  } catch (err) {
+    console.error('[DAVIX][jobs] prune failed', err);
+  }
+}
+
+function startJobWorkers({
+  internalBaseUrl,
+  jobsDir,
+  concurrency = DEFAULT_CONCURRENCY,
+  pollIntervalMs = DEFAULT_POLL_INTERVAL_MS,
+  retentionHours = DEFAULT_RETENTION_HOURS,
+}) {
+  if (started) return;
+  config = { internalBaseUrl, jobsDir, concurrency, retentionHours };
+
+  failInterruptedJobs()
+    .catch(err => console.error('[DAVIX][jobs] interrupted job recovery failed', err))
+    .finally(() => {
+      started = true;
+      kickJobWorkers();
+      pollHandle = setInterval(kickJobWorkers, pollIntervalMs);
+      pruneHandle = setInterval(pruneFinishedJobs, PRUNE_INTERVAL_MS);
+      pruneFinishedJobs();
+    });
+
+  console.log(
+    `[DAVIX][jobs] workers scheduled: concurrency=${concurrency}, poll_interval_ms=${pollIntervalMs}, retention_hours=${retentionHours}`
+  );
+}
+
+function stopJobWorkers() {
+  started = false;
+  if (pollHandle) {
+    clearInterval(pollHandle);
+    pollHandle = null;
+  }
+  if (pruneHandle) {
+    clearInterval(pruneHandle);
+    pruneHandle = null;
+  }
+}
+
+module.exports = {
+  JOB_TOKEN_HEADER,
+  resolveJobDispatch,
+  kickJobWorkers,
+  startJobWorkers,
+  stopJobWorkers,
+};
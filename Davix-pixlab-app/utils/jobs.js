@@ -0,0 +1,243 @@
+const fs = require('fs');
+const path = require('path');
+const { query, pool } = require('../db');
+const { parseJsonColumn } = require('./h2iTemplates');
+const { parseResponsiveOptions } = require('./imageResponsive');
+
+const JOB_ENDPOINTS = ['h2i', 'image', 'pdf', 'tools'];
+// Keys whose string values are output links in the /v1/* responses.
+const URL_KEY_PATTERN = /^(?:url|[a-z]+Url)$/;
+
+const toJsonColumn = value => (value === null || value === undefined ? null : JSON.stringify(value));
+
+/**
+ * Files a job is expected to bill, mirroring `filesToConsume` in each route. The route computes
+ * the real count when the job runs; this is only what gets reserved while it waits.
+ * `limits` are the caller's resolveRequestLimits for the endpoint (responsive billing mode).
+ */
+function estimateJobFiles(endpoint, payload = {}, files = [], limits = {}) {
+  if (endpoint === 'h2i') return Array.isArray(payload.viewports) && payload.viewports.length ? payload.viewports.length : 1;
+  const fileCount = Math.max(files.length, 1);
+  const responsive = limits.imageResponsive;
+  if (endpoint === 'image' && responsive?.billing === 'variant' && String(payload.action).toLowerCase() === 'responsive') {
+    const parsed = parseResponsiveOptions(payload, { maxVariants: responsive.maxVariants });
+    if (!parsed.error) return fileCount * parsed.widths.length * parsed.formats.length;
+  }
+  return fileCount;
+}
+
+/**
+ * Collect every output URL in a route response (`url`, `compositeUrl`, `zipUrl`, nested results).
+ */
+function collectResultUrls(value, urls = []) {
+  if (Array.isArray(value)) {
+    value.forEach(item => collectResultUrls(item, urls));
+  } else if (value && typeof value === 'object') {
+    for (const [key, item] of Object.entries(value)) {
+      if (typeof item === 'string' && URL_KEY_PATTERN.test(key) && /^https?:\/\//.test(item)) {
+        urls.push(item);
+      } else if (item && typeof item === 'object') {
+        collectResultUrls(item, urls);
+      }
+    }
+  }
+  return urls;
+}
+
+function formatJob(row, { queuePosition = null } = {}) {
+  if (!row) return null;
+  const result = parseJsonColumn(row.result_json);
+  let progress = null;
+  if (row.state === 'queued') progress = { stage: 'queued', queuePosition };
+  if (row.state === 'running') {
+    progress = { stage: 'running', elapsedMs: row.started_at ? Date.now() - new Date(row.started_at).getTime() : 0 };
+  }
+  return {
+    id: row.job_id,
+    endpoint: row.endpoint,
+    action: row.action,
+    state: row.state,
+    progress,
+    reserved_files: row.reserved_files,
+    callback_url: row.callback_url || null,
+    created_at: row.created_at,
+    started_at: row.started_at || null,
+    finished_at: row.finished_at || null,
+    http_status: row.http_status ?? null,
+    urls: result ? collectResultUrls(result) : [],
+    result: row.state === 'succeeded' ? result : null,
+    error: row.state === 'failed'
+      ? { code: row.error_code, message: row.error_message, details: result }
+      : null,
+  };
+}
+
+/**
+ * Write uploaded files to the spool directory so the job can be replayed after the request ends.
+ * Returns the metadata stored in jobs.files_json.
+ */
+function spoolJobFiles(jobsDir, jobId, files = []) {
+  if (!files.length) return [];
+  const dir = path.join(jobsDir, jobId);
+  fs.mkdirSync(dir, { recursive: true });
+  return files.map((file, index) => {
+    const spoolName = `${index}.bin`;
+    fs.writeFileSync(path.join(dir, spoolName), file.buffer);
+    return {
+      fieldname: file.fieldname,
+      originalname: file.originalname,
+      mimetype: file.mimetype,
+      size: file.size,
+      spoolName,
+    };
+  });
+}
+
+function readJobFiles(jobsDir, row) {
+  const files = parseJsonColumn(row.files_json) || [];
+  return files.map(file => ({ ...file, buffer: fs.readFileSync(path.join(jobsDir, row.job_id, file.spoolName)) }));
+}
+
+function removeJobFiles(jobsDir, jobId) {
+  fs.rm(path.join(jobsDir, jobId), { recursive: true, force: true }, err => {
+    if (err) console.error(`[DAVIX][jobs] failed to remove spooled files for ${jobId}`, err);
+  });
+}
+
+async function createJob({
+  jobId,
+  apiKeyId,
+  apiKeyType,
+  endpoint,
+  action,
+  contentType,
+  payload,
+  files,
+  reservedFiles,
+  usagePeriod,
+  clientIp,
+  userAgent,
+  callbackUrl = null,
+}) {
+  await query(
+    `INSERT INTO jobs (job_id, api_key_id, api_key_type, endpoint, action, content_type, payload_json, files_json,
+                       reserved_files, usage_period, client_ip, user_agent, callback_url)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      jobId,
+      apiKeyId,
+      apiKeyType,
+      endpoint,
+      action,
+      contentType,
+      toJsonColumn(payload),
+      toJsonColumn(files),
+      reservedFiles,
+      usagePeriod,
+      clientIp,
+      userAgent ? userAgent.slice(0, 255) : null,
+      callbackUrl,
+    ]
+  );
+  return getJob(jobId);
+}
+
+async function getJob(jobId) {
+  const rows = await query('SELECT * FROM jobs WHERE job_id = ? LIMIT 1', [jobId]);
+  return rows[0] || null;
+}
+
+/**
+ * Jobs are visible to the key that created them; owner-key jobs are shared by all owner keys.
+ */
+async function getJobForKey({ apiKeyType, apiKeyId }, jobId) {
+  const rows = apiKeyType === 'customer'
+    ? await query('SELECT * FROM jobs WHERE job_id = ? AND api_key_id = ? LIMIT 1', [jobId, apiKeyId])
+    : await query("SELECT * FROM jobs WHERE job_id = ? AND api_key_type = 'owner' LIMIT 1", [jobId]);
+  return rows[0] || null;
+}
+
+async function getQueuePosition(row) {
+  const rows = await query("SELECT COUNT(*) AS cnt FROM jobs WHERE state = 'queued' AND id < ?", [row.id]);
+  return Number(rows[0]?.cnt || 0) + 1;
+}
+
+async function countActiveJobsForKey({ apiKeyType, apiKeyId }) {
+  const rows = apiKeyType === 'customer'
+    ? await query("SELECT COUNT(*) AS cnt FROM jobs WHERE api_key_id = ? AND state IN ('queued', 'running')", [apiKeyId])
+    : await query("SELECT COUNT(*) AS cnt FROM jobs WHERE api_key_type = 'owner' AND state IN ('queued', 'running')");
+  return Number(rows[0]?.cnt || 0);
+}
+
+/**
+ * Move the oldest queued job to running. The state check in the UPDATE makes the claim safe when
+ * several workers race for the same row. Returns the claimed row or null when the queue is empty.
+ */
+async function claimNextJob() {
+  for (;;) {
+    const rows = await query("SELECT id FROM jobs WHERE state = 'queued' ORDER BY id ASC LIMIT 1");
+    if (!rows.length) return null;
+    const [result] = await pool.execute(
+      "UPDATE jobs SET state = 'running', started_at = UTC_TIMESTAMP() WHERE id = ? AND state = 'queued'",
+      [rows[0].id]
+    );
+    if (result.affectedRows === 1) {
+      const claimed = await query('SELECT * FROM jobs WHERE id = ? LIMIT 1', [rows[0].id]);
+      return claimed[0];
+    }
+  }
+}
+
+async function finishJob(jobId, { state, httpStatus = null, result = null, errorCode = null, errorMessage = null }) {
+  await query(
+    `UPDATE jobs
+        SET state = ?, http_status = ?, result_json = ?, error_code = ?, error_message = ?, finished_at = UTC_TIMESTAMP()
+      WHERE job_id = ?`,
+    [
+      state,
+      httpStatus,
+      toJsonColumn(result),
+      errorCode,
+      errorMessage ? String(errorMessage).slice(0, 500) : null,
+      jobId,
+    ]
+  );
+}
+
+/**
+ * Jobs still marked running were cut off by a restart; return them so the caller can fail them.
+ */
+async function listInterruptedJobs() {
+  return query("SELECT * FROM jobs WHERE state = 'running'");
+}
+
+async function deleteFinishedJobs(olderThanHours) {
+  const rows = await query(
+    `SELECT job_id FROM jobs
+      WHERE state IN ('succeeded', 'failed') AND finished_at < (UTC_TIMESTAMP() - INTERVAL ? HOUR)`,
+    [olderThanHours]
+  );
+  if (!rows.length) return [];
+  const ids = rows.map(row => row.job_id);
+  await query(`DELETE FROM jobs WHERE job_id IN (${ids.map(() => '?').join(', ')})`, ids);
+  return ids;
+}
+
+module.exports = {
+  JOB_ENDPOINTS,
+  estimateJobFiles,
+  collectResultUrls,
+  formatJob,
+  spoolJobFiles,
+  readJobFiles,
+  removeJobFiles,
+  createJob,
+  getJob,
+  getJobForKey,
+  getQueuePosition,
+  countActiveJobsForKey,
+  claimNextJob,
+  finishJob,
+  listInterruptedJobs,
+  deleteFinishedJobs,
+};
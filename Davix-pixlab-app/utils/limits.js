@@ -1,12 +1,20 @@
 const { sendError } = require('./errorResponse');
+const { parseDomainList } = require('./networkGuard');
 
 const MB = 1024 * 1024;
+const RESPONSIVE_BILLING_MODES = ['source', 'variant'];
 
 function parseIntEnv(name, fallback) {
   const parsed = parseInt(process.env[name], 10);
   return Number.isFinite(parsed) ? parsed : fallback;
 }
 
+// For caps where 0 or a negative value would be meaningless: those fall back too.
+function parsePositiveIntEnv(name, fallback) {
+  const parsed = parseInt(process.env[name], 10);
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
+}
+
 function toBytesFromMb(valueMb, fallbackMb) {
   if (valueMb === null || valueMb === undefined) return fallbackMb * MB;
   const parsed = parseFloat(valueMb);
@@ -32,6 +40,15 @@ function normalizePlan(plan) {
     allow_image: plan.allow_image !== undefined ? normalizeBool(plan.allow_image) : null,
     allow_pdf: plan.allow_pdf !== undefined ? normalizeBool(plan.allow_pdf) : null,
     allow_tools: plan.allow_tools !== undefined ? normalizeBool(plan.allow_tools) : null,
+    h2i_allowed_domains: plan.h2i_allowed_domains ? parseDomainList(plan.h2i_allowed_domains) : null,
+    h2i_batch_max_items: normalizeInt(plan.h2i_batch_max_items),
+    h2i_batch_concurrency: normalizeInt(plan.h2i_batch_concurrency),
+    h2i_max_animation_frames: normalizeInt(plan.h2i_max_animation_frames),
+    h2i_force_safe_mode: plan.h2i_force_safe_mode !== undefined ? normalizeBool(plan.h2i_force_safe_mode) : null,
+    image_pipeline_max_steps: normalizeInt(plan.image_pipeline_max_steps),
+    image_responsive_billing: RESPONSIVE_BILLING_MODES.includes(plan.image_responsive_billing)
+      ? plan.image_responsive_billing
+      : null,
   };
 }
 
@@ -46,6 +63,10 @@ const allowedImageMimes = new Set([
   'image/gif',
   'image/avif',
   'image/svg+xml',
+  'image/heif',
+  'image/tiff',
+  'image/bmp',
+  'image/jxl',
 ]);
 
 function resolveTimeoutMs(apiKeyType, plan) {
@@ -64,6 +85,11 @@ function resolveTimeoutMs(apiKeyType, plan) {
   return fallback;
 }
 
+// Async jobs replay the request in the background, so they get their own, longer budget.
+function getJobTimeoutMs() {
+  return parseIntEnv('JOB_TIMEOUT_MS', 900_000);
+}
+
 function resolveEndpointAllowance(apiKeyType, plan, endpoint) {
   if (apiKeyType !== 'customer') return true;
   if (!plan) return true;
@@ -157,13 +183,59 @@ function resolveUploadLimits(apiKeyType, plan, endpoint) {
   };
 }
 
+function resolveH2iBatchLimits(apiKeyType, plan) {
+  // Public keys are capped per call by the daily IP limit, so batching is not offered to them.
+  if (apiKeyType === 'public') return { maxItems: 0, concurrency: 1 };
+  const maxItems = parseIntEnv('H2I_BATCH_MAX_ITEMS', 50);
+  const concurrency = parseIntEnv('H2I_BATCH_CONCURRENCY', 2);
+  if (apiKeyType === 'customer') {
+    return {
+      maxItems: plan?.h2i_batch_max_items ?? maxItems,
+      concurrency: Math.max(plan?.h2i_batch_concurrency ?? concurrency, 1),
+    };
+  }
+  return { maxItems, concurrency: Math.max(concurrency, 1) };
+}
+
+function resolveH2iAnimationLimits(apiKeyType, plan) {
+  if (apiKeyType === 'public') return { maxFrames: parseIntEnv('PUBLIC_H2I_MAX_ANIMATION_FRAMES', 20) };
+  const maxFrames = parseIntEnv('H2I_MAX_ANIMATION_FRAMES', 60);
+  if (apiKeyType === 'customer') return { maxFrames: plan?.h2i_max_animation_frames ?? maxFrames };
+  return { maxFrames };
+}
+
+function resolveH2iForceSafeMode(apiKeyType, plan) {
+  // Opt-in, so existing public-key renders keep running scripts unless the operator turns it on.
+  if (apiKeyType === 'public') return process.env.PUBLIC_H2I_FORCE_SAFE_MODE === 'true';
+  if (apiKeyType === 'customer') return plan?.h2i_force_safe_mode === true;
+  return false;
+}
+
+function resolveImagePipelineLimits(apiKeyType, plan) {
+  if (apiKeyType === 'public') return { maxSteps: parseIntEnv('PUBLIC_IMAGE_PIPELINE_MAX_STEPS', 10) };
+  const maxSteps = parseIntEnv('IMAGE_PIPELINE_MAX_STEPS', 30);
+  if (apiKeyType === 'customer') return { maxSteps: plan?.image_pipeline_max_steps ?? maxSteps };
+  return { maxSteps };
+}
+
+function resolveImageResponsiveLimits(apiKeyType, plan) {
+  const maxVariants = parseIntEnv(
+    apiKeyType === 'public' ? 'PUBLIC_IMAGE_RESPONSIVE_MAX_VARIANTS' : 'IMAGE_RESPONSIVE_MAX_VARIANTS',
+    apiKeyType === 'public' ? 6 : 24
+  );
+  const envBilling = process.env.IMAGE_RESPONSIVE_BILLING;
+  const defaultBilling = RESPONSIVE_BILLING_MODES.includes(envBilling) ? envBilling : 'source';
+  if (apiKeyType === 'customer') return { maxVariants, billing: plan?.image_responsive_billing ?? defaultBilling };
+  return { maxVariants, billing: defaultBilling };
+}
+
 function resolveRequestLimits(req, endpoint) {
   if (!req._resolvedLimits) req._resolvedLimits = {};
   if (req._resolvedLimits[endpoint]) return req._resolvedLimits[endpoint];
 
   const normalizedPlan = normalizePlan(req.customerKey?.plan || null);
   const upload = resolveUploadLimits(req.apiKeyType, normalizedPlan, endpoint);
-  const timeoutMs = resolveTimeoutMs(req.apiKeyType, normalizedPlan);
+  const timeoutMs = req.asyncJob ? getJobTimeoutMs() : resolveTimeoutMs(req.apiKeyType, normalizedPlan);
   const allowed = resolveEndpointAllowance(req.apiKeyType, normalizedPlan, endpoint);
 
   const resolved = {
@@ -171,6 +243,12 @@ function resolveRequestLimits(req, endpoint) {
     timeoutMs,
     allowed,
     planSlug: normalizedPlan?.plan_slug || null,
+    h2iAllowedDomains: normalizedPlan?.h2i_allowed_domains || null,
+    h2iBatch: resolveH2iBatchLimits(req.apiKeyType, normalizedPlan),
+    h2iAnimation: resolveH2iAnimationLimits(req.apiKeyType, normalizedPlan),
+    h2iForceSafeMode: resolveH2iForceSafeMode(req.apiKeyType, normalizedPlan),
+    imagePipeline: resolveImagePipelineLimits(req.apiKeyType, normalizedPlan),
+    imageResponsive: resolveImageResponsiveLimits(req.apiKeyType, normalizedPlan),
   };
 
   req._resolvedLimits[endpoint] = resolved;
@@ -199,6 +277,8 @@ function createTimeoutMiddleware(endpoint) {
 
     let timer = setTimeout(() => {
       if (!res.headersSent) {
+        // captureCallbacks skips this response: it is not the request's result.
+        req.timedOut = true;
         sendError(res, 503, 'timeout', 'The request took too long to complete.', {
           hint: 'Try again with a smaller payload or fewer operations.',
         });
@@ -222,8 +302,10 @@ function createTimeoutMiddleware(endpoint) {
 
 module.exports = {
   MB,
+  parsePositiveIntEnv,
   allowedImageMimes,
   getBodyParserLimit,
+  getJobTimeoutMs,
   resolveRequestLimits,
   createEndpointGuard,
   createTimeoutMiddleware,
@@ -0,0 +1,115 @@
+const fs = require('fs');
+const { Marked } = require('marked');
+const hljs = require('highlight.js');
+const sanitizeHtml = require('sanitize-html');
+const { escapeHtml } = require('./templateEngine');
+
+const BASE_CSS = `
+  * { box-sizing: border-box; }
+  body { margin: 0; padding: 32px; font: 16px/1.6 -apple-system, "Segoe UI", Helvetica, Arial, sans-serif; }
+  h1, h2, h3, h4, h5, h6 { margin: 1.4em 0 0.6em; line-height: 1.25; }
+  h1, h2 { padding-bottom: 0.3em; border-bottom: 1px solid var(--md-border); }
+  p, ul, ol, blockquote, pre, table { margin: 0 0 1em; }
+  a { color: var(--md-link); }
+  img { max-width: 100%; }
+  code { font: 0.9em/1.45 ui-monospace, "SFMono-Regular", Menlo, Consolas, monospace; }
+  :not(pre) > code { padding: 0.15em 0.35em; border-radius: 4px; background: var(--md-code-bg); }
+  pre { padding: 16px; overflow: auto; border-radius: 6px; background: var(--md-code-bg); }
+  pre code.hljs { padding: 0; background: transparent; }
+  blockquote { padding: 0 1em; color: var(--md-muted); border-left: 4px solid var(--md-border); }
+  table { border-collapse: collapse; }
+  th, td { padding: 6px 13px; border: 1px solid var(--md-border); }
+  hr { border: 0; border-top: 1px solid var(--md-border); }
+  li > input[type="checkbox"] { margin-right: 0.4em; }
+`;
+
+function readHighlightTheme(name) {
+  return fs.readFileSync(require.resolve(`highlight.js/styles/${name}.css`), 'utf8');
+}
+
+const MARKDOWN_THEMES = {
+  github: `
+    :root { --md-border: #d0d7de; --md-link: #0969da; --md-code-bg: #f6f8fa; --md-muted: #57606a; }
+    body { color: #1f2328; background: #ffffff; }
+    ${BASE_CSS}
+    ${readHighlightTheme('github')}
+  `,
+  'github-dark': `
+    :root { --md-border: #30363d; --md-link: #4493f8; --md-code-bg: #161b22; --md-muted: #9198a1; }
+    body { color: #e6edf3; background: #0d1117; }
+    ${BASE_CSS}
+    ${readHighlightTheme('github-dark')}
+  `,
+  // No styling beyond browser defaults; meant to be combined with the caller's css.
+  none: '',
+};
+
+const markdown = new Marked(
+  { gfm: true },
+  {
+    renderer: {
+      code({ text, lang }) {
+        const language = (lang || '').trim().split(/\s+/)[0].toLowerCase();
+        if (language && hljs.getLanguage(language)) {
+          const highlighted = hljs.highlight(text, { language, ignoreIllegals: true }).value;
+          return `<pre><code class="hljs language-${language}">${highlighted}</code></pre>\n`;
+        }
+        return `<pre><code class="hljs">${escapeHtml(text)}</code></pre>\n`;
+      },
+    },
+  }
+);
+
+// Markdown may carry raw HTML; only structural tags survive. Scripts, styles, iframes,
+// forms and event handlers are dropped before the page reaches the browser.
+const SANITIZE_OPTIONS = {
+  allowedTags: [
+    ...sanitizeHtml.defaults.allowedTags,
+    'img', 'del', 's', 'ins', 'sup', 'sub', 'details', 'summary', 'input', 'span',
+  ],
+  allowedAttributes: {
+    a: ['href', 'title', 'name'],
+    img: ['src', 'alt', 'title', 'width', 'height'],
+    th: ['align', 'colspan', 'rowspan'],
+    td: ['align', 'colspan', 'rowspan'],
+    ol: ['start'],
+    input: ['type', 'checked', 'disabled'],
+    code: ['class'],
+    span: ['class'],
+    details: ['open'],
+    '*': ['id'],
+  },
+  allowedClasses: {
+    code: ['hljs', 'language-*'],
+    span: ['hljs-*'],
+  },
+  allowedSchemes: ['http', 'https', 'mailto'],
+  allowedSchemesByTag: { img: ['http', 'https', 'data'] },
+  exclusiveFilter: frame => frame.tag === 'input' && frame.attribs.type !== 'checkbox',
+};
+
+/**
+ * Convert Markdown (GFM) to a complete, sanitized HTML document styled with a built-in theme.
+ * `css` is appended after the theme so callers can override it.
+ */
+function renderMarkdownDocument(source, { theme = 'github', css = null, lang = 'en' } = {}) {
+  const body = sanitizeHtml(markdown.parse(source), SANITIZE_OPTIONS);
+  const styles = [MARKDOWN_THEMES[theme], css].filter(Boolean).join('\n');
+  return `<!DOCTYPE html>
+<html lang="${escapeHtml(lang)}">
+<head>
+<meta charset="UTF-8">
+${styles ? `<style>\n${styles}\n</style>` : ''}
+</head>
+<body>
+<main class="markdown-body">
+${body}
+</main>
+</body>
+</html>`;
+}
+
+module.exports = {
+  MARKDOWN_THEMES,
+  renderMarkdownDocument,
+};
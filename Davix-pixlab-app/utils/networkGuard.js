@@ -0,0 +1,199 @@
+const dns = require('dns');
+const net = require('net');
+
+// Development escape hatch so renders can target local test servers; never honoured in production.
+const allowPrivateHosts =
+  process.env.H2I_ALLOW_PRIVATE_HOSTS === 'true' && process.env.NODE_ENV !== 'production';
+
+// CIDR ranges that rendered pages must never reach (loopback, RFC1918, link-local/metadata, etc.)
+const BLOCKED_IPV4_RANGES = [
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.0.2.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['198.51.100.0', 24],
+  ['203.0.113.0', 24],
+  ['224.0.0.0', 4],
+  ['240.0.0.0', 4],
+];
+
+function ipv4ToInt(ip) {
+  return ip.split('.').reduce((acc, part) => (acc << 8) + parseInt(part, 10), 0) >>> 0;
+}
+
+function isBlockedIpv4(ip) {
+  const value = ipv4ToInt(ip);
+  return BLOCKED_IPV4_RANGES.some(([base, bits]) => {
+    const mask = bits === 0 ? 0 : (~0 << (32 - bits)) >>> 0;
+    return (value & mask) === (ipv4ToInt(base) & mask);
+  });
+}
+
+// Expand an IPv6 address to its eight hextets (embedded dotted IPv4 tails included).
+function ipv6Hextets(ip) {
+  let address = ip;
+  const dotted = address.match(/^(.*:)(\d+\.\d+\.\d+\.\d+)$/);
+  if (dotted) {
+    const value = ipv4ToInt(dotted[2]);
+    address = `${dotted[1]}${(value >>> 16).toString(16)}:${(value & 0xffff).toString(16)}`;
+  }
+  const [head, tail] = address.split('::');
+  const headParts = head ? head.split(':') : [];
+  const tailParts = tail ? tail.split(':') : [];
+  const missing = address.includes('::') ? 8 - headParts.length - tailParts.length : 0;
+  return [...headParts, ...Array(missing).fill('0'), ...tailParts].map(part => parseInt(part, 16));
+}
+
+function hextetsToIpv4(high, low) {
+  return `${high >> 8}.${high & 0xff}.${low >> 8}.${low & 0xff}`;
+}
+
+function isBlockedIpv6(ip) {
+  const normalized = ip.toLowerCase().replace(/^\[|\]$/g, '');
+  const hextets = ipv6Hextets(normalized);
+  if (hextets.length !== 8 || hextets.some(part => !Number.isFinite(part))) return true;
+
+  // Checked on the parsed hextets so uncanonical spellings (0:0:0:0:0:0:0:1, 0000::1) still match.
+  const isZeroPrefix = hextets.slice(0, 7).every(part => part === 0);
+  if (isZeroPrefix && (hextets[7] === 0 || hextets[7] === 1)) return true; // unspecified, loopback
+  // IPv4-compatible (::/96), IPv4-mapped (::ffff:0:0/96) and IPv4-translated (::ffff:0:0:0/96)
+  // addresses carry an IPv4 address in their low 32 bits.
+  const embeddedIpv4 = hextetsToIpv4(hextets[6], hextets[7]);
+  if (hextets.slice(0, 6).every(part => part === 0)) return isBlockedIpv4(embeddedIpv4);
+  if (hextets.slice(0, 5).every(part => part === 0) && hextets[5] === 0xffff) return isBlockedIpv4(embeddedIpv4);
+  if (hextets.slice(0, 4).every(part => part === 0) && hextets[4] === 0xffff && hextets[5] === 0) {
+    return isBlockedIpv4(embeddedIpv4);
+  }
+  const [firstHextet, secondHextet] = hextets;
+  // NAT64 (64:ff9b::/96) and 6to4 (2002::/16) carry IPv4 addresses that gateways will connect to.
+  if (firstHextet === 0x64 && secondHextet === 0xff9b && hextets.slice(2, 6).every(part => part === 0)) return true;
+  if (firstHextet === 0x2002) return true;
+  if ((firstHextet & 0xfe00) === 0xfc00) return true; // fc00::/7 unique local
+  if ((firstHextet & 0xffc0) === 0xfe80) return true; // fe80::/10 link-local
+  if ((firstHextet & 0xff00) === 0xff00) return true; // ff00::/8 multicast
+  return false;
+}
+
+function isPrivateAddress(ip) {
+  const family = net.isIP(ip);
+  if (family === 4) return isBlockedIpv4(ip);
+  if (family === 6) return isBlockedIpv6(ip);
+  return true;
+}
+
+/**
+ * Whether a connection to `ip` must be refused (honours H2I_ALLOW_PRIVATE_HOSTS). Used on the
+ * address a connection actually reached, after the hostname was checked.
+ */
+function isBlockedAddress(ip) {
+  if (allowPrivateHosts) return false;
+  return isPrivateAddress(String(ip || '').replace(/^\[|\]$/g, ''));
+}
+
+function normalizeHostname(hostname) {
+  return (hostname || '').toString().trim().toLowerCase().replace(/^\[|\]$/g, '').replace(/\.$/, '');
+}
+
+function parseDomainList(value) {
+  if (!value) return [];
+  const list = Array.isArray(value) ? value : value.toString().split(',');
+  return list.map(normalizeHostname).filter(Boolean);
+}
+
+// Entries match the host itself and any subdomain; a leading "*." is accepted for readability.
+function hostMatchesAllowlist(hostname, allowlist) {
+  const host = normalizeHostname(hostname);
+  return allowlist.some(entry => {
+    const domain = entry.replace(/^\*\./, '');
+    return host === domain || host.endsWith(`.${domain}`);
+  });
+}
+
+/**
+ * Combine a plan allowlist with a caller-supplied one. The request can only narrow the plan.
+ * Returns null when neither side restricts domains.
+ */
+function resolveAllowlist(planDomains, requestDomains) {
+  const plan = parseDomainList(planDomains);
+  const requested = parseDomainList(requestDomains);
+  if (!plan.length) return requested.length ? requested : null;
+  if (!requested.length) return plan;
+  return requested.filter(domain => hostMatchesAllowlist(domain.replace(/^\*\./, ''), plan));
+}
+
+async function lookupHost(hostname) {
+  const host = normalizeHostname(hostname);
+  if (net.isIP(host)) return [host];
+  const records = await dns.promises.lookup(host, { all: true, verbatim: true });
+  return records.map(record => record.address);
+}
+
+/**
+ * Resolve a hostname and report whether any of its addresses fall in a private range.
+ * Unresolvable hosts are treated as blocked.
+ */
+async function checkHostSafety(hostname) {
+  try {
+    const addresses = await lookupHost(hostname);
+    if (!addresses.length) return { ok: false, reason: 'dns_failed', addresses };
+    const blocked = allowPrivateHosts ? null : addresses.find(isPrivateAddress);
+    if (blocked) return { ok: false, reason: 'private_address', addresses };
+    return { ok: true, addresses };
+  } catch (err) {
+    return { ok: false, reason: 'dns_failed', addresses: [] };
+  }
+}
+
+/**
+ * Validate a caller-supplied URL before the server fetches it: http(s) only, no embedded
+ * credentials, inside the allowlist (if any) and resolving to public addresses only.
+ */
+async function validatePublicUrl(rawUrl, allowlist = null) {
+  let parsed;
+  try {
+    parsed = new URL(String(rawUrl || '').trim());
+  } catch (e) {
+    return { ok: false, reason: 'invalid_url' };
+  }
+  if (!['http:', 'https:'].includes(parsed.protocol)) return { ok: false, reason: 'scheme_not_allowed' };
+  if (parsed.username || parsed.password) return { ok: false, reason: 'credentials_not_allowed' };
+  if (allowlist && !hostMatchesAllowlist(parsed.hostname, allowlist)) {
+    return { ok: false, reason: 'domain_not_allowed' };
+  }
+
+  const safety = await checkHostSafety(parsed.hostname);
+  if (!safety.ok) return { ok: false, reason: safety.reason };
+  return { ok: true, url: parsed.toString(), addresses: safety.addresses };
+}
+
+/**
+ * A dns.lookup replacement that only ever returns the addresses already checked, so the
+ * connection can't be re-resolved (DNS rebinding) to a different host than the one validated.
+ * Pass it as the `lookup` option of http(s).request.
+ */
+function createPinnedLookup(addresses) {
+  return (hostname, options, callback) => {
+    const cb = typeof options === 'function' ? options : callback;
+    const opts = typeof options === 'object' && options ? options : {};
+    const records = addresses.map(address => ({ address, family: net.isIP(address) }));
+    if (opts.all) return cb(null, records);
+    return cb(null, records[0].address, records[0].family);
+  };
+}
+
+module.exports = {
+  isPrivateAddress,
+  isBlockedAddress,
+  parseDomainList,
+  hostMatchesAllowlist,
+  resolveAllowlist,
+  checkHostSafety,
+  validatePublicUrl,
+  createPinnedLookup,
+};
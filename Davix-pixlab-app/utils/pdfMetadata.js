@@ -0,0 +1,51 @@
+const PDF_METADATA_FIELDS = ['title', 'author', 'subject', 'keywords', 'creator', 'producer', 'language'];
+const MAX_METADATA_CHARS = 1_000;
+const LANGUAGE_PATTERN = /^[A-Za-z]{2,8}(?:-[A-Za-z0-9]{1,8})*$/;
+
+/**
+ * Pick the PDF info fields shared by /v1/pdf action=metadata and h2i PDF renders.
+ * `keywords` may be a string (kept as one entry, like /v1/pdf) or an array.
+ * Returns { metadata } with only the fields that were sent, or { error: message }.
+ */
+function pickPdfMetadata(body = {}) {
+  const metadata = {};
+  for (const field of PDF_METADATA_FIELDS) {
+    const value = body[field];
+    if (value === undefined || value === null || value === '') continue;
+    if (field === 'keywords' && Array.isArray(value)) {
+      if (!value.every(item => typeof item === 'string') || value.join(' ').length > MAX_METADATA_CHARS) {
+        return { error: `keywords must be strings totalling at most ${MAX_METADATA_CHARS} characters.` };
+      }
+      metadata.keywords = value;
+      continue;
+    }
+    if (typeof value !== 'string' || value.length > MAX_METADATA_CHARS) {
+      return { error: `${field} must be a string of at most ${MAX_METADATA_CHARS} characters.` };
+    }
+    if (field === 'language' && !LANGUAGE_PATTERN.test(value)) {
+      return { error: 'language must be a BCP 47 language tag such as en-US.' };
+    }
+    metadata[field] = field === 'keywords' ? [value] : value;
+  }
+  return { metadata };
+}
+
+/**
+ * Write picked metadata onto a pdf-lib document. `displayTitle` asks viewers to show the
+ * title instead of the file name, which accessibility checkers expect for tagged PDFs.
+ */
+function applyPdfMetadata(doc, metadata, { displayTitle = false } = {}) {
+  if (metadata.title) doc.setTitle(metadata.title, { showInWindowTitleBar: displayTitle });
+  if (metadata.author) doc.setAuthor(metadata.author);
+  if (metadata.subject) doc.setSubject(metadata.subject);
+  if (metadata.keywords) doc.setKeywords(metadata.keywords);
+  if (metadata.creator) doc.setCreator(metadata.creator);
+  if (metadata.producer) doc.setProducer(metadata.producer);
+  if (metadata.language) doc.setLanguage(metadata.language);
+}
+
+module.exports = {
+  PDF_METADATA_FIELDS,
+  pickPdfMetadata,
+  applyPdfMetadata,
+};
@@ -0,0 +1,217 @@
+// Minimal mustache-style renderer for stored h2i templates.
+//   {{ path }}            HTML-escaped value (dotted paths, array indexes: items.0.name)
+//   {{{ path }}}          raw value, inserted as-is
+//   {{#if path}}…{{else}}…{{/if}}, {{#unless path}}…{{/unless}}
+//   {{#each path}}…{{else}}…{{/each}} with this, @index, @key, @first, @last
+//   {{! comment }}
+const TAG_PATTERN = /\{\{\{\s*([\s\S]+?)\s*\}\}\}|\{\{\s*([\s\S]+?)\s*\}\}/g;
+const BLOCK_KINDS = ['if', 'unless', 'each'];
+const PATH_PATTERN = /^(?:this|@index|@key|@first|@last|[A-Za-z_$][\w$-]*(?:\.[\w$-]+)*)$/;
+const DEFAULT_MAX_OUTPUT_CHARS = 1_000_000;
+
+const HTML_ESCAPES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;',
+  '`': '&#96;',
+  '=': '&#61;',
+};
+
+function templateError(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+function escapeHtml(value) {
+  return String(value).replace(/[&<>"'`=]/g, ch => HTML_ESCAPES[ch]);
+}
+
+function assertPath(path, offset) {
+  if (!PATH_PATTERN.test(path)) {
+    throw templateError('template_syntax_error', `Invalid expression "{{${path}}}" at offset ${offset}.`);
+  }
+}
+
+function parseTemplate(source) {
+  const root = { body: [] };
+  const stack = [];
+  let current = root.body;
+  let lastIndex = 0;
+  let match;
+
+  TAG_PATTERN.lastIndex = 0;
+  while ((match = TAG_PATTERN.exec(source)) !== null) {
+    if (match.index > lastIndex) current.push({ type: 'text', value: source.slice(lastIndex, match.index) });
+    lastIndex = TAG_PATTERN.lastIndex;
+
+    if (match[1] !== undefined) {
+      assertPath(match[1], match.index);
+      current.push({ type: 'var', path: match[1], raw: true });
+      continue;
+    }
+
+    const tag = match[2];
+    if (tag.startsWith('!')) continue;
+
+    if (tag.startsWith('#')) {
+      const [kind, path = '', ...rest] = tag.slice(1).trim().split(/\s+/);
+      if (!BLOCK_KINDS.includes(kind) || !path || rest.length) {
+        throw templateError('template_syntax_error', `Invalid block "{{${tag}}}" at offset ${match.index}.`);
+      }
+      assertPath(path, match.index);
+      const block = { type: 'block', kind, path, body: [], inverse: null, offset: match.index };
+      current.push(block);
+      stack.push(block);
+      current = block.body;
+      continue;
+    }
+
+    if (tag === 'else') {
+      const open = stack[stack.length - 1];
+      if (!open || open.inverse) {
+        throw templateError('template_syntax_error', `Unexpected {{else}} at offset ${match.index}.`);
+      }
+      open.inverse = [];
+      current = open.inverse;
+      continue;
+    }
+
+    if (tag.startsWith('/')) {
+      const kind = tag.slice(1).trim();
+      const open = stack.pop();
+      if (!open || open.kind !== kind) {
+        throw templateError('template_syntax_error', `Unexpected {{/${kind}}} at offset ${match.index}.`);
+      }
+      const parent = stack[stack.length - 1];
+      current = parent ? (parent.inverse || parent.body) : root.body;
+      continue;
+    }
+
+    assertPath(tag, match.index);
+    current.push({ type: 'var', path: tag, raw: false });
+  }
+
+  if (stack.length) {
+    const open = stack[stack.length - 1];
+    throw templateError('template_syntax_error', `Unclosed {{#${open.kind}}} opened at offset ${open.offset}.`);
+  }
+  if (lastIndex < source.length) current.push({ type: 'text', value: source.slice(lastIndex) });
+  return root.body;
+}
+
+function lookup(value, segments) {
+  let cursor = value;
+  for (const segment of segments) {
+    if (cursor === null || cursor === undefined) return undefined;
+    if (!Object.prototype.hasOwnProperty.call(Object(cursor), segment)) return undefined;
+    cursor = cursor[segment];
+  }
+  return cursor;
+}
+
+// Names resolve against the innermost scope first, then fall back to enclosing scopes.
+function resolvePath(path, scopes) {
+  const frame = scopes[scopes.length - 1];
+  if (path.startsWith('@')) return frame.meta ? frame.meta[path.slice(1)] : undefined;
+  if (path === 'this') return frame.value;
+
+  const segments = path.split('.');
+  if (segments[0] === 'this') return lookup(frame.value, segments.slice(1));
+
+  for (let i = scopes.length - 1; i >= 0; i--) {
+    const scopeValue = scopes[i].value;
+    if (scopeValue !== null && typeof scopeValue === 'object' && Object.prototype.hasOwnProperty.call(scopeValue, segments[0])) {
+      return lookup(scopeValue, segments);
+    }
+  }
+  return undefined;
+}
+
+function isTruthy(value) {
+  if (Array.isArray(value)) return value.length > 0;
+  return Boolean(value);
+}
+
+function stringify(value) {
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
+function renderNodes(nodes, scopes, state) {
+  for (const node of nodes) {
+    if (node.type === 'text') {
+      emit(state, node.value);
+    } else if (node.type === 'var') {
+      const text = stringify(resolvePath(node.path, scopes));
+      emit(state, node.raw ? text : escapeHtml(text));
+    } else {
+      renderBlock(node, scopes, state);
+    }
+  }
+}
+
+function renderBlock(node, scopes, state) {
+  const value = resolvePath(node.path, scopes);
+
+  if (node.kind === 'if' || node.kind === 'unless') {
+    const pass = node.kind === 'if' ? isTruthy(value) : !isTruthy(value);
+    if (pass) renderNodes(node.body, scopes, state);
+    else if (node.inverse) renderNodes(node.inverse, scopes, state);
+    return;
+  }
+
+  const entries = Array.isArray(value)
+    ? value.map((item, index) => [index, item])
+    : value !== null && typeof value === 'object'
+      ? Object.entries(value)
+      : [];
+
+  if (!entries.length) {
+    if (node.inverse) renderNodes(node.inverse, scopes, state);
+    return;
+  }
+
+  entries.forEach(([key, item], index) => {
+    const meta = { index, key, first: index === 0, last: index === entries.length - 1 };
+    renderNodes(node.body, scopes.concat({ value: item, meta }), state);
+  });
+}
+
+function emit(state, text) {
+  state.length += text.length;
+  if (state.length > state.maxOutputChars) {
+    throw templateError(
+      'template_output_too_large',
+      `Rendered template exceeds maximum length of ${state.maxOutputChars} characters.`
+    );
+  }
+  state.parts.push(text);
+}
+
+/**
+ * Render `source` against `data`. Throws errors with code template_syntax_error or
+ * template_output_too_large; unknown names render as empty strings.
+ */
+function renderTemplate(source, data = {}, { maxOutputChars = DEFAULT_MAX_OUTPUT_CHARS } = {}) {
+  const nodes = parseTemplate(String(source || ''));
+  const state = { parts: [], length: 0, maxOutputChars };
+  renderNodes(nodes, [{ value: data || {}, meta: null }], state);
+  return state.parts.join('');
+}
+
+/**
+ * Parse without rendering; used to reject broken templates when they are saved.
+ */
+function validateTemplate(source) {
+  parseTemplate(String(source || ''));
+}
+
+module.exports = {
+  escapeHtml,
+  renderTemplate,
+  validateTemplate,
+};
@@ -2,6 +2,7 @@ const multer = require('multer');
 const sharp = require('sharp');
 const { sendError } = require('./errorResponse');
 const { resolveRequestLimits } = require('./limits');
+const { resolveUploadMimeType, canDecodeMimeType } = require('./imageTypes');
 
 function parseSvgDimensions(buffer) {
   try {
@@ -32,6 +33,89 @@ function parseSvgDimensions(buffer) {
   return null;
 }
 
+const MAX_TIFF_PAGES = 10_000;
+
+// TIFF: the largest ImageWidth (256) / ImageLength (257) over every IFD (page) in the chain, so a
+// small first page can't hide a larger one. Null while any IFD sits past the bytes read so far.
+function readTiffHeader(buf) {
+  if (buf.length < 8) return null;
+  const le = buf[0] === 0x49;
+  const u16 = offset => (le ? buf.readUInt16LE(offset) : buf.readUInt16BE(offset));
+  const u32 = offset => (le ? buf.readUInt32LE(offset) : buf.readUInt32BE(offset));
+  if (u16(2) !== 42) return null; // BigTIFF (43) is left to the full decode
+  let width = 0;
+  let height = 0;
+  const seen = new Set();
+  for (let ifd = u32(4); ifd !== 0; ifd = u32(ifd + 2 + u16(ifd) * 12)) {
+    if (seen.has(ifd) || seen.size >= MAX_TIFF_PAGES) break;
+    seen.add(ifd);
+    if (ifd + 2 > buf.length) return null;
+    const count = u16(ifd);
+    if (ifd + 2 + count * 12 + 4 > buf.length) return null;
+    let pageWidth = 0;
+    let pageHeight = 0;
+    for (let i = 0; i < count; i++) {
+      const entry = ifd + 2 + i * 12;
+      const tag = u16(entry);
+      if (tag !== 256 && tag !== 257) continue;
+      const value = u16(entry + 2) === 3 ? u16(entry + 8) : u32(entry + 8);
+      if (tag === 256) pageWidth = value;
+      else pageHeight = value;
+    }
+    width = Math.max(width, pageWidth);
+    height = Math.max(height, pageHeight);
+  }
+  return width && height ? { width, height } : null;
+}
+
+// HEIF/AVIF: `ispe` property boxes. Grid images also list tile sizes, so the largest one wins.
+function readHeifHeader(buf) {
+  let width = 0;
+  let height = 0;
+  let offset = buf.indexOf('ispe');
+  while (offset !== -1 && offset + 16 <= buf.length) {
+    width = Math.max(width, buf.readUInt32BE(offset + 8));
+    height = Math.max(height, buf.readUInt32BE(offset + 12));
+    offset = buf.indexOf('ispe', offset + 4);
+  }
+  return width && height ? { width, height } : null;
+}
+
+// JPEG XL: SizeHeader at the start of the codestream (bare, or inside a jxlc/jxlp box).
+function readJxlHeader(buf) {
+  let start = 0;
+  if (buf[0] !== 0xff) {
+    const jxlc = buf.indexOf('jxlc');
+    const jxlp = buf.indexOf('jxlp');
+    if (jxlc !== -1) start = jxlc + 4;
+    else if (jxlp !== -1) start = jxlp + 8;
+    else return null;
+  }
+  if (buf[start] !== 0xff || buf[start + 1] !== 0x0a) return null;
+  let bit = (start + 2) * 8;
+  const read = count => {
+    let value = 0;
+    for (let i = 0; i < count; i++, bit++) {
+      if ((bit >> 3) >= buf.length) throw new RangeError('truncated');
+      value |= ((buf[bit >> 3] >> (bit & 7)) & 1) << i;
+    }
+    return value;
+  };
+  const readSize = () => [9, 13, 18, 30][read(2)];
+  const ratios = [null, [1, 1], [12, 10], [4, 3], [3, 2], [16, 9], [5, 4], [2, 1]];
+  try {
+    const small = read(1);
+    const height = small ? (read(5) + 1) * 8 : 1 + read(readSize());
+    const ratio = read(3);
+    let width;
+    if (ratio) width = Math.floor((height * ratios[ratio][0]) / ratios[ratio][1]);
+    else width = small ? (read(5) + 1) * 8 : 1 + read(readSize());
+    return { width, height };
+  } catch (err) {
+    return null;
+  }
+}
+
 function readRasterHeader(prefix, mimetype) {
   const buf = prefix;
   // PNG: width/height at bytes 16-23 (big-endian)
@@ -77,9 +161,19 @@ function readRasterHeader(prefix, mimetype) {
       return { width, height };
     }
   }
+  if (mimetype === 'image/tiff') return readTiffHeader(buf);
+  // BMP: BITMAPINFOHEADER (or newer) width/height; height is negative for top-down bitmaps
+  if (mimetype === 'image/bmp' && buf.length >= 26) {
+    if (buf.readUInt32LE(14) === 12) return { width: buf.readUInt16LE(18), height: buf.readUInt16LE(20) };
+    return { width: Math.abs(buf.readInt32LE(18)), height: Math.abs(buf.readInt32LE(22)) };
+  }
+  if (mimetype === 'image/heif' || mimetype === 'image/avif') return readHeifHeader(buf);
+  if (mimetype === 'image/jxl') return readJxlHeader(buf);
   return null;
 }
 
+const HEADER_PREFIX_BYTES = 64 * 1024;
+
 class UploadLimitError extends Error {
   constructor(code, status, message, details = null) {
     super(message || code);
@@ -90,7 +184,7 @@ class UploadLimitError extends Error {
 }
 
 function createMemoryStorageWithLimits({ uploadLimits, shouldCheckDimensions }) {
-  const verifyMimes = new Set(['image/jpeg', 'image/webp', 'image/avif']);
+  const verifyMimes = new Set(['image/jpeg', 'image/webp', 'image/avif', 'image/heif', 'image/tiff']);
 
   return {
     _handleFile(req, file, cb) {
@@ -125,16 +219,18 @@ function createMemoryStorageWithLimits({ uploadLimits, shouldCheckDimensions })
           );
         }
         chunks.push(chunk);
+        // The prefix identifies the real file type and, for dimension checks, the image size.
+        if (header.length < HEADER_PREFIX_BYTES) {
+          header = Buffer.concat([header, chunk]).subarray(0, HEADER_PREFIX_BYTES);
+        }
 
-        if (uploadLimits.maxDimensionPx && shouldCheckDimensions(file)) {
-          // accumulate only until header parsing is possible
-          header = Buffer.concat([header, chunk]).slice(0, 64 * 1024); // cap prefix to 64KB
-          const isSvg = (file.mimetype || '').includes('svg');
+        if (uploadLimits.maxDimensionPx && shouldCheckDimensions(file) && !headerDimensionsFound) {
+          const mimetype = resolveUploadMimeType(header, file.mimetype);
           let dims = null;
-          if (isSvg) {
+          if (mimetype === 'image/svg+xml') {
             dims = parseSvgDimensions(header);
           } else {
-            dims = readRasterHeader(header, file.mimetype || '');
+            dims = readRasterHeader(header, mimetype);
           }
           if (dims && dims.width && dims.height) {
             headerDimensionsFound = true;
@@ -156,19 +252,28 @@ function createMemoryStorageWithLimits({ uploadLimits, shouldCheckDimensions })
         if (aborted) return;
         const buffer = Buffer.concat(chunks);
         const shouldVerifyDimensions = uploadLimits.maxDimensionPx && shouldCheckDimensions(file);
-        const mimetype = (file.mimetype || '').toLowerCase();
+        const mimetype = resolveUploadMimeType(header, file.mimetype);
         const needsVerification = verifyMimes.has(mimetype);
-        if (shouldVerifyDimensions && (needsVerification || !headerDimensionsFound)) {
+        // Types this libvips build can't decode are rejected by the route with 415 instead.
+        if (shouldVerifyDimensions && canDecodeMimeType(mimetype) && (needsVerification || !headerDimensionsFound)) {
           try {
-            const isSvg = mimetype.includes('svg');
-            let dims = null;
-            if (isSvg && !needsVerification) {
+            const isSvg = mimetype === 'image/svg+xml';
+            // sharp's metadata only describes one page, so TIFFs walk the whole IFD chain first.
+            let dims = mimetype === 'image/tiff' ? readTiffHeader(buffer) : null;
+            if (!dims && isSvg && !needsVerification) {
               dims = parseSvgDimensions(buffer);
-            } else {
+            } else if (!dims) {
               const meta = await sharp(buffer).metadata();
               if (meta && meta.width && meta.height) {
                 dims = { width: meta.width, height: meta.height };
               }
+              // TIFFs the header walk can't read (BigTIFF): check each page through sharp instead.
+              const pages = mimetype === 'image/tiff' ? Math.min(meta?.pages || 1, MAX_TIFF_PAGES) : 1;
+              for (let page = 1; dims && page < pages; page++) {
+                const pageMeta = await sharp(buffer, { page }).metadata();
+                dims.width = Math.max(dims.width, pageMeta.width || 0);
+                dims.height = Math.max(dims.height, pageMeta.height || 0);
+              }
             }
             if (dims && dims.width && dims.height) {
               if (dims.width > uploadLimits.maxDimensionPx || dims.height > uploadLimits.maxDimensionPx) {
@@ -194,7 +299,7 @@ function createMemoryStorageWithLimits({ uploadLimits, shouldCheckDimensions })
           buffer,
           size: buffer.length,
           encoding: file.encoding,
-          mimetype: file.mimetype,
+          mimetype,
           originalname: file.originalname,
           fieldname: file.fieldname,
         });
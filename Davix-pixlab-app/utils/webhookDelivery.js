@@ -0,0 +1,303 @@
+const http = require('http');
+const https = require('https');
+const { v4: uuidv4 } = require('uuid');
+const { sendError } = require('./errorResponse');
+const { validatePublicUrl, createPinnedLookup } = require('./networkGuard');
+const {
+  readCallbackUrl,
+  checkCallbackUrl,
+  signWebhook,
+  getWebhookSecret,
+  createDelivery,
+  claimDueDelivery,
+  recordDeliveryAttempt,
+  requeueInterruptedDeliveries,
+  deleteOldDeliveries,
+} = require('./webhooks');
+
+const DEFAULT_CONCURRENCY = parseInt(process.env.WEBHOOK_CONCURRENCY, 10) || 2;
+const DEFAULT_POLL_INTERVAL_MS = parseInt(process.env.WEBHOOK_POLL_INTERVAL_MS, 10) || 5000;
+const DEFAULT_RETENTION_DAYS = parseInt(process.env.WEBHOOK_RETENTION_DAYS, 10) || 7;
+const WEBHOOK_TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS, 10) || 10_000;
+const WEBHOOK_MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 6;
+const WEBHOOK_RETRY_BASE_MS = parseInt(process.env.WEBHOOK_RETRY_BASE_MS, 10) || 30_000;
+const WEBHOOK_RETRY_MAX_MS = parseInt(process.env.WEBHOOK_RETRY_MAX_MS, 10) || 60 * 60 * 1000;
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+// A claim older than the send timeout plus this margin belongs to a process that is gone.
+const STALE_CLAIM_MARGIN_MS = 60_000;
+// The /v1 endpoints that do the work a caller waits for; management routes never call back.
+const CALLBACK_PATHS = ['/h2i', '/h2i/batch', '/image', '/pdf', '/tools'];
+
+let config = null;
+let activeWorkers = 0;
+let pollHandle = null;
+let pruneHandle = null;
+let started = false;
+
+// 30s, 1m, 2m, 4m, ... capped at WEBHOOK_RETRY_MAX_MS.
+function retryDelayMs(attempt) {
+  return Math.min(WEBHOOK_RETRY_BASE_MS * 2 ** (attempt - 1), WEBHOOK_RETRY_MAX_MS);
+}
+
+function buildEnvelope(deliveryId, event, data) {
+  return { id: deliveryId, event, created_at: new Date().toISOString(), data };
+}
+
+/**
+ * Store a webhook for delivery and wake the senders. Resolves to the delivery id.
+ */
+async function queueWebhook({
+  deliveryId = uuidv4(),
+  apiKeyType,
+  apiKeyId,
+  event,
+  callbackUrl,
+  data,
+  jobId = null,
+  requestId = null,
+}) {
+  await createDelivery({
+    deliveryId,
+    apiKeyId,
+    apiKeyType,
+    event,
+    jobId,
+    requestId,
+    callbackUrl,
+    payload: buildEnvelope(deliveryId, event, data),
+  });
+  kickWebhookDelivery();
+  return deliveryId;
+}
+
+function callbackRejection(req) {
+  if (req.apiKeyType === 'public') {
+    return { code: 'webhooks_not_allowed', message: 'Webhooks are not available for this API key.' };
+  }
+  if (req.apiKeyType === 'owner' && !process.env.WEBHOOK_OWNER_SECRET) {
+    return { code: 'webhooks_not_configured', message: 'WEBHOOK_OWNER_SECRET is not set.' };
+  }
+  return null;
+}
+
+/**
+ * `/v1/*` middleware: when a POST to a processing endpoint (CALLBACK_PATHS) carries `callback_url`,
+ * POST the final JSON response to it. The response itself gains a `webhook` object with the
+ * delivery id. Async jobs call back when the job finishes instead (see jobWorker), and timeout
+ * responses are not results, so neither is delivered here.
+ */
+function captureCallbacks(req, res, next) {
+  if (req.method !== 'POST' || !CALLBACK_PATHS.includes(req.path.replace(/\/+$/, ''))) return next();
+
+  // JSON and query parameters can be checked up front; multipart fields only exist once the route parsed them.
+  const earlyUrl = readCallbackUrl(req);
+  if (earlyUrl) {
+    const check = checkCallbackUrl(earlyUrl);
+    if (!check.ok) return sendError(res, 400, 'invalid_callback_url', check.message);
+  }
+
+  const originalJson = res.json.bind(res);
+  res.json = body => {
+    res.json = originalJson;
+    const rawUrl = readCallbackUrl(req);
+    // Requests rejected before authentication have no key to sign with.
+    if (!rawUrl || !req.apiKeyType || req.timedOut || !body || typeof body !== 'object' || Array.isArray(body)) {
+      return originalJson(body);
+    }
+
+    const check = checkCallbackUrl(rawUrl);
+    const rejection = check.ok
+      ? callbackRejection(req)
+      : { code: 'invalid_callback_url', message: check.message };
+    if (rejection) return originalJson({ ...body, webhook: { status: 'rejected', ...rejection } });
+
+    const deliveryId = uuidv4();
+    const data = {
+      request_id: req.requestId || null,
+      method: req.method,
+      path: req.originalUrl.split('?')[0],
+      http_status: res.statusCode,
+      response: body,
+    };
+    queueWebhook({
+      deliveryId,
+      apiKeyType: req.apiKeyType,
+      apiKeyId: req.apiKeyType === 'customer' ? req.customerKey.id : null,
+      event: 'request.completed',
+      callbackUrl: check.url,
+      data,
+      requestId: req.requestId,
+    }).catch(err => console.error(`[DAVIX][webhooks] failed to queue delivery ${deliveryId}`, err));
+
+    return originalJson({ ...body, webhook: { id: deliveryId, status: 'queued' } });
+  };
+  return next();
+}
+
+// POST the body over a connection pinned to the checked addresses, so the host can't re-resolve
+// to an internal address between the check and the request. Redirects are not followed. The
+// timeout bounds the whole attempt, which stale-claim recovery relies on.
+function postWebhook(url, addresses, headers, body) {
+  const target = new URL(url);
+  const transport = target.protocol === 'https:' ? https : http;
+  return new Promise((resolve, reject) => {
+    const request = transport.request(
+      target,
+      {
+        method: 'POST',
+        headers: { ...headers, 'content-length': Buffer.byteLength(body) },
+        lookup: createPinnedLookup(addresses),
+      },
+      response => {
+        clearTimeout(deadline);
+        response.resume();
+        resolve(response.statusCode);
+      }
+    );
+    const deadline = setTimeout(() => {
+      const err = new Error(`timed out after ${WEBHOOK_TIMEOUT_MS}ms`);
+      err.name = 'TimeoutError';
+      request.destroy(err);
+    }, WEBHOOK_TIMEOUT_MS);
+    request.on('error', err => {
+      clearTimeout(deadline);
+      reject(err);
+    });
+    request.end(body);
+  });
+}
+
+async function sendDelivery(row) {
+  const urlCheck = await validatePublicUrl(row.callback_url);
+  if (!urlCheck.ok) return { ok: false, permanent: true, error: `url_not_allowed: ${urlCheck.reason}` };
+
+  const secret = await getWebhookSecret(row.api_key_type, row.api_key_id);
+  if (!secret) return { ok: false, permanent: true, error: 'webhooks_not_configured' };
+
+  const body = typeof row.payload_json === 'string' ? row.payload_json : JSON.stringify(row.payload_json);
+  const timestamp = Math.floor(Date.now() / 1000);
+  try {
+    const httpStatus = await postWebhook(urlCheck.url, urlCheck.addresses, {
+      'content-type': 'application/json',
+      'user-agent': 'Davix-Pixlab-Webhooks/1',
+      'x-davix-webhook-id': row.delivery_id,
+      'x-davix-webhook-event': row.event,
+      'x-davix-webhook-timestamp': String(timestamp),
+      'x-davix-webhook-signature': signWebhook(secret, timestamp, body),
+    }, body);
+    const ok = httpStatus >= 200 && httpStatus < 300;
+    return { ok, httpStatus, error: ok ? null : `HTTP ${httpStatus}` };
+  } catch (err) {
+    return { ok: false, error: err.message };
+  }
+}
+
+async function runDelivery(row) {
+  const startedAt = Date.now();
+  let outcome;
+  try {
+    outcome = await sendDelivery(row);
+  } catch (err) {
+    outcome = { ok: false, error: err.message };
+  }
+
+  const attempt = Number(row.attempts || 0) + 1;
+  const retryInMs = outcome.ok || outcome.permanent || attempt >= WEBHOOK_MAX_ATTEMPTS ? null : retryDelayMs(attempt);
+  try {
+    const { state } = await recordDeliveryAttempt(row, { ...outcome, durationMs: Date.now() - startedAt, retryInMs });
+    const log = `[DAVIX][webhooks] delivery ${row.delivery_id}: state=${state}, attempt=${attempt}, ` +
+      `http_status=${outcome.httpStatus ?? 'none'}${outcome.error ? `, error=${outcome.error}` : ''}`;
+    if (state === 'failed') console.warn(log);
+    else console.log(log);
+  } catch (err) {
+    console.error(`[DAVIX][webhooks] failed to record attempt for ${row.delivery_id}`, err);
+  }
+}
+
+async function deliveryLoop() {
+  while (started) {
+    let row;
+    try {
+      row = await claimDueDelivery();
+    } catch (err) {
+      console.error('[DAVIX][webhooks] failed to claim delivery', err);
+      return;
+    }
+    if (!row) return;
+    await runDelivery(row);
+  }
+}
+
+function kickWebhookDelivery() {
+  if (!started) return;
+  while (activeWorkers < config.concurrency) {
+    activeWorkers += 1;
+    deliveryLoop().finally(() => {
+      activeWorkers -= 1;
+    });
+  }
+}
+
+async function requeueStaleDeliveries() {
+  try {
+    const count = await requeueInterruptedDeliveries(Math.ceil((WEBHOOK_TIMEOUT_MS + STALE_CLAIM_MARGIN_MS) / 1000));
+    if (count) console.warn(`[DAVIX][webhooks] requeued ${count} interrupted delivery(ies)`);
+  } catch (err) {
+    console.error('[DAVIX][webhooks] interrupted delivery recovery failed', err);
+  }
+}
+
+// Each poll first hands back deliveries whose sender died, then wakes the senders for due rows.
+function pollDeliveries() {
+  requeueStaleDeliveries().finally(kickWebhookDelivery);
+}
+
+async function pruneDeliveries() {
+  try {
+    const removed = await deleteOldDeliveries(config.retentionDays);
+    if (removed) console.log(`[DAVIX][webhooks] pruned ${removed} delivery log row(s)`);
+  } catch (err) {
+    console.error('[DAVIX][webhooks] prune failed', err);
+  }
+}
+
+function startWebhookDelivery({
+  concurrency = DEFAULT_CONCURRENCY,
+  pollIntervalMs = DEFAULT_POLL_INTERVAL_MS,
+  retentionDays = DEFAULT_RETENTION_DAYS,
+} = {}) {
+  if (started) return;
+  config = { concurrency, retentionDays };
+
+  requeueStaleDeliveries().finally(() => {
+    started = true;
+    kickWebhookDelivery();
+    pollHandle = setInterval(pollDeliveries, pollIntervalMs);
+    pruneHandle = setInterval(pruneDeliveries, PRUNE_INTERVAL_MS);
+    pruneDeliveries();
+  });
+
+  console.log(
+    `[DAVIX][webhooks] delivery scheduled: concurrency=${concurrency}, poll_interval_ms=${pollIntervalMs}, max_attempts=${WEBHOOK_MAX_ATTEMPTS}, retention_days=${retentionDays}`
+  );
+}
+
+function stopWebhookDelivery() {
+  started = false;
+  if (pollHandle) {
+    clearInterval(pollHandle);
+    pollHandle = null;
+  }
+  if (pruneHandle) {
+    clearInterval(pruneHandle);
+    pruneHandle = null;
+  }
+}
+
+module.exports = {
+  queueWebhook,
+  captureCallbacks,
+  kickWebhookDelivery,
+  startWebhookDelivery,
+  stopWebhookDelivery,
+};
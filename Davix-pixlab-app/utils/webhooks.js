@@ -0,0 +1,203 @@
+const crypto = require('crypto');
+const { query, pool } = require('../db');
+const { parseJsonColumn } = require('./h2iTemplates');
+
+const MAX_CALLBACK_URL_LENGTH = 2048;
+const SIGNATURE_VERSION = 'v1';
+
+const toJsonColumn = value => (value === null || value === undefined ? null : JSON.stringify(value));
+
+function readCallbackUrl(req) {
+  const value = req.body?.callback_url ?? req.query?.callback_url;
+  if (value === undefined || value === null || value === '') return null;
+  return String(value).trim();
+}
+
+/**
+ * Syntax checks done while the request is still open. Address checks (private ranges, DNS)
+ * run before every delivery attempt so a host can't be re-pointed after it was accepted.
+ */
+function checkCallbackUrl(value) {
+  if (value.length > MAX_CALLBACK_URL_LENGTH) {
+    return { ok: false, message: `callback_url must be at most ${MAX_CALLBACK_URL_LENGTH} characters.` };
+  }
+  let parsed;
+  try {
+    parsed = new URL(value);
+  } catch (err) {
+    return { ok: false, message: 'callback_url must be an absolute URL.' };
+  }
+  if (!['http:', 'https:'].includes(parsed.protocol)) {
+    return { ok: false, message: 'callback_url must use http or https.' };
+  }
+  if (parsed.username || parsed.password) {
+    return { ok: false, message: 'callback_url must not contain credentials.' };
+  }
+  return { ok: true, url: parsed.toString() };
+}
+
+function generateWebhookSecret() {
+  return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+}
+
+/**
+ * HMAC-SHA256 over `<timestamp>.<body>`, hex encoded. Receivers recompute it with their key's
+ * secret and reject stale timestamps to block replays.
+ */
+function signWebhook(secret, timestamp, body) {
+  const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `${SIGNATURE_VERSION}=${digest}`;
+}
+
+/**
+ * Signing secret for a key. Customer secrets are created on first use; owner keys share
+ * WEBHOOK_OWNER_SECRET. Returns null when no secret is available.
+ */
+async function getWebhookSecret(apiKeyType, apiKeyId) {
+  if (apiKeyType === 'owner') return process.env.WEBHOOK_OWNER_SECRET || null;
+  if (apiKeyType !== 'customer' || !apiKeyId) return null;
+  await query('UPDATE api_keys SET webhook_secret = ? WHERE id = ? AND webhook_secret IS NULL', [
+    generateWebhookSecret(),
+    apiKeyId,
+  ]);
+  const rows = await query('SELECT webhook_secret FROM api_keys WHERE id = ? LIMIT 1', [apiKeyId]);
+  return rows[0]?.webhook_secret || null;
+}
+
+async function rotateWebhookSecret(apiKeyId) {
+  const secret = generateWebhookSecret();
+  await query('UPDATE api_keys SET webhook_secret = ?, updated_at = NOW() WHERE id = ?', [secret, apiKeyId]);
+  return secret;
+}
+
+async function createDelivery({ deliveryId, apiKeyId, apiKeyType, event, jobId = null, requestId = null, callbackUrl, payload }) {
+  await query(
+    `INSERT INTO webhook_deliveries (delivery_id, api_key_id, api_key_type, event, job_id, request_id, callback_url,
+                                     payload_json, next_attempt_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, UTC_TIMESTAMP())`,
+    [
+      deliveryId,
+      apiKeyId,
+      apiKeyType,
+      event,
+      jobId,
+      requestId ? String(requestId).slice(0, 128) : null,
+      callbackUrl,
+      toJsonColumn(payload),
+    ]
+  );
+}
+
+/**
+ * Move the next due delivery to `delivering`; same race-safe claim as claimNextJob.
+ */
+async function claimDueDelivery() {
+  for (;;) {
+    const rows = await query(
+      `SELECT id FROM webhook_deliveries
+        WHERE state = 'pending' AND next_attempt_at <= UTC_TIMESTAMP()
+        ORDER BY next_attempt_at ASC, id ASC
+        LIMIT 1`
+    );
+    if (!rows.length) return null;
+    const [result] = await pool.execute(
+      "UPDATE webhook_deliveries SET state = 'delivering', claimed_at = UTC_TIMESTAMP() WHERE id = ? AND state = 'pending'",
+      [rows[0].id]
+    );
+    if (result.affectedRows === 1) {
+      const claimed = await query('SELECT * FROM webhook_deliveries WHERE id = ? LIMIT 1', [rows[0].id]);
+      return claimed[0];
+    }
+  }
+}
+
+/**
+ * Append one attempt to the delivery log. `retryInMs` null means no further attempts.
+ */
+async function recordDeliveryAttempt(row, { ok, httpStatus = null, error = null, durationMs = 0, retryInMs = null }) {
+  const attempts = Number(row.attempts || 0) + 1;
+  const log = parseJsonColumn(row.attempts_json) || [];
+  log.push({ attempt: attempts, at: new Date().toISOString(), http_status: httpStatus, error, duration_ms: durationMs });
+
+  let state = 'failed';
+  if (ok) state = 'succeeded';
+  else if (retryInMs !== null) state = 'pending';
+
+  await query(
+    `UPDATE webhook_deliveries
+        SET state = ?, attempts = ?, attempts_json = ?, last_status = ?, last_error = ?,
+            next_attempt_at = UTC_TIMESTAMP() + INTERVAL ? SECOND,
+            delivered_at = IF(? = 'succeeded', UTC_TIMESTAMP(), NULL)
+      WHERE id = ?`,
+    [
+      state,
+      attempts,
+      toJsonColumn(log),
+      httpStatus,
+      error ? String(error).slice(0, 500) : null,
+      Math.ceil((retryInMs || 0) / 1000),
+      state,
+      row.id,
+    ]
+  );
+  return { state, attempts };
+}
+
+/**
+ * Retry deliveries cut off mid-send by a crash or restart; receivers dedupe on the delivery id. Only
+ * rows claimed more than `staleAfterSeconds` ago are touched, so sends still running in another
+ * process (a second instance, or the old one during a rolling restart) are left alone.
+ */
+async function requeueInterruptedDeliveries(staleAfterSeconds) {
+  const [result] = await pool.execute(
+    `UPDATE webhook_deliveries SET state = 'pending'
+      WHERE state = 'delivering' AND claimed_at < (UTC_TIMESTAMP() - INTERVAL ? SECOND)`,
+    [staleAfterSeconds]
+  );
+  return result.affectedRows || 0;
+}
+
+async function deleteOldDeliveries(olderThanDays) {
+  const [result] = await pool.execute(
+    `DELETE FROM webhook_deliveries
+      WHERE state IN ('succeeded', 'failed') AND created_at < (UTC_TIMESTAMP() - INTERVAL ? DAY)`,
+    [olderThanDays]
+  );
+  return result.affectedRows || 0;
+}
+
+function formatDelivery(row, { includePayload = false } = {}) {
+  const formatted = {
+    delivery_id: row.delivery_id,
+    api_key_id: row.api_key_id,
+    api_key_type: row.api_key_type,
+    event: row.event,
+    job_id: row.job_id,
+    request_id: row.request_id,
+    callback_url: row.callback_url,
+    state: row.state,
+    attempts: row.attempts,
+    last_status: row.last_status,
+    last_error: row.last_error,
+    next_attempt_at: row.state === 'pending' ? row.next_attempt_at : null,
+    created_at: row.created_at,
+    delivered_at: row.delivered_at,
+    attempt_log: parseJsonColumn(row.attempts_json) || [],
+  };
+  if (includePayload) formatted.payload = parseJsonColumn(row.payload_json);
+  return formatted;
+}
+
+module.exports = {
+  readCallbackUrl,
+  checkCallbackUrl,
+  signWebhook,
+  getWebhookSecret,
+  rotateWebhookSecret,
+  createDelivery,
+  claimDueDelivery,
+  recordDeliveryAttempt,
+  requeueInterruptedDeliveries,
+  deleteOldDeliveries,
+  formatDelivery,
+};